@@ -1,11 +1,45 @@
 // Main app orchestrator:
-// - wires camera capture, image preprocessing, waveform extraction, drawing, and synthesis
+// - wires camera capture, image file loading, image preprocessing, waveform extraction, drawing, and synthesis
+// - runs continuous live extraction with frame rejection and waveform smoothing
+// - offers the printable capture template that the camera's auto ROI locks onto
+// - applies the ink polarity (dark, light or auto-detected) to preprocessing
+// - connects color-keyed segmentation (presets or a color tapped in the view) to preprocessing
+// - splits multi-trace captures into separate frames or a stereo (left/right) frame
+// - routes MIDI note, pitch-bend and sustain input to the synth
+// - connects the ADSR envelope controls to the synth
+// - connects the filter and filter-envelope controls to the synth
+// - connects WAV export of the prepared wavetable and offline renders
+// - collects captured waveforms into an ordered frame stack for morphing and multi-frame export
+// - keeps an undo/redo history of the frame stack and a saved-waveform gallery (IndexedDB)
+// - detects how many cycles a capture holds and optionally crops it to whole cycles
+// - selects the loop seam repair and shows the seam step before and after it
+// - lets the waveform canvas edit the frame under Position (or draw one from scratch)
+// - saves and loads the whole session (frames, synth, ROI, processing) as a JSON preset
+// - applies Tuning panel changes to preprocessing/extraction and re-runs the last capture
+// - feeds every preprocessing stage and the extraction result to the pipeline inspector
+// - runs preprocessing and extraction in a Web Worker, dropping stale live frames and re-runs
 // - handles test-signal generation and panel-period UI controls
 // - updates extraction debug text with source/wavetable/ROI/stream details
 import { createCameraController } from './cameraController.js';
+import { createImageFileSource } from './imageFileSource.js';
 import { createImageProcessor } from './imageProcessing.js';
-import { extractWaveformFromImageData } from './waveformExtractor.js';
 import { createSynthAudioEngine } from './audioEngine.js';
+import { createMidiController } from './midiController.js';
+import { createEnvelopeControls } from './envelopeControls.js';
+import { createFilterControls } from './filterControls.js';
+import { createColorKeyControls } from './colorKeyControls.js';
+import { createCaptureTemplateControls } from './captureTemplate.js';
+import { createWavExportControls } from './wavExport.js';
+import { createWavetableExportControls, MAX_WAVETABLE_FRAMES } from './wavetableExport.js';
+import { createFrameStack } from './frameStack.js';
+import { detectCycles, cropToCycles } from './cycleDetection.js';
+import { createWaveformEditor } from './waveformEditor.js';
+import { createHistoryControls } from './waveformHistory.js';
+import { createWaveformGallery } from './waveformGallery.js';
+import { createSessionPresetControls } from './sessionPreset.js';
+import { createTuningControls } from './tuningControls.js';
+import { createPipelineInspector } from './pipelineInspector.js';
+import { createPipelineRunner } from './pipelineRunner.js';
 
 const waveformCanvas = document.getElementById('waveformCanvas');
 const wctx = waveformCanvas.getContext('2d');
@@ -19,11 +53,56 @@ const spectrumScaleSelect = document.getElementById('spectrumScale');
 const testSignalButton = document.getElementById('testSignal');
 const testSignalTypeSelect = document.getElementById('testSignalType');
 const testSignalPeriodsInput = document.getElementById('testSignalPeriods');
+const polyphonyInput = document.getElementById('polyphonyCount');
+const voiceStealSelect = document.getElementById('voiceStealMode');
+const morphPositionInput = document.getElementById('morphPosition');
+const morphPositionLabel = document.getElementById('morphPositionVal');
+const traceCountInput = document.getElementById('traceCount');
+const traceRoutingSelect = document.getElementById('traceRouting');
+const inkPolaritySelect = document.getElementById('inkPolarity');
+const inkPolarityNoteEl = document.getElementById('inkPolarityNote');
+const cycleCropSelect = document.getElementById('cycleCrop');
+const cycleDetectNoteEl = document.getElementById('cycleDetectNote');
+const loopSeamSelect = document.getElementById('loopSeamMode');
+const tuningStatusEl = document.getElementById('tuningStatus');
 
-const waveformForegroundCutoff = 200;
 const DEFAULT_STARTUP_WIDTH = 1024;
 const DEFAULT_STARTUP_HEIGHT = 768;
 const DEFAULT_STARTUP_ASPECT = DEFAULT_STARTUP_HEIGHT / DEFAULT_STARTUP_WIDTH;
+// Live frames tracing less of the ROI than this are skipped instead of replacing the waveform.
+const LIVE_MIN_COVERAGE_RATIO = 0.6;
+// Weight of the newest live frame when blending with the previous live waveform.
+const LIVE_SMOOTHING_WEIGHT = 0.4;
+// While live, the pipeline inspector is refreshed at most this often; other live frames skip
+// keeping their stages.
+const LIVE_INSPECTOR_INTERVAL_MS = 1000;
+const MAX_TRACE_COUNT = 4;
+const RIGHT_CHANNEL_COLOR = '#f59e0b';
+// Columns below this extraction confidence are tinted on the waveform canvas.
+const LOW_CONFIDENCE_TINT_THRESHOLD = 0.5;
+const LOW_CONFIDENCE_TINT_COLOR = 'rgba(239, 68, 68, 0.18)';
+const INTERPOLATED_TINT_COLOR = 'rgba(245, 158, 11, 0.18)';
+
+let liveWaveform = null;
+// Newest single-trace capture ({ details, detection, crop, waveform, raw }) while its frame is
+// the newest in the stack: tinted while shown, re-cropped when Cycle Crop changes, and replaced
+// when a tuning change re-runs its raw capture.
+let newestCapture = null;
+// Newest multi-trace capture ({ raw, count }) while its frames are the last `count` in the stack,
+// so a tuning change re-runs it in place.
+let newestTraceCapture = null;
+// Stack index of the frame being edited on the waveform canvas (-1: drawing a new frame).
+let editingFrameIndex = -1;
+// True while an edit tool is picked: the canvas then shows the raw frame under Position.
+let editToolActive = false;
+// Arguments of the last debug line, so a seam mode change can refresh its seam figures.
+let lastExtractionDebugArgs = null;
+// Unprocessed frame of the last manual capture ({ imageData, roi, warp }), re-run on tuning changes.
+let lastRawCapture = null;
+// Ink polarity found in the last processed frame, shown next to the ink select in auto mode.
+let resolvedInkPolarity = 'dark';
+// When a live frame last sent its stages to the pipeline inspector.
+let lastLiveInspectTime = -Infinity;
 
 const synthEngine = createSynthAudioEngine({
   playButton: document.getElementById('playSynth'),
@@ -41,8 +120,28 @@ requestAnimationFrame(() => {
   initializeCanvasSizes(syncedSize.width, syncedSize.height);
 });
 
-const imageProcessor = createImageProcessor({
-  previewCanvas: processedPreviewCanvas,
+// Holds the processing settings; frames are processed by the pipeline runner, which sends
+// these settings along with every job.
+const imageProcessor = createImageProcessor();
+
+// The Processed Frame panel shows any stage of the last frame, with the traced path on top.
+const pipelineInspector = createPipelineInspector({
+  canvas: processedPreviewCanvas,
+  stageSelect: document.getElementById('pipelineStage'),
+  overlayToggle: document.getElementById('pipelineOverlay'),
+  filmstripEl: document.getElementById('pipelineFilmstrip'),
+  timingEl: document.getElementById('pipelineTiming'),
+  progressEl: document.getElementById('pipelineProgress'),
+});
+
+pipelineInspector.init();
+
+// Live frames arrive faster than they are processed, so only progress for captures and
+// re-runs is shown.
+const pipelineRunner = createPipelineRunner({
+  onProgress: (progress) => {
+    if (progress.key !== 'live') pipelineInspector.showProgress(progress);
+  },
 });
 
 const cameraController = createCameraController({
@@ -53,6 +152,11 @@ const cameraController = createCameraController({
   cameraControls: document.getElementById('cameraControls'),
   cameraToggleButton: document.getElementById('cameraToggle'),
   resetROIButton: document.getElementById('resetROI'),
+  roiModeButton: document.getElementById('roiMode'),
+  autoLockButton: document.getElementById('autoLockROI'),
+  liveToggleButton: document.getElementById('liveToggle'),
+  liveFpsInput: document.getElementById('liveFps'),
+  colorSampleButton: document.getElementById('sampleColor'),
   roiElements: {
     topInput: document.getElementById('roiTop'),
     bottomInput: document.getElementById('roiBottom'),
@@ -62,15 +166,250 @@ const cameraController = createCameraController({
     bottomVal: document.getElementById('roiBottomVal'),
     leftVal: document.getElementById('roiLeftVal'),
     rightVal: document.getElementById('roiRightVal'),
+    sliderPanel: document.getElementById('roiSliders'),
   },
   onVideoSize: ({ width, height }) => {
     initializeCanvasSizes(width, height);
   },
-  onCapture: processCapturedImage,
+  onCapture: (imageData, roi, warp) => {
+    processCapturedImage({ imageData, roi, warp }).catch(reportPipelineError);
+  },
+  onLiveFrame: (imageData, roi, warp) => {
+    processLiveFrame({ imageData, roi, warp }).catch(reportPipelineError);
+  },
+  onLiveChange: (enabled) => {
+    liveWaveform = null;
+    pipelineRunner.cancel('live');
+    // Live playback replaced the synth's frames with the live waveform; go back to the stack.
+    if (!enabled) {
+      synthEngine.setWavetableFrames(frameStack.getFrames(), frameStack.getRightFrames());
+      applyMorphPosition(synthEngine.getMorphPosition());
+    }
+  },
+  onColorSample: (color) => {
+    colorKeyControls.setSampledColor(color);
+  },
+  // The auto ROI's marker search runs in the pipeline worker too.
+  detectTemplateMarkers: (imageData, { transfer }) => (
+    pipelineRunner.run({ task: 'template', imageData }, { key: 'template', transfer })
+  ),
 });
 
 cameraController.init();
 
+const captureTemplateControls = createCaptureTemplateControls({
+  downloadButton: document.getElementById('downloadTemplate'),
+});
+
+captureTemplateControls.init();
+
+const colorKeyControls = createColorKeyControls({
+  modeSelect: document.getElementById('colorKeyMode'),
+  toleranceInput: document.getElementById('colorKeyTolerance'),
+  swatch: document.getElementById('colorKeySwatch'),
+  onChange: (key) => {
+    liveWaveform = null;
+    return imageProcessor.setColorKey(key);
+  },
+});
+
+colorKeyControls.init();
+
+const tuningControls = createTuningControls({
+  container: document.getElementById('tuningParameters'),
+  resetButton: document.getElementById('resetTuning'),
+  onChange: (tuning) => {
+    imageProcessor.setConfig(tuning.processing);
+    liveWaveform = null;
+    rerunLastCapture().catch(reportPipelineError);
+  },
+});
+
+tuningControls.init();
+
+const imageFileSource = createImageFileSource({
+  loadButton: document.getElementById('loadImage'),
+  fileInput: document.getElementById('imageFileInput'),
+  dropTarget: document.getElementById('videoWrapper'),
+  pasteTarget: document,
+  onImage: (imageData) => {
+    cameraController.showStillImage(imageData);
+  },
+  onError: (err) => {
+    console.error('Image load error:', err);
+    if (debugCompareEl) debugCompareEl.textContent = `Image load failed: ${err.message}`;
+  },
+});
+
+imageFileSource.init();
+
+const midiController = createMidiController({
+  enableButton: document.getElementById('enableMidi'),
+  deviceSelect: document.getElementById('midiInput'),
+  a4Input: document.getElementById('midiA4Hz'),
+  statusEl: document.getElementById('midiStatus'),
+  onNoteOn: (noteNumber, frequencyHz, velocity) => {
+    synthEngine.noteOn(noteNumber, frequencyHz, velocity).catch((err) => {
+      console.error('MIDI note error:', err);
+    });
+  },
+  onNoteOff: (noteNumber) => {
+    synthEngine.noteOff(noteNumber);
+  },
+  onPitchBend: (semitones) => {
+    synthEngine.setPitchBend(semitones);
+  },
+  onModWheel: (value) => {
+    applyMorphPosition(value);
+  },
+});
+
+midiController.init();
+
+const envelopeControls = createEnvelopeControls({
+  attackInput: document.getElementById('envAttack'),
+  decayInput: document.getElementById('envDecay'),
+  sustainInput: document.getElementById('envSustain'),
+  releaseInput: document.getElementById('envRelease'),
+  curveSelect: document.getElementById('envCurve'),
+  canvas: document.getElementById('envelopeCanvas'),
+  onChange: (changes) => synthEngine.setEnvelope(changes),
+});
+
+envelopeControls.init();
+
+const filterControls = createFilterControls({
+  typeSelect: document.getElementById('filterType'),
+  cutoffInput: document.getElementById('filterCutoff'),
+  resonanceInput: document.getElementById('filterResonance'),
+  keyTrackInput: document.getElementById('filterKeyTrack'),
+  envAmountInput: document.getElementById('filterEnvAmount'),
+  onChange: (changes) => synthEngine.setFilter(changes),
+});
+
+filterControls.init();
+
+const filterEnvelopeControls = createEnvelopeControls({
+  attackInput: document.getElementById('filterEnvAttack'),
+  decayInput: document.getElementById('filterEnvDecay'),
+  sustainInput: document.getElementById('filterEnvSustain'),
+  releaseInput: document.getElementById('filterEnvRelease'),
+  canvas: document.getElementById('filterEnvelopeCanvas'),
+  onChange: (changes) => synthEngine.setFilterEnvelope(changes),
+});
+
+filterEnvelopeControls.init();
+
+const wavExportControls = createWavExportControls({
+  synthEngine,
+  formatSelect: document.getElementById('wavFormat'),
+  cycleButton: document.getElementById('exportCycleWav'),
+  renderButton: document.getElementById('exportRenderWav'),
+  renderSecondsInput: document.getElementById('renderSeconds'),
+  statusEl: document.getElementById('wavExportStatus'),
+});
+
+wavExportControls.init();
+
+// Every frame stack change is a history entry; undo/redo restores whole stacks.
+const historyControls = createHistoryControls({
+  undoButton: document.getElementById('undoFrames'),
+  redoButton: document.getElementById('redoFrames'),
+  onRestore: ({ frames, rightFrames }) => {
+    liveWaveform = null;
+    frameStack.setFrames(frames, rightFrames);
+    applyMorphPosition(synthEngine.getMorphPosition());
+  },
+});
+
+historyControls.init();
+
+// Manual captures and test signals, in order; the synth morphs across them by position.
+const frameStack = createFrameStack({
+  listEl: document.getElementById('frameStackList'),
+  countEl: document.getElementById('wavetableFrameCount'),
+  clearButton: document.getElementById('clearWavetableFrames'),
+  maxFrames: MAX_WAVETABLE_FRAMES,
+  onChange: (frames, rightFrames) => {
+    newestCapture = null;
+    newestTraceCapture = null;
+    historyControls.record({ frames, rightFrames });
+    synthEngine.setWavetableFrames(frames, rightFrames);
+    updateMorphPositionLabel();
+    drawMorphedWavetable();
+  },
+});
+
+frameStack.init();
+historyControls.record({ frames: [], rightFrames: [] });
+
+const waveformGallery = createWaveformGallery({
+  listEl: document.getElementById('galleryList'),
+  saveButton: document.getElementById('saveToGallery'),
+  statusEl: document.getElementById('galleryStatus'),
+  getWaveformToSave: getFrameUnderPosition,
+  onRecall: ({ left, right }) => {
+    liveWaveform = null;
+    addWavetableFrame(left, right);
+  },
+});
+
+waveformGallery.init();
+
+// Edits play through the synth in place of the frame being edited, then replace it in the stack.
+// While a tool is picked the canvas shows the stack frame itself rather than the prepared
+// table, whose seam repair can shift or rotate it, so strokes land where they are drawn.
+const waveformEditor = createWaveformEditor({
+  canvas: waveformCanvas,
+  toolSelect: document.getElementById('waveformEditTool'),
+  brushSizeInput: document.getElementById('waveformBrushSize'),
+  getWaveform: beginWaveformEdit,
+  onEdit: previewWaveformEdit,
+  onCommit: commitWaveformEdit,
+  onToolChange: (tool) => {
+    editToolActive = tool !== 'off';
+    drawMorphedWavetable();
+  },
+});
+
+waveformEditor.init();
+
+const wavetableExportControls = createWavetableExportControls({
+  getWaveforms: () => frameStack.getFrames(),
+  getRightWaveforms: () => frameStack.getRightFrames(),
+  serumButton: document.getElementById('exportSerumWavetable'),
+  vitalButton: document.getElementById('exportVitalWavetable'),
+  statusEl: document.getElementById('wavExportStatus'),
+});
+
+wavetableExportControls.init();
+
+const sessionPresetControls = createSessionPresetControls({
+  saveButton: document.getElementById('saveSession'),
+  loadButton: document.getElementById('loadSession'),
+  fileInput: document.getElementById('sessionFileInput'),
+  statusEl: document.getElementById('sessionStatus'),
+  getState: getSessionState,
+  applyState: applySessionState,
+});
+
+sessionPresetControls.init();
+
+if (morphPositionInput) {
+  morphPositionInput.addEventListener('input', () => {
+    applyMorphPosition(Number(morphPositionInput.value) / 1000);
+  });
+}
+
+if (loopSeamSelect) {
+  loopSeamSelect.addEventListener('change', () => {
+    loopSeamSelect.value = synthEngine.setLoopSeamMode(loopSeamSelect.value);
+    drawMorphedWavetable();
+    if (lastExtractionDebugArgs) updateExtractionDebugWavetableInfo(...lastExtractionDebugArgs);
+  });
+  loopSeamSelect.value = synthEngine.setLoopSeamMode(loopSeamSelect.value);
+}
+
 if (spectrumScaleSelect) {
   spectrumScaleSelect.addEventListener('change', (event) => {
     synthEngine.setSpectrumScale(event.target.value);
@@ -78,10 +417,46 @@ if (spectrumScaleSelect) {
   synthEngine.setSpectrumScale(spectrumScaleSelect.value);
 }
 
+if (polyphonyInput) {
+  polyphonyInput.addEventListener('change', () => {
+    polyphonyInput.value = synthEngine.setPolyphony(polyphonyInput.value);
+  });
+  polyphonyInput.value = synthEngine.setPolyphony(polyphonyInput.value);
+}
+
+if (voiceStealSelect) {
+  voiceStealSelect.addEventListener('change', (event) => {
+    synthEngine.setVoiceStealMode(event.target.value);
+  });
+  synthEngine.setVoiceStealMode(voiceStealSelect.value);
+}
+
 if (testSignalButton) {
   testSignalButton.addEventListener('click', handleTestSignalClick);
 }
 
+if (traceCountInput) {
+  traceCountInput.addEventListener('change', () => {
+    traceCountInput.value = getTraceCount();
+  });
+}
+
+if (inkPolaritySelect) {
+  inkPolaritySelect.addEventListener('change', () => {
+    inkPolaritySelect.value = imageProcessor.setInkPolarity(inkPolaritySelect.value);
+    liveWaveform = null;
+    updateInkPolarityNote();
+  });
+  inkPolaritySelect.value = imageProcessor.setInkPolarity(inkPolaritySelect.value);
+}
+
+if (cycleCropSelect) {
+  cycleCropSelect.addEventListener('change', () => {
+    liveWaveform = null;
+    applyCycleCropToNewestFrame();
+  });
+}
+
 if (waveformPeriodInput) {
   const initialSeconds = Number.isFinite(synthEngine.getPanelDurationSeconds?.())
     ? synthEngine.getPanelDurationSeconds()
@@ -168,13 +543,224 @@ function handleTestSignalClick() {
     targetPeak: 0.9,
   });
 
-  synthEngine.updateWaveform(testWaveform);
+  addWavetableFrame(testWaveform);
   updateExtractionDebugWavetableInfo(testWaveform.length, null, null);
-  drawWaveform(testWaveform);
 }
 
-function updateExtractionDebugWavetableInfo(sourceLength, roi, imageDataLength) {
+// Append a frame (with an optional right channel) and move the morph position onto it so the
+// new waveform is heard. An analyzed capture (if any) tints the canvas while that frame is shown.
+function addWavetableFrame(waveform, rightWaveform = null, capture = null) {
+  frameStack.addFrame(waveform, rightWaveform);
+  newestCapture = capture;
+  applyMorphPosition(1);
+}
+
+// The frame nearest the Position control ({ left, right }), or the live waveform while the stack
+// is empty; null when there is nothing to save.
+function getFrameUnderPosition() {
+  const frames = frameStack.getFrames();
+  if (frames.length === 0) {
+    return liveWaveform ? { left: liveWaveform, right: null } : null;
+  }
+
+  const index = Math.round(synthEngine.getMorphPosition() * (frames.length - 1));
+  return { left: frames[index], right: frameStack.getRightFrames()[index] };
+}
+
+// The frame under the Position control, snapping Position onto it, or null to draw a new frame.
+function beginWaveformEdit() {
+  const frames = frameStack.getFrames();
+  liveWaveform = null;
+  if (frames.length === 0) {
+    editingFrameIndex = -1;
+    return null;
+  }
+
+  editingFrameIndex = Math.round(synthEngine.getMorphPosition() * (frames.length - 1));
+  if (frames.length > 1) applyMorphPosition(editingFrameIndex / (frames.length - 1));
+  return frames[editingFrameIndex];
+}
+
+// Play a stroke in progress: the stack with only the edited frame swapped in (keeping its
+// right channel), so Position, the other frames and stereo stay as they are.
+function previewWaveformEdit(waveform) {
+  const frames = frameStack.getFrames();
+  if (editingFrameIndex < 0 || editingFrameIndex >= frames.length) {
+    synthEngine.updateWaveform(waveform);
+    drawEditableFrame(waveform, null);
+    return;
+  }
+
+  const rightFrames = frameStack.getRightFrames();
+  frames[editingFrameIndex] = waveform;
+  synthEngine.setWavetableFrames(frames, rightFrames);
+  drawEditableFrame(waveform, rightFrames[editingFrameIndex]);
+}
+
+function commitWaveformEdit(waveform) {
+  if (editingFrameIndex < 0 || editingFrameIndex >= frameStack.getFrameCount()) {
+    addWavetableFrame(waveform);
+    return;
+  }
+
+  const position = synthEngine.getMorphPosition();
+  frameStack.replaceFrame(editingFrameIndex, waveform, frameStack.getRightFrames()[editingFrameIndex]);
+  applyMorphPosition(position);
+}
+
+// Everything a session preset stores, read from the engine and controls.
+function getSessionState() {
+  return {
+    wavetable: {
+      frames: frameStack.getFrames(),
+      rightFrames: frameStack.getRightFrames(),
+      morphPosition: synthEngine.getMorphPosition(),
+    },
+    synth: {
+      panelPeriodMs: synthEngine.getPanelDurationSeconds() * 1000,
+      spectrumScale: synthEngine.getSpectrumScale(),
+      polyphony: synthEngine.getPolyphony(),
+      voiceStealMode: synthEngine.getVoiceStealMode(),
+      loopSeamMode: synthEngine.getLoopSeamMode(),
+      envelope: synthEngine.getEnvelope(),
+      filter: synthEngine.getFilter(),
+      filterEnvelope: synthEngine.getFilterEnvelope(),
+    },
+    camera: cameraController.getROISettings(),
+    processing: {
+      inkPolarity: imageProcessor.getInkPolarity(),
+      colorKey: colorKeyControls.getSettings(),
+      traceCount: getTraceCount(),
+      traceRouting: traceRoutingSelect?.value ?? 'frames',
+      cycleCrop: cycleCropSelect?.value ?? 'off',
+      tuning: tuningControls.getTuning(),
+    },
+    testSignal: {
+      type: testSignalTypeSelect?.value ?? 'sine',
+      periods: Number(testSignalPeriodsInput?.value ?? 1),
+    },
+    midi: {
+      a4Hz: midiController.getA4Hz(),
+    },
+  };
+}
+
+// Apply a loaded session preset. Sections or values missing from the preset keep their
+// current setting; the frames go last so they are prepared with the loaded seam mode.
+function applySessionState({ wavetable, synth, camera, processing, testSignal, midi }) {
+  liveWaveform = null;
+
+  if (synth) {
+    if (synth.panelPeriodMs !== undefined) applyWaveformPanelPeriodMs(synth.panelPeriodMs);
+    if (synth.spectrumScale !== undefined) {
+      synthEngine.setSpectrumScale(synth.spectrumScale);
+      setSelectValue(spectrumScaleSelect, synthEngine.getSpectrumScale());
+    }
+    if (synth.polyphony !== undefined) {
+      const polyphony = synthEngine.setPolyphony(synth.polyphony);
+      if (polyphonyInput) polyphonyInput.value = polyphony;
+    }
+    if (synth.voiceStealMode !== undefined) {
+      synthEngine.setVoiceStealMode(synth.voiceStealMode);
+      setSelectValue(voiceStealSelect, synthEngine.getVoiceStealMode());
+    }
+    if (synth.loopSeamMode !== undefined) {
+      setSelectValue(loopSeamSelect, synthEngine.setLoopSeamMode(synth.loopSeamMode));
+    }
+    if (synth.envelope) envelopeControls.setEnvelope(synthEngine.setEnvelope(synth.envelope));
+    if (synth.filter) filterControls.setFilter(synthEngine.setFilter(synth.filter));
+    if (synth.filterEnvelope) {
+      filterEnvelopeControls.setEnvelope(synthEngine.setFilterEnvelope(synth.filterEnvelope));
+    }
+  }
+
+  if (camera) cameraController.setROISettings(camera);
+
+  if (processing) {
+    if (processing.inkPolarity !== undefined) {
+      setSelectValue(inkPolaritySelect, imageProcessor.setInkPolarity(processing.inkPolarity));
+      updateInkPolarityNote();
+    }
+    if (processing.colorKey) colorKeyControls.setSettings(processing.colorKey);
+    if (traceCountInput && processing.traceCount !== undefined) {
+      traceCountInput.value = processing.traceCount;
+      traceCountInput.value = getTraceCount();
+    }
+    setSelectValue(traceRoutingSelect, processing.traceRouting);
+    setSelectValue(cycleCropSelect, processing.cycleCrop);
+    if (processing.tuning) imageProcessor.setConfig(tuningControls.setTuning(processing.tuning).processing);
+  }
+
+  if (testSignal) {
+    setSelectValue(testSignalTypeSelect, testSignal.type);
+    if (testSignalPeriodsInput && testSignal.periods !== undefined) {
+      testSignalPeriodsInput.value = clampNumber(testSignal.periods, 0.5, 64, 1);
+    }
+  }
+
+  if (midi && midi.a4Hz !== undefined) midiController.setA4Hz(midi.a4Hz);
+
+  if (wavetable) {
+    frameStack.setFrames(wavetable.frames, wavetable.rightFrames);
+    applyMorphPosition(Number.isFinite(wavetable.morphPosition) ? wavetable.morphPosition : 1);
+  }
+}
+
+// Select `value` only when the select offers it, so presets from other builds cannot blank it.
+function setSelectValue(select, value) {
+  if (!select || value === undefined) return;
+  if (Array.from(select.options).some((option) => option.value === value)) {
+    select.value = value;
+  }
+}
+
+// Set the morph position (0..1) from the slider, MIDI mod wheel or code.
+function applyMorphPosition(position) {
+  const applied = synthEngine.setMorphPosition(position);
+  if (morphPositionInput) morphPositionInput.value = Math.round(applied * 1000);
+  updateMorphPositionLabel();
+  drawMorphedWavetable();
+}
+
+function updateMorphPositionLabel() {
+  if (!morphPositionLabel) return;
+
+  const frameCount = synthEngine.getWavetableFrameCount();
+  if (frameCount === 0) {
+    morphPositionLabel.textContent = 'No frames';
+    return;
+  }
+
+  const framePosition = 1 + synthEngine.getMorphPosition() * (frameCount - 1);
+  morphPositionLabel.textContent = `Frame ${framePosition.toFixed(2)} / ${frameCount}`;
+}
+
+function drawMorphedWavetable() {
+  if (editToolActive && frameStack.getFrameCount() > 0) {
+    const { left, right } = getFrameUnderPosition();
+    drawEditableFrame(left, right);
+    return;
+  }
+
+  const wavetable = synthEngine.getPreparedWavetable();
+  const rightWavetable = synthEngine.getPreparedRightWavetable();
+  wctx.clearRect(0, 0, waveformCanvas.width, waveformCanvas.height);
+  const newestFrameShown = synthEngine.getWavetableFrameCount() <= 1 || synthEngine.getMorphPosition() >= 1;
+  if (newestCapture && newestFrameShown) drawConfidenceTint(newestCapture);
+  if (rightWavetable) drawWaveform(rightWavetable, { clear: false, color: RIGHT_CHANNEL_COLOR });
+  if (wavetable) drawWaveform(wavetable, { clear: false });
+}
+
+// Draw a stack frame as stored (no DC removal or seam repair), the way edit strokes map onto it.
+function drawEditableFrame(left, right = null) {
+  wctx.clearRect(0, 0, waveformCanvas.width, waveformCanvas.height);
+  if (right && right.length > 0) drawWaveform(right, { clear: false, color: RIGHT_CHANNEL_COLOR });
+  drawWaveform(left, { clear: false });
+}
+
+function updateExtractionDebugWavetableInfo(sourceLength, roi, imageDataLength, details = null) {
   if (!debugCompareEl) return;
+  lastExtractionDebugArgs = [sourceLength, roi, imageDataLength, details];
 
   const wavetableLength = synthEngine.getPreparedWavetableLength?.() ?? 0;
   const imageDataText = Number.isFinite(imageDataLength)
@@ -184,8 +770,42 @@ function updateExtractionDebugWavetableInfo(sourceLength, roi, imageDataLength)
     ? ` | ROI ${roi.width}x${roi.height}`
     : '';
   const cameraSettingsText = getCameraSettingsDebugText();
+  const detailsText = details ? getExtractionDetailsDebugText(details) : '';
+  const seamText = getLoopSeamDebugText();
+
+  debugCompareEl.textContent = `Extraction Debug: source length ${sourceLength} samples | prepared wavetable length ${wavetableLength} samples${imageDataText}${roiText}${cameraSettingsText}${seamText}${detailsText}`;
+}
+
+// Step at the wrap of the playing table before and after seam repair (table units, -1..1).
+function getLoopSeamDebugText() {
+  const report = synthEngine.getLoopSeamReport();
+  if (!report) return '';
+  const formatSteps = ({ before, after }) => (report.mode === 'off'
+    ? before.toFixed(3)
+    : `${before.toFixed(3)} -> ${after.toFixed(3)}`);
+  const rightText = report.right ? `, right ${formatSteps(report.right)}` : '';
+  const modeText = report.mode === 'off' ? 'no repair' : report.mode;
+  return ` | loop seam step ${formatSteps(report)}${rightText} (${modeText})`;
+}
+
+function getExtractionDetailsDebugText(details) {
+  let interpolatedCount = 0;
+  let lowConfidenceCount = 0;
+  for (let x = 0; x < details.confidence.length; x++) {
+    if (details.interpolated[x]) interpolatedCount++;
+    if (details.confidence[x] < LOW_CONFIDENCE_TINT_THRESHOLD) lowConfidenceCount++;
+  }
 
-  debugCompareEl.textContent = `Extraction Debug: source length ${sourceLength} samples | prepared wavetable length ${wavetableLength} samples${imageDataText}${roiText}${cameraSettingsText}`;
+  const keptText = details.trimmedStart >= 0
+    ? `${details.trimmedStart}-${details.trimmedEnd}`
+    : 'none';
+  return ` | quality ${details.quality.toFixed(2)}`
+    + ` | kept columns ${keptText}`
+    + ` | coverage ${Math.round(details.coverage * 100)}%`
+    + ` | mean confidence ${details.meanConfidence.toFixed(2)}`
+    + ` | interpolated ${interpolatedCount}`
+    + ` | low-confidence ${lowConfidenceCount}`
+    + ` | jumps rejected ${details.jumpRejections}`;
 }
 
 function getCameraSettingsDebugText() {
@@ -246,36 +866,320 @@ function clampNumber(value, min, max, fallback) {
 }
 
 // Process one captured frame and turn it into a drawable/playable waveform.
-function processCapturedImage(imageData, roi) {
-  const processedImageData = imageProcessor.preprocessImage(imageData);
-  if (!processedImageData) {
+// raw is the camera's frame ({ imageData, roi, warp }); a corner-ROI warp runs in the worker.
+async function processCapturedImage(raw) {
+  const { imageData, roi } = raw;
+  lastRawCapture = raw;
+  // Re-runs of the previous capture are stale now.
+  pipelineRunner.cancel('rerun');
+  const traceCount = getTraceCount();
+  if (traceCount > 1) {
+    await processMultiTraceCapture(raw, traceCount);
     return;
   }
 
-  imageProcessor.renderProcessedPreview(processedImageData);
+  const details = getTraceDetails(await runPipeline(raw, { mode: 'single' }));
+  if (!details) {
+    return;
+  }
 
-  const waveform = extractWaveformFromImageData(processedImageData, {
-    foregroundCutoff: waveformForegroundCutoff,
-    roi,
-  });
+  const capture = { ...analyzeCapture(details), raw };
+  liveWaveform = null;
+  addWavetableFrame(capture.waveform, null, capture);
+  updateExtractionDebugWavetableInfo(capture.waveform.length, roi, imageData?.data?.length, details);
+}
+
+// Run the last manual capture through the pipeline again with the current tuning. While its
+// frames are still the newest ones they are replaced in place, so repeated tweaks do not pile
+// up frames; otherwise the result is added as new frames that later tweaks then replace.
+// A newer tweak stops a re-run that is still in progress.
+async function rerunLastCapture() {
+  if (!lastRawCapture || cameraController.isLiveEnabled()) return;
+
+  const raw = lastRawCapture;
+  const { imageData, roi } = raw;
+  const multi = getTraceCount() > 1;
+  const result = await runPipeline(raw, {
+    mode: multi ? 'multi' : 'single',
+    options: multi ? { maxTraces: getTraceCount() } : {},
+  }, { key: 'rerun', replaceRunning: true });
+  if (!result || lastRawCapture !== raw) return;
 
-  if (!waveform || waveform.length === 0) {
+  if (multi) {
+    rerunTraceFrames(result.extraction.waveforms, raw);
     return;
   }
 
+  const details = getTraceDetails(result);
+  if (!details) {
+    setTuningStatus('No trace found in the last capture with these settings.');
+    return;
+  }
+
+  const capture = { ...analyzeCapture(details), raw };
+  liveWaveform = null;
+  if (newestCapture && newestCapture.raw === raw) {
+    frameStack.replaceFrame(frameStack.getFrameCount() - 1, capture.waveform);
+    newestCapture = capture;
+    applyMorphPosition(1);
+    setTuningStatus('Re-ran the last capture.');
+  } else {
+    addWavetableFrame(capture.waveform, null, capture);
+    setTuningStatus('Re-ran the last capture as a new frame.');
+  }
+  updateExtractionDebugWavetableInfo(capture.waveform.length, roi, imageData?.data?.length, details);
+}
+
+function rerunTraceFrames(waveforms, raw) {
+  if (waveforms.length === 0) {
+    setTuningStatus('No traces found in the last capture with these settings.');
+    return;
+  }
+
+  liveWaveform = null;
+  if (newestTraceCapture && newestTraceCapture.raw === raw) {
+    const { left, right } = getTraceFrames(waveforms);
+    const { count } = newestTraceCapture;
+    frameStack.replaceFrames(frameStack.getFrameCount() - count, count, left, right);
+    newestTraceCapture = { raw, count: left.length };
+    applyMorphPosition(1);
+    setTuningStatus('Re-ran the last capture.');
+  } else {
+    addTraceFrames(waveforms, raw);
+    setTuningStatus('Re-ran the last capture as new frames.');
+  }
+  updateExtractionDebugWavetableInfo(waveforms[0].length, raw.roi, raw.imageData?.data?.length);
+}
+
+function setTuningStatus(text) {
+  if (tuningStatusEl) tuningStatusEl.textContent = text;
+}
+
+// Process one live frame, skipping weak traces and smoothing against the previous frame.
+// Only the newest waiting frame is processed; the others are dropped. Live frames are not
+// kept, so they are handed to the worker without a copy.
+async function processLiveFrame(frame) {
+  const { imageData, roi } = frame;
+  const imageDataLength = imageData?.data?.length;
+  const now = performance.now();
+  const inspect = now - lastLiveInspectTime >= LIVE_INSPECTOR_INTERVAL_MS;
+
+  const result = await runPipeline(frame, {
+    mode: 'single',
+    options: { minCoverageRatio: LIVE_MIN_COVERAGE_RATIO },
+  }, { key: 'live', transfer: true, inspect });
+  if (result && inspect) lastLiveInspectTime = now;
+  // A frame finishing after live mode was turned off must not replace the played waveform.
+  if (!cameraController.isLiveEnabled()) {
+    return;
+  }
+
+  const details = getTraceDetails(result);
+  if (!details) {
+    return;
+  }
+
+  const capture = analyzeCapture(details);
+  liveWaveform = blendWaveforms(liveWaveform, capture.waveform, LIVE_SMOOTHING_WEIGHT);
+  applyWaveform(liveWaveform, roi, imageDataLength, capture);
+}
+
+// Split a capture into its traces (top to bottom) and add them as frames or one stereo frame.
+async function processMultiTraceCapture(raw, traceCount) {
+  const { imageData, roi } = raw;
+  const result = await runPipeline(raw, { mode: 'multi', options: { maxTraces: traceCount } });
+  const waveforms = result ? result.extraction.waveforms : [];
+  if (waveforms.length === 0) {
+    return;
+  }
+
+  liveWaveform = null;
+  addTraceFrames(waveforms, raw);
+  updateExtractionDebugWavetableInfo(waveforms[0].length, roi, imageData?.data?.length);
+}
+
+// Frames for the traces of a capture ({ left, right } lists): with stereo routing traces pair
+// up top to bottom (1 + 2, 3 + 4) and an odd last trace becomes a mono frame; otherwise one
+// mono frame per trace.
+function getTraceFrames(waveforms) {
+  if (traceRoutingSelect?.value === 'stereo' && waveforms.length >= 2) {
+    const left = [];
+    const right = [];
+    for (let i = 0; i < waveforms.length; i += 2) {
+      left.push(waveforms[i]);
+      right.push(waveforms[i + 1] ?? null);
+    }
+    return { left, right };
+  }
+  return { left: waveforms, right: waveforms.map(() => null) };
+}
+
+// Add a multi-trace capture's frames and move Position onto the last one; a tuning change
+// re-runs the capture in place while they stay the newest frames.
+function addTraceFrames(waveforms, raw) {
+  const { left, right } = getTraceFrames(waveforms);
+  frameStack.addFrames(left, right);
+  newestTraceCapture = { raw, count: left.length };
+  applyMorphPosition(1);
+}
+
+function getTraceCount() {
+  return Math.round(clampNumber(traceCountInput?.value, 1, MAX_TRACE_COUNT, 1));
+}
+
+// Warp (corner ROI), preprocess and extract a camera frame ({ imageData, roi, warp }) in the
+// pipeline worker with the current settings, then show its stages and extraction in the
+// inspector. extraction is { mode: 'single' | 'multi', options }.
+// With inspect: false the inspector is left as it is. The other options go to the runner.
+// Resolves with the job result, or null when a newer job of the same kind made it stale.
+async function runPipeline({ imageData, roi, warp }, extraction, { inspect = true, ...runOptions } = {}) {
+  const tuning = tuningControls.getTuning();
+  const result = await pipelineRunner.run({
+    imageData,
+    roi,
+    warp,
+    inspect,
+    processing: {
+      colorKey: imageProcessor.getColorKey(),
+      inkPolarity: imageProcessor.getInkPolarity(),
+      config: imageProcessor.getConfig(),
+    },
+    extraction: {
+      mode: extraction.mode,
+      options: {
+        ...extraction.options,
+        foregroundCutoff: tuning.extraction.foregroundCutoff,
+        roi,
+        detailed: extraction.mode === 'single',
+        tuning,
+      },
+    },
+  }, runOptions);
+  if (!result) return null;
+
+  resolvedInkPolarity = result.resolvedInkPolarity;
+  updateInkPolarityNote();
+  if (result.stages.length > 0) {
+    pipelineInspector.showStages(result.stages);
+    const { ms, details, traces } = result.extraction;
+    pipelineInspector.setExtraction(traces ? { ms, traces } : { ms, details });
+  }
+  return result;
+}
+
+// The detailed single-trace extraction ({ waveform, confidence, quality, ... }) of a job result,
+// or null when the job went stale or found no trace.
+function getTraceDetails(result) {
+  const details = result?.extraction.details;
+  return details && details.waveform.length > 0 ? details : null;
+}
+
+function reportPipelineError(err) {
+  console.error('Pipeline error:', err);
+}
+
+// In auto mode, show which polarity the last frame was detected as.
+function updateInkPolarityNote() {
+  if (!inkPolarityNoteEl) return;
+  const auto = imageProcessor.getInkPolarity() === 'auto';
+  inkPolarityNoteEl.textContent = auto ? `(found ${resolvedInkPolarity} ink)` : '';
+}
+
+function applyWaveform(waveform, roi, imageDataLength, capture = null) {
   synthEngine.updateWaveform(waveform);
-  updateExtractionDebugWavetableInfo(waveform.length, roi, imageData?.data?.length);
-  drawWaveform(waveform);
+  updateExtractionDebugWavetableInfo(waveform.length, roi, imageDataLength, capture?.details);
+  wctx.clearRect(0, 0, waveformCanvas.width, waveformCanvas.height);
+  if (capture) drawConfidenceTint(capture);
+  drawWaveform(waveform, { clear: false });
+}
+
+// Detect repeated periods in a single-trace extraction and, unless Cycle Crop is off, cut it
+// to one or every whole cycle so Panel Period spans exactly that.
+function analyzeCapture(details) {
+  const detection = detectCycles(details.waveform, { start: details.trimmedStart, end: details.trimmedEnd });
+  const mode = cycleCropSelect?.value ?? 'off';
+  const crop = detection && mode !== 'off'
+    ? cropToCycles(details.waveform, detection, { cycles: mode === 'one' ? 1 : detection.wholeCycles })
+    : null;
+
+  const capture = { details, detection, crop, waveform: crop ? crop.waveform : details.waveform };
+  updateCycleDetectNote(capture);
+  return capture;
+}
+
+function updateCycleDetectNote({ detection, crop }) {
+  if (!cycleDetectNoteEl) return;
+  if (!detection) {
+    cycleDetectNoteEl.textContent = 'No repeat found: looping the whole trace';
+    return;
+  }
+
+  const cyclesText = `${detection.cycles.toFixed(2)} cycles found`;
+  cycleDetectNoteEl.textContent = crop
+    ? `${cyclesText}, looping ${crop.cycles}`
+    : `${cyclesText}, not cropped`;
+}
+
+// Re-crop the newest captured frame in place when the Cycle Crop mode changes.
+function applyCycleCropToNewestFrame() {
+  if (!newestCapture) return;
+
+  const capture = { ...analyzeCapture(newestCapture.details), raw: newestCapture.raw };
+  frameStack.replaceFrame(frameStack.getFrameCount() - 1, capture.waveform);
+  newestCapture = capture;
+  applyMorphPosition(1);
+}
+
+// Shade image columns the extractor was unsure about: red for trimmed or low-confidence
+// columns, amber for columns filled by interpolation. Columns outside the ROI are left clear.
+// A cropped capture only shows the columns inside its crop, stretched to the canvas width.
+function drawConfidenceTint({ details, crop }) {
+  const { confidence, interpolated, trimmedStart, trimmedEnd } = details;
+  const viewStart = crop ? crop.start : 0;
+  const viewLength = crop ? crop.length : confidence.length;
+  if (viewLength <= 0) return;
+
+  const columnWidth = waveformCanvas.width / viewLength;
+  for (let x = Math.max(0, Math.floor(viewStart)); x < Math.min(confidence.length, viewStart + viewLength); x++) {
+    if (Number.isNaN(confidence[x])) continue;
+
+    let color = null;
+    if (x < trimmedStart || x > trimmedEnd || confidence[x] < LOW_CONFIDENCE_TINT_THRESHOLD) {
+      color = LOW_CONFIDENCE_TINT_COLOR;
+    } else if (interpolated[x]) {
+      color = INTERPOLATED_TINT_COLOR;
+    }
+    if (!color) continue;
+
+    wctx.fillStyle = color;
+    // Overlap by a pixel so adjacent columns do not leave hairline gaps.
+    wctx.fillRect(Math.floor((x - viewStart) * columnWidth), 0, Math.ceil(columnWidth) + 1, waveformCanvas.height);
+  }
+}
+
+// Exponentially smooth successive waveforms so live playback does not jump.
+function blendWaveforms(previous, next, nextWeight) {
+  if (!previous || previous.length !== next.length) {
+    return Float32Array.from(next);
+  }
+
+  const out = new Float32Array(next.length);
+  for (let i = 0; i < next.length; i++) {
+    out[i] = previous[i] + (next[i] - previous[i]) * nextWeight;
+  }
+  return out;
 }
 
 // Draw the extracted waveform line on the waveform canvas.
-function drawWaveform(waveform) {
-  wctx.clearRect(0, 0, waveformCanvas.width, waveformCanvas.height);
+function drawWaveform(waveform, { clear = true, color = '#ffffff' } = {}) {
+  if (clear) {
+    wctx.clearRect(0, 0, waveformCanvas.width, waveformCanvas.height);
+  }
 
   const plotWidth = Math.max(10, waveformCanvas.width);
   const plotHeight = Math.max(20, waveformCanvas.height);
 
-  wctx.strokeStyle = '#ffffff';
+  wctx.strokeStyle = color;
   wctx.lineWidth = 2;
 
   let isDrawing = false;
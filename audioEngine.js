@@ -1,7 +1,24 @@
 // Audio engine:
-// - runs wavetable playback with play/stop controls and gain envelope
+// - runs polyphonic wavetable playback (voice pool with stealing) with per-voice ADSR envelopes
+// - filters each voice (low/high/band-pass, notch) with key tracking and a filter envelope
+// - plays the panel-period tone from the Play button and MIDI-style notes (frequency, velocity, pitch bend)
+// - crossfades every sounding voice to a new wavetable when the waveform changes during playback
 // - prepares extracted waveforms for synthesis (DC removal + optional upsampling)
-// - renders a Goertzel-based spectrum with dense peak-frequency estimation
+// - repairs the loop seam (tilt, crossfade or zero-crossing start) and reports the step at the wrap
+// - plays octave-spaced band-limited copies of the table so high notes do not alias
+// - holds an ordered stack of wavetable frames and morphs between neighbours by position
+// - plays frames that carry a right channel (e.g. two extracted traces) as a stereo table
+// - renders the panel-period tone offline for WAV export
+// - renders a Goertzel-based spectrum with dense peak-frequency estimation and the filter response
+
+// Exponential envelope ramps cannot reach zero, so they start from and fall to this level.
+export const ENVELOPE_FLOOR = 0.0001;
+export const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'notch'];
+// Treatments for the wrap from the table's last sample back to its first.
+export const LOOP_SEAM_MODES = ['off', 'tilt', 'crossfade', 'zero-crossing'];
+// Half-width of the seam crossfade on each side of the wrap, as a fraction of the table.
+const SEAM_CROSSFADE_RATIO = 0.03;
+
 // Build and return the audio controller used by the app.
 export function createSynthAudioEngine({
   playButton,
@@ -12,43 +29,145 @@ export function createSynthAudioEngine({
   const DEFAULT_PANEL_DURATION_SECONDS = 0.01;
   const MIN_PANEL_DURATION_SECONDS = 0.001;
   const MAX_PANEL_DURATION_SECONDS = 0.2;
-  const ATTACK_SECONDS = 0.01;
-  const RELEASE_SECONDS = 0.04;
+  const DEFAULT_ENVELOPE = {
+    attack: 0.01,
+    decay: 0.1,
+    sustain: 1,
+    release: 0.04,
+    curve: 'linear',
+  };
+  const ENVELOPE_LIMITS = {
+    attack: [0.001, 5],
+    decay: [0.001, 5],
+    sustain: [0, 1],
+    release: [0.005, 10],
+  };
+  // A fully open low-pass is the neutral default, so the raw wavetable is heard until the filter is used.
+  const DEFAULT_FILTER = {
+    type: 'lowpass',
+    cutoff: 20000,
+    resonance: 0,
+    keyTracking: 0,
+    envelopeAmount: 0,
+  };
+  const FILTER_LIMITS = {
+    cutoff: [20, 20000],
+    resonance: [0, 1],
+    keyTracking: [0, 1],
+    envelopeAmount: [-8, 8],
+  };
+  const DEFAULT_FILTER_ENVELOPE = {
+    attack: 0.005,
+    decay: 0.3,
+    sustain: 0,
+    release: 0.2,
+    curve: 'linear',
+  };
+  // Key tracking scales the cutoff relative to a note at this frequency (middle C).
+  const KEY_TRACKING_REFERENCE_HZ = 261.63;
+  // The filter curve is drawn on a dB axis from this floor to this ceiling.
+  const FILTER_DISPLAY_MIN_DB = -36;
+  const FILTER_DISPLAY_MAX_DB = 12;
+  const WAVETABLE_SWAP_SECONDS = 0.03;
+  // Spectrum redraws and voice crossfades after a table change wait this long, so a burst of
+  // Position or mod-wheel moves costs one swap. A timer (not an animation frame) keeps MIDI
+  // moves audible while the tab is in the background.
+  const TABLE_REFRESH_DELAY_MS = 16;
+  const MAX_OUTPUT_GAIN = 0.9;
+  const DEFAULT_POLYPHONY = 8;
+  const MIN_POLYPHONY = 1;
+  const MAX_POLYPHONY = 16;
+  const DEFAULT_VOICE_STEAL_MODE = 'oldest';
+  // Fade applied to a stolen voice so reusing its slot does not click.
+  const STEAL_FADE_SECONDS = 0.005;
+  // Voice key used by the Play button tone (MIDI voices are keyed by note number).
+  const PANEL_VOICE_KEY = 'panel';
   const SPECTRUM_BAR_COUNT = 100;
   const SPECTRUM_MIN_HZ = 20;
   const SPECTRUM_MAX_HZ = 20000;
   const DEFAULT_SPECTRUM_SCALE = 'linear';
   const PEAK_ESTIMATE_COARSE_STEPS = 512;
   const PEAK_ESTIMATE_REFINE_STEPS = 64;
+  const DEFAULT_LOOP_SEAM_MODE = 'off';
 
   let audioContext = null;
   let masterGainNode = null;
+  let outputLimiterNode = null;
   let preparedWavetable = null;
-  let activeSourceNode = null;
+  // Right channel of the playing table, or null while every frame is mono.
+  let preparedRightWavetable = null;
+  // Prepared frames (common length) that the morph position interpolates between.
+  let wavetableFrames = [];
+  let rightWavetableFrames = null;
+  // Seam step of each frame ({ before, after } repair), measured at capture resolution.
+  let wavetableSeamSteps = [];
+  // Frames as last passed in, so a seam mode change can prepare them again.
+  let sourceFrames = [];
+  let sourceRightFrames = [];
+  let loopSeamMode = DEFAULT_LOOP_SEAM_MODE;
+  // { mode, before, after } seam step of the frame nearest the morph position, or null.
+  let loopSeamReport = null;
+  let morphPosition = 0;
+  // Band-limited levels of the playing table, each with one lazily created AudioBuffer
+  // shared by every voice.
+  let bandLimitedTables = [];
+  let rightBandLimitedTables = [];
+  let preparedTableBuffers = [];
+  // Band-limited levels of each prepared frame, built the first time the morph reaches it.
+  // Band-limiting is linear, so morphing between two frames' levels gives the levels of the
+  // morphed table without another DFT.
+  const frameLevelCache = new WeakMap();
+  let tableRefreshTimer = null;
+  let voices = [];
+  let polyphony = DEFAULT_POLYPHONY;
+  let voiceStealMode = DEFAULT_VOICE_STEAL_MODE;
   let isActive = false;
   let spectrumScale = DEFAULT_SPECTRUM_SCALE;
   let panelDurationSeconds = DEFAULT_PANEL_DURATION_SECONDS;
+  let pitchBendSemitones = 0;
+  let envelope = { ...DEFAULT_ENVELOPE };
+  let filterSettings = { ...DEFAULT_FILTER };
+  let filterEnvelope = { ...DEFAULT_FILTER_ENVELOPE };
 
   const spectrumCtx = spectrumCanvas ? spectrumCanvas.getContext('2d') : null;
 
-  // Main process flow API.
+  // Main process flow API: a single waveform becomes a one-frame wavetable.
   function updateWaveform(waveform) {
-    prepareWaveformForSynthesis(waveform || null);
+    setWavetableFrames(waveform ? [waveform] : []);
+  }
 
-    if (!preparedWavetable || preparedWavetable.length === 0) {
-      return;
-    }
+  // Replace the frame stack; the current morph position picks the sounding table.
+  // rightFrames (same order, null entries allowed) turns the table stereo; frames without a
+  // right channel play the same waveform on both sides.
+  function setWavetableFrames(frames, rightFrames = null) {
+    sourceFrames = frames || [];
+    sourceRightFrames = rightFrames || [];
+    const prepared = prepareWavetableFrames(sourceFrames, sourceRightFrames);
+    wavetableFrames = prepared.left;
+    rightWavetableFrames = prepared.right;
+    wavetableSeamSteps = prepared.seamSteps;
+    applyMorphedWavetable();
+  }
+
+  // Pick one of LOOP_SEAM_MODES (unknown values turn repair off) and re-prepare the frames.
+  function setLoopSeamMode(mode) {
+    loopSeamMode = LOOP_SEAM_MODES.includes(mode) ? mode : DEFAULT_LOOP_SEAM_MODE;
+    setWavetableFrames(sourceFrames, sourceRightFrames);
+    return loopSeamMode;
+  }
+
+  // Position 0..1 spans the first to last frame; values between frames interpolate samples.
+  function setMorphPosition(position) {
+    const numeric = Number(position);
+    morphPosition = Number.isFinite(numeric) ? Math.max(0, Math.min(1, numeric)) : 0;
+    applyMorphedWavetable();
+    return morphPosition;
   }
 
   function setPanelDurationSeconds(seconds) {
     panelDurationSeconds = sanitizePanelDurationSeconds(seconds);
 
-    if (activeSourceNode && audioContext && preparedWavetable && preparedWavetable.length > 0) {
-      const desiredLoopFrequencyHz = 1 / panelDurationSeconds;
-      const baseTableFrequency = audioContext.sampleRate / preparedWavetable.length;
-      const playbackRate = desiredLoopFrequencyHz / baseTableFrequency;
-      activeSourceNode.playbackRate.setValueAtTime(playbackRate, audioContext.currentTime);
-    }
+    updateVoicePlaybackRates();
 
     if (preparedWavetable) {
       drawSpectrumFromWaveform(preparedWavetable);
@@ -57,23 +176,13 @@ export function createSynthAudioEngine({
     return panelDurationSeconds;
   }
 
-  // This will turn audio on and start synthesis playback behavior.
+  // This will turn audio on and start the panel-period tone.
   async function startAudio() {
-    ensureAudioEngine();
-
-    if (audioContext.state === 'suspended') {
-      await audioContext.resume();
-    }
+    await resumeAudioEngine();
 
-    const started = startCustomSynthesis();
-    if (!started) {
-      isActive = false;
-      if (playButton) playButton.textContent = 'Play';
-      return;
-    }
-
-    isActive = true;
-    if (playButton) playButton.textContent = 'Stop';
+    const started = startVoice(PANEL_VOICE_KEY, null, 1);
+    isActive = started;
+    if (playButton) playButton.textContent = started ? 'Stop' : 'Play';
   }
 
   function setSpectrumScale(mode) {
@@ -88,16 +197,120 @@ export function createSynthAudioEngine({
   async function stopAudio() {
     if (!audioContext) return;
 
-    stopCustomSynthesis();
-
-    if (audioContext.state === 'running') {
-      await audioContext.suspend();
-    }
+    // Leave the context running so held MIDI voices and the release tail keep sounding.
+    releaseVoice(findSoundingVoice(PANEL_VOICE_KEY));
 
     isActive = false;
     if (playButton) playButton.textContent = 'Play';
   }
 
+  // Start a voice at a note frequency; velocity is normalized 0..1.
+  async function noteOn(noteNumber, frequencyHz, velocity = 1) {
+    if (!Number.isFinite(frequencyHz) || frequencyHz <= 0) return false;
+
+    await resumeAudioEngine();
+    const peakGain = Math.max(0, Math.min(1, Number(velocity) || 0));
+    return startVoice(noteNumber, frequencyHz, peakGain);
+  }
+
+  function noteOff(noteNumber) {
+    releaseVoice(findSoundingVoice(noteNumber));
+  }
+
+  function setPitchBend(semitones) {
+    const numeric = Number(semitones);
+    pitchBendSemitones = Number.isFinite(numeric) ? numeric : 0;
+    updateVoicePlaybackRates();
+  }
+
+  function setPolyphony(count) {
+    const numeric = Math.round(Number(count));
+    polyphony = Number.isFinite(numeric)
+      ? Math.max(MIN_POLYPHONY, Math.min(MAX_POLYPHONY, numeric))
+      : DEFAULT_POLYPHONY;
+
+    while (voices.length > polyphony) {
+      stealVoice();
+    }
+
+    return polyphony;
+  }
+
+  // Update any subset of attack/decay/release (seconds), sustain (0..1) and curve; new notes use it.
+  function setEnvelope(changes = {}) {
+    envelope = mergeEnvelopeChanges(envelope, changes, DEFAULT_ENVELOPE);
+    return { ...envelope };
+  }
+
+  // Filter envelope (same fields as setEnvelope) sweeps the cutoff by envelopeAmount octaves.
+  function setFilterEnvelope(changes = {}) {
+    filterEnvelope = mergeEnvelopeChanges(filterEnvelope, changes, DEFAULT_FILTER_ENVELOPE);
+    return { ...filterEnvelope };
+  }
+
+  // Update type, cutoff (Hz), resonance (0..1), keyTracking (0..1) and envelopeAmount (octaves).
+  // Changes apply to sounding voices immediately.
+  function setFilter(changes = {}) {
+    const next = { ...filterSettings };
+
+    for (const key of Object.keys(FILTER_LIMITS)) {
+      if (!(key in changes)) continue;
+      next[key] = clampSetting(changes[key], FILTER_LIMITS[key], DEFAULT_FILTER[key]);
+    }
+
+    if ('type' in changes) {
+      next.type = FILTER_TYPES.includes(changes.type) ? changes.type : DEFAULT_FILTER.type;
+    }
+
+    filterSettings = next;
+    updateVoiceFilters();
+    if (preparedWavetable) {
+      drawSpectrumFromWaveform(preparedWavetable);
+    }
+    return { ...filterSettings };
+  }
+
+  function setVoiceStealMode(mode) {
+    voiceStealMode = mode === 'quietest' ? 'quietest' : 'oldest';
+  }
+
+  // Render the panel-period tone (held, then released through the ADSR) without touching live playback.
+  async function renderPanelTone(durationSeconds, sampleRate) {
+    if (!preparedWavetable || preparedWavetable.length === 0) return null;
+
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const frameCount = Math.max(1, Math.round(durationSeconds * sampleRate));
+    const offlineContext = new OfflineContext(1, frameCount, sampleRate);
+
+    const playbackRate = (preparedWavetable.length / panelDurationSeconds) / sampleRate;
+    const level = getBandLimitedLevel(playbackRate, bandLimitedTables.length);
+    // A stereo table is mixed down to the mono render.
+    const tableBuffer = createTableBuffer(offlineContext, level);
+
+    const source = offlineContext.createBufferSource();
+    source.buffer = tableBuffer;
+    source.loop = true;
+    source.playbackRate.value = playbackRate;
+
+    const gainNode = offlineContext.createGain();
+    const renderEnvelope = { ...envelope };
+    const endTime = frameCount / sampleRate;
+    const releaseStart = Math.max(0, endTime - renderEnvelope.release);
+    scheduleEnvelopeStart(gainNode.gain, renderEnvelope, 0, MAX_OUTPUT_GAIN, releaseStart);
+    scheduleEnvelopeRelease(gainNode.gain, renderEnvelope, releaseStart);
+
+    const renderFilterEnvelope = { ...filterEnvelope };
+    const filterChain = createFilterChain(offlineContext, 1 / panelDurationSeconds, renderFilterEnvelope, 0, releaseStart);
+    scheduleEnvelopeRelease(filterChain.envelopeGain.gain, renderFilterEnvelope, releaseStart);
+
+    source.connect(filterChain.filterNode);
+    filterChain.filterNode.connect(gainNode);
+    gainNode.connect(offlineContext.destination);
+    source.start(0);
+
+    return offlineContext.startRendering();
+  }
+
   async function toggleAudio() {
     if (isActive) {
       await stopAudio();
@@ -121,7 +334,32 @@ export function createSynthAudioEngine({
     updateWaveform,
     setSpectrumScale,
     setPanelDurationSeconds,
+    setWavetableFrames,
+    setMorphPosition,
+    setLoopSeamMode,
+    noteOn,
+    noteOff,
+    setPitchBend,
+    setPolyphony,
+    setVoiceStealMode,
+    setEnvelope,
+    setFilter,
+    setFilterEnvelope,
+    renderPanelTone,
     getPanelDurationSeconds: () => panelDurationSeconds,
+    getSpectrumScale: () => spectrumScale,
+    getPolyphony: () => polyphony,
+    getVoiceStealMode: () => voiceStealMode,
+    getEnvelope: () => ({ ...envelope }),
+    getFilter: () => ({ ...filterSettings }),
+    getFilterEnvelope: () => ({ ...filterEnvelope }),
+    getMorphPosition: () => morphPosition,
+    getLoopSeamMode: () => loopSeamMode,
+    getLoopSeamReport: () => (loopSeamReport ? { ...loopSeamReport } : null),
+    getWavetableFrameCount: () => wavetableFrames.length,
+    getActiveVoiceCount: () => voices.length,
+    getPreparedWavetable: () => (preparedWavetable ? Float32Array.from(preparedWavetable) : null),
+    getPreparedRightWavetable: () => (preparedRightWavetable ? Float32Array.from(preparedRightWavetable) : null),
     getPreparedWavetableLength: () => (preparedWavetable ? preparedWavetable.length : 0),
   };
 
@@ -131,65 +369,116 @@ export function createSynthAudioEngine({
     return Math.max(MIN_PANEL_DURATION_SECONDS, Math.min(MAX_PANEL_DURATION_SECONDS, numeric));
   }
 
-  function toFiniteWaveform(input) {
-    if (!input || !Number.isFinite(input.length) || input.length <= 0) {
-      return null;
-    }
+  // Loop frequency for a voice (note pitch, or panel period for the Play tone), including pitch bend.
+  function getLoopFrequencyHz(voice) {
+    const baseFrequencyHz = voice.frequencyHz ?? 1 / panelDurationSeconds;
+    return baseFrequencyHz * Math.pow(2, pitchBendSemitones / 12);
+  }
 
-    const out = new Float32Array(input.length);
-    let hasFinite = false;
+  function getPlaybackRate(voice) {
+    const baseTableFrequency = audioContext.sampleRate / preparedWavetable.length;
+    return getLoopFrequencyHz(voice) / baseTableFrequency;
+  }
 
-    for (let i = 0; i < input.length; i++) {
-      const value = Number(input[i]);
-      if (Number.isFinite(value)) {
-        out[i] = value;
-        hasFinite = true;
-      } else {
-        out[i] = 0;
+  function updateVoicePlaybackRates() {
+    if (!audioContext || !preparedWavetable || preparedWavetable.length === 0) return;
+
+    const now = audioContext.currentTime;
+    for (const voice of voices) {
+      const playbackRate = getPlaybackRate(voice);
+      // Crossing into another octave's band-limited table needs a new source.
+      if (!voice.releasing && getBandLimitedLevel(playbackRate, bandLimitedTables.length) !== voice.tableLevel) {
+        crossfadeVoiceSource(voice, now);
+        continue;
       }
+      voice.source.playbackRate.setValueAtTime(playbackRate, now);
     }
 
-    return hasFinite ? out : null;
+    // Key tracking follows the bent pitch as well.
+    updateVoiceFilters();
   }
 
-  function removeDcOffset(waveform) {
-    let sum = 0;
-    for (let i = 0; i < waveform.length; i++) {
-      sum += waveform[i];
+  function clampSetting(value, [min, max], fallback) {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? Math.max(min, Math.min(max, numeric)) : fallback;
+  }
+
+  function mergeEnvelopeChanges(current, changes, defaults) {
+    const next = { ...current };
+
+    for (const key of Object.keys(ENVELOPE_LIMITS)) {
+      if (!(key in changes)) continue;
+      next[key] = clampSetting(changes[key], ENVELOPE_LIMITS[key], defaults[key]);
     }
-    const mean = waveform.length > 0 ? sum / waveform.length : 0;
 
-    for (let i = 0; i < waveform.length; i++) {
-      waveform[i] -= mean;
+    if ('curve' in changes) {
+      next.curve = changes.curve === 'exponential' ? 'exponential' : 'linear';
     }
 
-    return waveform;
+    return next;
   }
 
-  function resampleToLength(waveform, targetLength) {
-    if (!waveform || waveform.length <= 0 || targetLength <= 0) {
-      return null;
-    }
+  // Base cutoff for a note, scaled by key tracking and kept below Nyquist.
+  function getTrackedCutoffHz(loopFrequencyHz, sampleRate) {
+    const ratio = Math.max(1e-3, loopFrequencyHz / KEY_TRACKING_REFERENCE_HZ);
+    const tracked = filterSettings.cutoff * Math.pow(ratio, filterSettings.keyTracking);
+    return Math.max(10, Math.min(sampleRate * 0.49, tracked));
+  }
 
-    const out = new Float32Array(targetLength);
+  // Build a biquad whose detune is driven by (constant 1 -> ADSR gain -> cents gain), so the
+  // filter envelope sweeps the cutoff in octaves regardless of the base frequency.
+  function createFilterChain(context, loopFrequencyHz, env, startTime, releaseTime = Infinity) {
+    const filterNode = context.createBiquadFilter();
+    filterNode.type = filterSettings.type;
+    filterNode.frequency.value = getTrackedCutoffHz(loopFrequencyHz, context.sampleRate);
+    filterNode.Q.value = getFilterQ(filterSettings.type, filterSettings.resonance);
+
+    const envelopeSource = context.createConstantSource();
+    const envelopeGain = context.createGain();
+    const amountGain = context.createGain();
+    amountGain.gain.value = filterSettings.envelopeAmount * 1200;
+    scheduleEnvelopeStart(envelopeGain.gain, env, startTime, 1, releaseTime);
+
+    envelopeSource.connect(envelopeGain);
+    envelopeGain.connect(amountGain);
+    amountGain.connect(filterNode.detune);
+    envelopeSource.start(startTime);
+
+    return { filterNode, envelopeSource, envelopeGain, amountGain };
+  }
 
-    if (waveform.length === 1) {
-      out.fill(waveform[0]);
-      return out;
+  function updateVoiceFilters() {
+    if (!audioContext) return;
+
+    const now = audioContext.currentTime;
+    for (const voice of voices) {
+      const { filterNode, amountGain } = voice.filterChain;
+      filterNode.type = filterSettings.type;
+      filterNode.frequency.setValueAtTime(getTrackedCutoffHz(getLoopFrequencyHz(voice), audioContext.sampleRate), now);
+      filterNode.Q.setValueAtTime(getFilterQ(filterSettings.type, filterSettings.resonance), now);
+      amountGain.gain.setValueAtTime(filterSettings.envelopeAmount * 1200, now);
+    }
+  }
+
+  function toFiniteWaveform(input) {
+    if (!input || !Number.isFinite(input.length) || input.length <= 0) {
+      return null;
     }
 
-    for (let i = 0; i < targetLength; i++) {
-      const position = (i / targetLength) * waveform.length;
-      const indexA = Math.floor(position);
-      const indexB = (indexA + 1) % waveform.length;
-      const frac = position - indexA;
+    const out = new Float32Array(input.length);
+    let hasFinite = false;
 
-      const a = waveform[indexA];
-      const b = waveform[indexB];
-      out[i] = a + (b - a) * frac;
+    for (let i = 0; i < input.length; i++) {
+      const value = Number(input[i]);
+      if (Number.isFinite(value)) {
+        out[i] = value;
+        hasFinite = true;
+      } else {
+        out[i] = 0;
+      }
     }
 
-    return out;
+    return hasFinite ? out : null;
   }
 
   function getTargetWavetableLength(sourceLength) {
@@ -210,9 +499,26 @@ export function createSynthAudioEngine({
     }
 
     if (!masterGainNode) {
+      // Chords sum several full-scale voices, so a limiter sits before the output.
+      outputLimiterNode = audioContext.createDynamicsCompressor();
+      outputLimiterNode.threshold.value = -6;
+      outputLimiterNode.knee.value = 0;
+      outputLimiterNode.ratio.value = 20;
+      outputLimiterNode.attack.value = 0.003;
+      outputLimiterNode.release.value = 0.1;
+      outputLimiterNode.connect(audioContext.destination);
+
       masterGainNode = audioContext.createGain();
-      masterGainNode.gain.value = 0;
-      masterGainNode.connect(audioContext.destination);
+      masterGainNode.gain.value = MAX_OUTPUT_GAIN;
+      masterGainNode.connect(outputLimiterNode);
+    }
+  }
+
+  async function resumeAudioEngine() {
+    ensureAudioEngine();
+
+    if (audioContext.state === 'suspended') {
+      await audioContext.resume();
     }
   }
 
@@ -425,78 +731,666 @@ export function createSynthAudioEngine({
     spectrumCtx.textAlign = 'center';
     spectrumCtx.fillText('Frequency (Hz)', plotX + plotWidth * 0.5, height - 1);
     spectrumCtx.textAlign = 'left';
+
+    drawFilterResponse(plotX, plotY, plotWidth, plotHeight, minDisplayHz, maxDisplayHz);
+  }
+
+  // Overlay the filter's static response (before the filter envelope) for the panel tone, in dB.
+  function drawFilterResponse(plotX, plotY, plotWidth, plotHeight, minDisplayHz, maxDisplayHz) {
+    const sampleRate = audioContext ? audioContext.sampleRate : 48000;
+    const cutoffHz = getTrackedCutoffHz(1 / panelDurationSeconds, sampleRate);
+    const q = getFilterQ(filterSettings.type, filterSettings.resonance);
+    const dbRange = FILTER_DISPLAY_MAX_DB - FILTER_DISPLAY_MIN_DB;
+    const steps = Math.max(2, Math.round(plotWidth));
+
+    spectrumCtx.strokeStyle = '#facc15';
+    spectrumCtx.lineWidth = 1.5;
+    spectrumCtx.beginPath();
+    for (let i = 0; i <= steps; i++) {
+      const ratio = i / steps;
+      const hz = getFrequencyAtRatio(ratio, minDisplayHz, maxDisplayHz, spectrumScale);
+      const magnitude = getBiquadMagnitude(filterSettings.type, cutoffHz, q, hz, sampleRate);
+      const db = 20 * Math.log10(Math.max(1e-6, magnitude));
+      const level = Math.max(0, Math.min(1, (db - FILTER_DISPLAY_MIN_DB) / dbRange));
+      const x = plotX + ratio * plotWidth;
+      const y = plotY + (1 - level) * plotHeight;
+      if (i === 0) {
+        spectrumCtx.moveTo(x, y);
+      } else {
+        spectrumCtx.lineTo(x, y);
+      }
+    }
+    spectrumCtx.stroke();
+
+    const zeroDbY = plotY + (FILTER_DISPLAY_MAX_DB / dbRange) * plotHeight;
+    spectrumCtx.fillStyle = '#a16207';
+    spectrumCtx.textAlign = 'left';
+    spectrumCtx.fillText('0 dB', plotX + plotWidth + 2, zeroDbY + 3);
   }
 
-  function prepareWaveformForSynthesis(waveform) {
-    const finiteWaveform = toFiniteWaveform(waveform);
-    if (!finiteWaveform) {
+  // Resonance 0..1 mapped to Q: low/high-pass take Q in dB (flat at 0), band-pass/notch take a linear Q.
+  function getFilterQ(type, resonance) {
+    if (type === 'lowpass' || type === 'highpass') {
+      return -3 + 27 * resonance;
+    }
+    return 0.5 * Math.pow(2, 6 * resonance);
+  }
+
+  // Sanitize, DC-correct and seam-repair every frame (and right channel), then resample to one
+  // shared table length. Repair runs at capture resolution, before upsampling smears a step over
+  // several samples. Returns { left, right, seamSteps }, where right is null unless some frame
+  // has a right channel.
+  function prepareWavetableFrames(frames, rightFrames) {
+    const pairs = frames
+      .map((frame, index) => ({ left: toFiniteWaveform(frame), right: toFiniteWaveform(rightFrames[index]) }))
+      .filter((pair) => pair.left);
+    if (pairs.length === 0) return { left: [], right: null, seamSteps: [] };
+
+    const longest = Math.max(...pairs.map((pair) => Math.max(pair.left.length, pair.right ? pair.right.length : 0)));
+    const targetLength = getTargetWavetableLength(longest);
+    const fitToLength = (frame) => (frame.length === targetLength ? frame : resampleToLength(frame, targetLength));
+    const getSeamSteps = (before, after) => ({ before: getLoopSeamStep(before), after: getLoopSeamStep(after) });
+
+    const seamSteps = [];
+    const repairedPairs = pairs.map((pair) => {
+      const repaired = repairStereoLoopSeam(
+        removeDcOffset(pair.left),
+        pair.right ? removeDcOffset(pair.right) : null,
+        loopSeamMode,
+      );
+      // Tilt and crossfade shift the mean, so DC is removed again after the repair.
+      const left = removeDcOffset(repaired.left);
+      const right = repaired.right ? removeDcOffset(repaired.right) : null;
+      seamSteps.push({
+        ...getSeamSteps(pair.left, left),
+        right: right ? getSeamSteps(pair.right, right) : null,
+      });
+      return { left, right };
+    });
+    const left = repairedPairs.map((pair) => fitToLength(pair.left));
+    const isStereo = repairedPairs.some((pair) => pair.right);
+    const right = isStereo
+      ? repairedPairs.map((pair, index) => (pair.right ? fitToLength(pair.right) : left[index]))
+      : null;
+
+    return { left, right, seamSteps };
+  }
+
+  // Interpolate the two frames around the morph position and make that the playing table.
+  function applyMorphedWavetable() {
+    if (wavetableFrames.length === 0) {
       preparedWavetable = null;
+      preparedRightWavetable = null;
+      bandLimitedTables = [];
+      rightBandLimitedTables = [];
+      preparedTableBuffers = [];
+      loopSeamReport = null;
       clearSpectrumCanvas();
       return;
     }
 
-    removeDcOffset(finiteWaveform);
-    const targetLength = getTargetWavetableLength(finiteWaveform.length);
-    preparedWavetable = targetLength === finiteWaveform.length
-      ? finiteWaveform
-      : resampleToLength(finiteWaveform, targetLength);
-    drawSpectrumFromWaveform(preparedWavetable);
+    bandLimitedTables = interpolateFrameLevels(wavetableFrames, morphPosition);
+    // Level 0 is the full-band table itself.
+    preparedWavetable = bandLimitedTables[0];
+    // Report the frame nearest the morph position.
+    const nearestFrame = Math.round(morphPosition * (wavetableSeamSteps.length - 1));
+    loopSeamReport = { mode: loopSeamMode, ...wavetableSeamSteps[nearestFrame] };
+    rightBandLimitedTables = rightWavetableFrames ? interpolateFrameLevels(rightWavetableFrames, morphPosition) : [];
+    preparedRightWavetable = rightWavetableFrames ? rightBandLimitedTables[0] : null;
+    preparedTableBuffers = [];
+    scheduleTableRefresh();
   }
 
-  function startCustomSynthesis() {
-    if (!audioContext || !masterGainNode) return;
+  function scheduleTableRefresh() {
+    if (tableRefreshTimer !== null) return;
+    tableRefreshTimer = setTimeout(() => {
+      tableRefreshTimer = null;
+      if (!preparedWavetable) return;
+      drawSpectrumFromWaveform(preparedWavetable);
+      if (voices.length > 0) {
+        swapVoiceWavetables();
+      }
+    }, TABLE_REFRESH_DELAY_MS);
+  }
+
+  // Band-limited levels of the table at `position`, interpolated from the cached levels of the
+  // two frames around it. Always returns new arrays, so the cache is never handed out.
+  function interpolateFrameLevels(frames, position) {
+    const scaledPosition = position * (frames.length - 1);
+    const indexA = Math.floor(scaledPosition);
+    const indexB = Math.min(frames.length - 1, indexA + 1);
+    const frac = scaledPosition - indexA;
+    const levelsA = getFrameLevels(frames[indexA]);
+    const levelsB = getFrameLevels(frames[indexB]);
+
+    return levelsA.map((levelA, level) => {
+      const levelB = levelsB[level];
+      const table = new Float32Array(levelA.length);
+      for (let i = 0; i < table.length; i++) {
+        table[i] = levelA[i] + (levelB[i] - levelA[i]) * frac;
+      }
+      return table;
+    });
+  }
+
+  function getFrameLevels(frame) {
+    let levels = frameLevelCache.get(frame);
+    if (!levels) {
+      levels = buildBandLimitedTables(frame);
+      frameLevelCache.set(frame, levels);
+    }
+    return levels;
+  }
+
+  // Copy one band-limited level (both channels when stereo) into a buffer for the given context.
+  function createTableBuffer(context, level) {
+    const channelCount = preparedRightWavetable ? 2 : 1;
+    const buffer = context.createBuffer(channelCount, preparedWavetable.length, context.sampleRate);
+    buffer.copyToChannel(bandLimitedTables[level], 0, 0);
+    if (channelCount === 2) {
+      buffer.copyToChannel(rightBandLimitedTables[level], 1, 0);
+    }
+    return buffer;
+  }
+
+  // Start one voice; an existing voice with the same key is retriggered.
+  function startVoice(key, frequencyHz, peakGain) {
+    if (!audioContext || !masterGainNode) return false;
     if (!preparedWavetable || preparedWavetable.length === 0) {
       return false;
     }
 
-    if (activeSourceNode) {
-      activeSourceNode.stop();
-      activeSourceNode.disconnect();
-      activeSourceNode = null;
+    stopVoiceQuickly(findSoundingVoice(key));
+    while (voices.length >= polyphony) {
+      stealVoice();
     }
 
-    const tableBuffer = audioContext.createBuffer(1, preparedWavetable.length, audioContext.sampleRate);
-    tableBuffer.copyToChannel(preparedWavetable, 0, 0);
+    const now = audioContext.currentTime;
+    // Each voice keeps the envelopes it started with, so edits only affect new notes.
+    const voiceEnvelope = { ...envelope };
+    const voiceFilterEnvelope = { ...filterEnvelope };
+    const envelopeGain = audioContext.createGain();
+    scheduleEnvelopeStart(envelopeGain.gain, voiceEnvelope, now, peakGain);
+    envelopeGain.connect(masterGainNode);
+
+    const voice = {
+      key,
+      frequencyHz,
+      peakGain,
+      envelope: voiceEnvelope,
+      filterEnvelope: voiceFilterEnvelope,
+      startedAt: now,
+      releasing: false,
+      envelopeGain,
+      filterChain: null,
+      tableLevel: 0,
+      source: null,
+      sourceGain: null,
+    };
 
-    const source = audioContext.createBufferSource();
-    source.buffer = tableBuffer;
-    source.loop = true;
+    voice.filterChain = createFilterChain(audioContext, getLoopFrequencyHz(voice), voiceFilterEnvelope, now);
+    voice.filterChain.filterNode.connect(envelopeGain);
 
-    const desiredLoopFrequencyHz = 1 / panelDurationSeconds;
-    const baseTableFrequency = audioContext.sampleRate / preparedWavetable.length;
-    const playbackRate = desiredLoopFrequencyHz / baseTableFrequency;
-    source.playbackRate.setValueAtTime(playbackRate, audioContext.currentTime);
+    attachWavetableSource(voice);
+    voice.source.start(now);
+    voices.push(voice);
+    return true;
+  }
+
+  function findSoundingVoice(key) {
+    return voices.find((voice) => voice.key === key && !voice.releasing) || null;
+  }
+
+  // Stop the voice chooseVoiceToSteal picks. Stealing the sounding panel voice stops the
+  // panel tone, so Play goes back to its stopped state.
+  function stealVoice() {
+    const victim = chooseVoiceToSteal();
+    if (!victim) return;
+
+    const stopsPanelTone = victim.key === PANEL_VOICE_KEY && !victim.releasing;
+    stopVoiceQuickly(victim);
+    if (stopsPanelTone) {
+      isActive = false;
+      if (playButton) playButton.textContent = 'Play';
+    }
+  }
 
-    source.connect(masterGainNode);
+  // Released voices are reused first; otherwise steal the oldest or quietest sounding voice.
+  function chooseVoiceToSteal() {
+    const releasing = voices.filter((voice) => voice.releasing);
+    const candidates = releasing.length > 0 ? releasing : voices;
+
+    let victim = candidates[0] || null;
+    for (let i = 1; i < candidates.length; i++) {
+      const candidate = candidates[i];
+      const isBetter = voiceStealMode === 'quietest' && releasing.length === 0
+        ? candidate.envelopeGain.gain.value < victim.envelopeGain.gain.value
+        : candidate.startedAt < victim.startedAt;
+      if (isBetter) victim = candidate;
+    }
+
+    return victim;
+  }
+
+  // Crossfade every sounding voice to a source built from the current wavetable.
+  function swapVoiceWavetables() {
+    if (!audioContext) return;
 
     const now = audioContext.currentTime;
-    masterGainNode.gain.cancelScheduledValues(now);
-    masterGainNode.gain.setValueAtTime(0, now);
-    masterGainNode.gain.linearRampToValueAtTime(0.9, now + ATTACK_SECONDS);
+    for (const voice of voices) {
+      if (voice.releasing) continue;
+      crossfadeVoiceSource(voice, now);
+    }
+  }
+
+  function crossfadeVoiceSource(voice, now) {
+    const previousSource = voice.source;
+    const previousGain = voice.sourceGain;
+    attachWavetableSource(voice);
+
+    voice.sourceGain.gain.setValueAtTime(0, now);
+    voice.sourceGain.gain.linearRampToValueAtTime(1, now + WAVETABLE_SWAP_SECONDS);
+
+    previousGain.gain.cancelScheduledValues(now);
+    previousGain.gain.setValueAtTime(previousGain.gain.value, now);
+    previousGain.gain.linearRampToValueAtTime(0, now + WAVETABLE_SWAP_SECONDS);
+    previousSource.stop(now + WAVETABLE_SWAP_SECONDS + 0.005);
+
+    voice.source.start(now);
+  }
+
+  // Give a voice a looping source (with its own gain for crossfades) reading the shared buffer of
+  // the band-limited level that suits its pitch.
+  function attachWavetableSource(voice) {
+    const playbackRate = getPlaybackRate(voice);
+    const level = getBandLimitedLevel(playbackRate, bandLimitedTables.length);
+    if (!preparedTableBuffers[level]) {
+      preparedTableBuffers[level] = createTableBuffer(audioContext, level);
+    }
+
+    const source = audioContext.createBufferSource();
+    source.buffer = preparedTableBuffers[level];
+    source.loop = true;
+    source.playbackRate.setValueAtTime(playbackRate, audioContext.currentTime);
+
+    const sourceGain = audioContext.createGain();
+    sourceGain.gain.value = 1;
+    source.connect(sourceGain);
+    sourceGain.connect(voice.filterChain.filterNode);
 
-    source.start(now);
     source.onended = () => {
       source.disconnect();
-      if (activeSourceNode === source) {
-        activeSourceNode = null;
+      sourceGain.disconnect();
+      // A swapped-out source ends while the voice keeps playing its replacement.
+      if (voice.source === source) {
+        disposeVoiceNodes(voice);
+        removeVoice(voice);
       }
     };
 
-    activeSourceNode = source;
-    return true;
+    voice.source = source;
+    voice.sourceGain = sourceGain;
+    voice.tableLevel = level;
+  }
+
+  function releaseVoice(voice) {
+    if (!voice || voice.releasing || !audioContext) return;
+
+    voice.releasing = true;
+    const now = audioContext.currentTime;
+    const gain = voice.envelopeGain.gain;
+    const level = getEnvelopeLevel(voice.envelope, now - voice.startedAt, voice.peakGain);
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(level, now);
+    const endTime = scheduleEnvelopeRelease(gain, voice.envelope, now);
+
+    const filterGain = voice.filterChain.envelopeGain.gain;
+    const filterLevel = getEnvelopeLevel(voice.filterEnvelope, now - voice.startedAt, 1);
+    filterGain.cancelScheduledValues(now);
+    filterGain.setValueAtTime(filterLevel, now);
+    scheduleEnvelopeRelease(filterGain, voice.filterEnvelope, now);
+
+    voice.source.stop(endTime + 0.005);
   }
 
-  function stopCustomSynthesis() {
-    if (!audioContext || !masterGainNode) return;
-    if (!activeSourceNode) return;
+  // Fade a voice out almost immediately and free its slot for a new note.
+  function stopVoiceQuickly(voice) {
+    if (!voice || !audioContext) return;
+
+    voice.releasing = true;
+    removeVoice(voice);
 
-    const source = activeSourceNode;
     const now = audioContext.currentTime;
+    const gain = voice.envelopeGain.gain;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(0, now + STEAL_FADE_SECONDS);
+
+    voice.source.stop(now + STEAL_FADE_SECONDS + 0.002);
+  }
+
+  function removeVoice(voice) {
+    voices = voices.filter((candidate) => candidate !== voice);
+  }
+
+  function disposeVoiceNodes(voice) {
+    const { filterNode, envelopeSource, envelopeGain, amountGain } = voice.filterChain;
+    envelopeSource.stop();
+    envelopeSource.disconnect();
+    envelopeGain.disconnect();
+    amountGain.disconnect();
+    filterNode.disconnect();
+    voice.envelopeGain.disconnect();
+  }
+
+  // Schedule attack and decay from startTime. When releaseTime falls inside them, the
+  // curve is cut there at its exact level so the release continues without a step.
+  function scheduleEnvelopeStart(param, env, startTime, peakGain, releaseTime = Infinity) {
+    const floor = env.curve === 'exponential' ? ENVELOPE_FLOOR : 0;
+    const points = [
+      { time: startTime + env.attack, level: getEnvelopeLevel(env, env.attack, peakGain) },
+      { time: startTime + env.attack + env.decay, level: getEnvelopeLevel(env, env.attack + env.decay, peakGain) },
+    ];
+
+    param.setValueAtTime(floor, startTime);
+    for (const point of points) {
+      if (point.time <= releaseTime) {
+        rampEnvelope(param, env, point.level, point.time);
+        continue;
+      }
 
-    masterGainNode.gain.cancelScheduledValues(now);
-    masterGainNode.gain.setValueAtTime(masterGainNode.gain.value, now);
-    masterGainNode.gain.linearRampToValueAtTime(0, now + RELEASE_SECONDS);
+      rampEnvelope(param, env, getEnvelopeLevel(env, releaseTime - startTime, peakGain), releaseTime);
+      break;
+    }
+  }
+
+  // Schedule the release from releaseTime (the level there must already be set) and return its end time.
+  function scheduleEnvelopeRelease(param, env, releaseTime) {
+    const endTime = releaseTime + env.release;
+    if (env.curve === 'exponential') {
+      param.exponentialRampToValueAtTime(ENVELOPE_FLOOR, endTime);
+      param.setValueAtTime(0, endTime);
+    } else {
+      param.linearRampToValueAtTime(0, endTime);
+    }
+    return endTime;
+  }
+
+  function rampEnvelope(param, env, level, time) {
+    if (env.curve === 'exponential') {
+      param.exponentialRampToValueAtTime(Math.max(ENVELOPE_FLOOR, level), time);
+    } else {
+      param.linearRampToValueAtTime(level, time);
+    }
+  }
+}
+
+// Envelope level elapsedSeconds after note-on (before release), matching the scheduled ramps.
+export function getEnvelopeLevel(env, elapsedSeconds, peakGain) {
+  const isExponential = env.curve === 'exponential';
+  const floor = isExponential ? ENVELOPE_FLOOR : 0;
+  const peak = Math.max(floor, peakGain);
+  const sustainLevel = Math.max(floor, peak * env.sustain);
+
+  const interpolate = (from, to, ratio) => (isExponential
+    ? from * Math.pow(to / from, ratio)
+    : from + (to - from) * ratio);
+
+  if (elapsedSeconds <= 0) return floor;
+  if (elapsedSeconds < env.attack) {
+    return interpolate(floor, peak, elapsedSeconds / env.attack);
+  }
+
+  const decayElapsed = elapsedSeconds - env.attack;
+  if (decayElapsed < env.decay) {
+    return interpolate(peak, sustainLevel, decayElapsed / env.decay);
+  }
+
+  return sustainLevel;
+}
+
+// Magnitude of a Web Audio BiquadFilterNode at frequencyHz (Audio EQ Cookbook coefficients,
+// with Q in dB for lowpass/highpass as the Web Audio spec defines it).
+export function getBiquadMagnitude(type, cutoffHz, q, frequencyHz, sampleRate) {
+  const w0 = (2 * Math.PI * Math.min(cutoffHz, sampleRate * 0.5)) / sampleRate;
+  const cosW0 = Math.cos(w0);
+  const sinW0 = Math.sin(w0);
+  const isResonantPass = type === 'lowpass' || type === 'highpass';
+  const alpha = isResonantPass
+    ? sinW0 / (2 * Math.pow(10, q / 20))
+    : sinW0 / (2 * Math.max(1e-4, q));
+
+  let b;
+  if (type === 'highpass') {
+    b = [(1 + cosW0) / 2, -(1 + cosW0), (1 + cosW0) / 2];
+  } else if (type === 'bandpass') {
+    b = [alpha, 0, -alpha];
+  } else if (type === 'notch') {
+    b = [1, -2 * cosW0, 1];
+  } else {
+    b = [(1 - cosW0) / 2, 1 - cosW0, (1 - cosW0) / 2];
+  }
+  const a = [1 + alpha, -2 * cosW0, 1 - alpha];
+
+  // Evaluate both polynomials at z = e^(jw).
+  const w = (2 * Math.PI * frequencyHz) / sampleRate;
+  const evaluate = ([c0, c1, c2]) => {
+    const re = c0 + c1 * Math.cos(w) + c2 * Math.cos(2 * w);
+    const im = -c1 * Math.sin(w) - c2 * Math.sin(2 * w);
+    return Math.hypot(re, im);
+  };
+
+  const denominator = evaluate(a);
+  return denominator > 0 ? evaluate(b) / denominator : 0;
+}
+
+// Build octave-spaced band-limited copies of one loop. Level 0 is the table itself; each further
+// level keeps half the harmonics of the one before, down to the fundamental alone.
+export function buildBandLimitedTables(table) {
+  const length = table.length;
+  const maxHarmonic = Math.floor(length / 2);
+  if (maxHarmonic < 2) return [Float32Array.from(table)];
+
+  const harmonicLimits = [];
+  for (let limit = Math.floor(maxHarmonic / 2); limit >= 1; limit = Math.floor(limit / 2)) {
+    harmonicLimits.push(limit);
+  }
+
+  // One DFT pass with a shared cosine table; index (i * h) mod length avoids repeated trig.
+  const highestKept = harmonicLimits[0];
+  const cosTable = new Float64Array(length);
+  const sinTable = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    cosTable[i] = Math.cos((2 * Math.PI * i) / length);
+    sinTable[i] = Math.sin((2 * Math.PI * i) / length);
+  }
+
+  let dc = 0;
+  for (let i = 0; i < length; i++) dc += table[i];
+  dc /= length;
+
+  const cosCoefficients = new Float64Array(highestKept + 1);
+  const sinCoefficients = new Float64Array(highestKept + 1);
+  for (let h = 1; h <= highestKept; h++) {
+    let re = 0;
+    let im = 0;
+    let index = 0;
+    for (let i = 0; i < length; i++) {
+      re += table[i] * cosTable[index];
+      im += table[i] * sinTable[index];
+      index += h;
+      if (index >= length) index -= length;
+    }
+    cosCoefficients[h] = (2 * re) / length;
+    sinCoefficients[h] = (2 * im) / length;
+  }
+
+  // Build from the fewest harmonics upward so each level only adds its extra octave.
+  const sum = new Float64Array(length).fill(dc);
+  const levels = new Array(harmonicLimits.length + 1);
+  let added = 0;
+  for (let level = harmonicLimits.length; level >= 1; level--) {
+    const limit = harmonicLimits[level - 1];
+    for (let h = added + 1; h <= limit; h++) {
+      let index = 0;
+      for (let i = 0; i < length; i++) {
+        sum[i] += cosCoefficients[h] * cosTable[index] + sinCoefficients[h] * sinTable[index];
+        index += h;
+        if (index >= length) index -= length;
+      }
+    }
+    added = limit;
+    levels[level] = Float32Array.from(sum);
+  }
+  levels[0] = Float32Array.from(table);
+
+  return levels;
+}
+
+// Level whose highest harmonic stays below Nyquist at this playback rate. Level k keeps
+// length / 2^(k+1) harmonics, so it is safe while the playback rate is at most 2^k.
+export function getBandLimitedLevel(playbackRate, levelCount) {
+  if (!(playbackRate > 1) || levelCount <= 1) return 0;
+  return Math.min(levelCount - 1, Math.ceil(Math.log2(playbackRate)));
+}
+
+// Subtract the mean so the table loops without a DC offset (in place).
+export function removeDcOffset(waveform) {
+  let sum = 0;
+  for (let i = 0; i < waveform.length; i++) {
+    sum += waveform[i];
+  }
+  const mean = waveform.length > 0 ? sum / waveform.length : 0;
+
+  for (let i = 0; i < waveform.length; i++) {
+    waveform[i] -= mean;
+  }
+
+  return waveform;
+}
+
+// Linearly resample one loop to a new length, wrapping the last sample back to the first.
+export function resampleToLength(waveform, targetLength) {
+  if (!waveform || waveform.length <= 0 || targetLength <= 0) {
+    return null;
+  }
+
+  const out = new Float32Array(targetLength);
+
+  if (waveform.length === 1) {
+    out.fill(waveform[0]);
+    return out;
+  }
+
+  for (let i = 0; i < targetLength; i++) {
+    const position = (i / targetLength) * waveform.length;
+    const indexA = Math.floor(position);
+    const indexB = (indexA + 1) % waveform.length;
+    const frac = position - indexA;
+
+    const a = waveform[indexA];
+    const b = waveform[indexB];
+    out[i] = a + (b - a) * frac;
+  }
+
+  return out;
+}
+
+// Size of the step at the wrap (last sample back to the first) beyond what the slopes on either
+// side predict: about 0 for a smooth loop, the size of the gap where a drawn end misses its start.
+export function getLoopSeamStep(table) {
+  if (!table || table.length < 3) return 0;
+  return Math.abs(getLoopSeamMismatch(table));
+}
+
+// Signed amount the first sample misses the value extrapolated from the last one.
+function getLoopSeamMismatch(table) {
+  const n = table.length;
+  const expectedStep = ((table[n - 1] - table[n - 2]) + (table[1] - table[0])) / 2;
+  return table[0] - (table[n - 1] + expectedStep);
+}
+
+// Return a copy of the table with one of LOOP_SEAM_MODES applied:
+// - tilt: add a linear ramp over the whole table so the end meets the start
+// - crossfade: bend the samples either side of the wrap toward each other with a raised-cosine
+//   fade over SEAM_CROSSFADE_RATIO of the table, leaving the rest untouched
+// - zero-crossing: rotate the table to start at the smoothest rising zero crossing; the wrap
+//   becomes continuous and notes start from silence, but an existing step moves inside the table
+export function repairLoopSeam(table, mode) {
+  const out = Float32Array.from(table || []);
+  const n = out.length;
+  if (n < 3) return out;
+
+  if (mode === 'tilt') {
+    const mismatch = getLoopSeamMismatch(out);
+    for (let i = 0; i < n; i++) {
+      out[i] += (mismatch * i) / (n - 1);
+    }
+  } else if (mode === 'crossfade') {
+    const mismatch = getLoopSeamMismatch(out);
+    const halfWidth = Math.max(2, Math.min(Math.floor(n / 2), Math.round(n * SEAM_CROSSFADE_RATIO)));
+    for (let k = 0; k < halfWidth; k++) {
+      const weight = 0.5 * (1 + Math.cos((Math.PI * k) / halfWidth));
+      out[n - 1 - k] += (mismatch / 2) * weight;
+      out[k] -= (mismatch / 2) * weight;
+    }
+  } else if (mode === 'zero-crossing') {
+    return rotateToZeroCrossing(out);
+  }
+
+  return out;
+}
+
+// Repair a frame's left and (optional) right channel together. Tilt and crossfade work on each
+// channel alone; zero-crossing rotates both by the offset found on the left channel, so traces
+// captured together keep their phase relationship. Returns { left, right }.
+export function repairStereoLoopSeam(left, right, mode) {
+  if (!right || mode !== 'zero-crossing') {
+    return { left: repairLoopSeam(left, mode), right: right ? repairLoopSeam(right, mode) : null };
+  }
+
+  const n = left ? left.length : 0;
+  if (n < 3) return { left: Float32Array.from(left || []), right: Float32Array.from(right) };
+  const start = findZeroCrossingStart(left);
+  // Channels of different lengths rotate by the same share of the cycle.
+  return { left: rotateTable(left, start), right: rotateTable(right, Math.round((start * right.length) / n)) };
+}
+
+function rotateToZeroCrossing(table) {
+  const start = findZeroCrossingStart(table);
+  return start > 0 ? rotateTable(table, start) : table;
+}
+
+// Index of the smoothest rising zero crossing, or 0 when the table has none.
+function findZeroCrossingStart(table) {
+  const n = table.length;
+  let mean = 0;
+  for (let i = 0; i < n; i++) mean += table[i];
+  mean /= n;
+
+  let bestStart = -1;
+  let bestStep = Infinity;
+  for (let i = 0; i < n; i++) {
+    const previous = table[(i - 1 + n) % n] - mean;
+    const current = table[i] - mean;
+    if (!(previous < 0 && current >= 0)) continue;
+
+    // How smooth the table is around this sample, judged like the wrap of the rotated table.
+    const expectedStep = ((table[(i - 1 + n) % n] - table[(i - 2 + n) % n]) + (table[(i + 1) % n] - table[i])) / 2;
+    const step = Math.abs(table[i] - (table[(i - 1 + n) % n] + expectedStep));
+    if (step < bestStep) {
+      bestStep = step;
+      bestStart = i;
+    }
+  }
+  return Math.max(0, bestStart);
+}
 
-    source.stop(now + RELEASE_SECONDS + 0.005);
+function rotateTable(table, start) {
+  const n = table.length;
+  const out = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    out[i] = table[(start + i) % n];
   }
+  return out;
 }
@@ -1,7 +1,17 @@
 // Camera controller:
 // - starts/stops camera streams and toggles front/back facing mode
 // - manages ROI sliders and draws a live shaded ROI overlay
+// - offers a four-corner ROI with draggable handles; captures carry the quad to warp flat
+//   (perspective-corrected) in the pipeline worker
+// - can lock the corners to the printed capture template's drawing box by detecting its markers
+//   (through an injected asynchronous search, e.g. the pipeline worker, when one is given)
 // - captures full-frame image data and reports ROI bounds for extraction
+// - optionally emits frames at a fixed rate for continuous live extraction
+// - can show a loaded still image in place of the live feed for ROI selection and capture
+// - samples the ink color where the user taps the view (for color-keyed segmentation)
+import { getQuadSize } from './perspective.js';
+import { findTemplateMarkers } from './captureTemplate.js';
+
 // Build and return the camera controller used by the app.
 export function createCameraController({
   video,
@@ -11,12 +21,36 @@ export function createCameraController({
   cameraControls,
   cameraToggleButton,
   resetROIButton,
+  roiModeButton,
+  autoLockButton,
+  liveToggleButton,
+  liveFpsInput,
+  colorSampleButton,
   roiElements,
   onCapture,
+  onLiveFrame,
+  onLiveChange,
   onVideoSize,
+  onColorSample,
+  detectTemplateMarkers,
 }) {
   const ROI_MIN_GAP_RATIO = 0.01;
   const ROI_MIN_HEIGHT_PX = 2;
+  const DEFAULT_LIVE_FPS = 8;
+  const MIN_LIVE_FPS = 1;
+  const MAX_LIVE_FPS = 15;
+  // Half-size of the square searched around a tap, so a thin stroke is easy to hit.
+  const COLOR_SAMPLE_RADIUS_PX = 4;
+  // Pixels at least this fraction as colorful as the most colorful one are averaged.
+  const COLOR_SAMPLE_CHROMA_RATIO = 0.7;
+  // How close (CSS px) a pointer must land to a corner handle to grab it.
+  const CORNER_HIT_RADIUS_PX = 28;
+  const CORNER_HANDLE_RADIUS_PX = 7;
+  // Template detection rate while the camera runs, and how long a lock survives missed detections.
+  const TEMPLATE_DETECT_INTERVAL_MS = 200;
+  const TEMPLATE_LOCK_HOLD_MS = 1000;
+  // Weight of a new detection when updating a held lock (steadies the corners).
+  const TEMPLATE_LOCK_SMOOTHING = 0.5;
 
   const pctx = processingCanvas.getContext('2d');
   const captureCanvas = document.createElement('canvas');
@@ -26,6 +60,24 @@ export function createCameraController({
   let overlayAnimationId = null;
   let preferredFacing = 'user';
   let roiControlsBound = false;
+  let stillImageData = null;
+  let liveEnabled = false;
+  let liveFps = DEFAULT_LIVE_FPS;
+  let lastLiveFrameTime = -Infinity;
+  let colorSampleArmed = false;
+  // 'rect' uses the sliders; 'corners' uses four draggable corners (fractions of the frame,
+  // ordered top-left, top-right, bottom-right, bottom-left).
+  let roiMode = 'rect';
+  let roiCorners = null;
+  let draggedCornerIndex = -1;
+  // 'off', 'searching' or 'locked'; detected marker centers are kept for the overlay.
+  let templateLockState = 'off';
+  let templateMarkers = null;
+  let lastTemplateDetectTime = -Infinity;
+  let lastTemplateLockTime = -Infinity;
+  // Searches still in flight from before the last restart are ignored when they resolve.
+  let templateDetectGeneration = 0;
+  let pendingTemplateDetect = null;
 
   let roiTopPct = 0.0;
   let roiBottomPct = 1.0;
@@ -41,6 +93,7 @@ export function createCameraController({
     bottomVal,
     leftVal,
     rightVal,
+    sliderPanel,
   } = roiElements;
 
   // Main flow API: initialize controls/events, then start/stop camera lifecycle.
@@ -63,7 +116,7 @@ export function createCameraController({
         const captureResult = captureCurrentFrameImageData();
         if (!captureResult || !captureResult.imageData) return;
         if (typeof onCapture === 'function') {
-          onCapture(captureResult.imageData, captureResult.roi);
+          onCapture(captureResult.imageData, captureResult.roi, captureResult.warp);
         }
       });
     }
@@ -79,6 +132,58 @@ export function createCameraController({
       });
     }
 
+    if (liveToggleButton) {
+      liveToggleButton.addEventListener('click', () => {
+        setLiveEnabled(!liveEnabled);
+      });
+    }
+
+    if (liveFpsInput) {
+      liveFps = sanitizeLiveFps(liveFpsInput.value);
+      liveFpsInput.value = liveFps;
+      liveFpsInput.addEventListener('change', () => {
+        liveFps = sanitizeLiveFps(liveFpsInput.value);
+        liveFpsInput.value = liveFps;
+      });
+    }
+
+    updateLiveToggleUI();
+
+    if (colorSampleButton) {
+      colorSampleButton.addEventListener('click', () => {
+        setColorSampleArmed(!colorSampleArmed);
+      });
+    }
+
+    if (roiModeButton) {
+      roiModeButton.addEventListener('click', () => {
+        setROIMode(roiMode === 'corners' ? 'rect' : 'corners');
+      });
+    }
+    updateROIModeUI();
+
+    if (autoLockButton) {
+      autoLockButton.addEventListener('click', () => {
+        setTemplateLockEnabled(templateLockState === 'off');
+      });
+    }
+    updateTemplateLockUI();
+
+    // The overlay canvas ignores pointer events, so taps and drags land on the wrapper.
+    const sampleTarget = processingCanvas.parentElement;
+    if (sampleTarget) {
+      bindCornerDragging(sampleTarget);
+      sampleTarget.addEventListener('click', (event) => {
+        if (!colorSampleArmed) return;
+        const color = sampleColorAtClientPoint(event.clientX, event.clientY);
+        if (!color) return;
+        setColorSampleArmed(false);
+        if (typeof onColorSample === 'function') {
+          onColorSample(color);
+        }
+      });
+    }
+
     video.addEventListener('loadedmetadata', () => {
       processingCanvas.width = video.videoWidth;
       processingCanvas.height = video.videoHeight;
@@ -94,6 +199,8 @@ export function createCameraController({
   async function startCamera() {
     if (currentStream) return;
 
+    clearStillImage();
+
     try {
       const stream = await getPreferredCameraStream();
       currentStream = stream;
@@ -113,21 +220,161 @@ export function createCameraController({
 
     currentStream = null;
     video.srcObject = null;
+    setLiveEnabled(false);
     stopOverlayLoop();
     if (cameraControls) cameraControls.classList.add('hidden');
     if (startButton) startButton.textContent = 'Start Camera';
     pctx.clearRect(0, 0, processingCanvas.width, processingCanvas.height);
   }
 
+  // Capture the frame and its ROI. In corner mode the result also carries warp
+  // ({ quad, width, height }): the quad is to be warped into a flat rectangle of that size
+  // (see warpQuadToRect), and the ROI covers all of it. The warp is left to the pipeline
+  // worker so a full-frame resample never runs on the main thread.
   function captureCurrentFrameImageData() {
+    const frame = captureFullFrame();
+    if (!frame) return null;
+
+    if (roiMode !== 'corners' || !roiCorners) {
+      return { imageData: frame, roi: computeROI(), warp: null };
+    }
+
+    const quad = getCornerPixels(frame.width, frame.height);
+    const size = getQuadSize(quad);
+    const width = frame.width;
+    const height = Math.round(Math.max(ROI_MIN_HEIGHT_PX, Math.min(frame.height, (width * size.height) / Math.max(1, size.width))));
+    return { imageData: frame, roi: { x: 0, y: 0, width, height }, warp: { quad, width, height } };
+  }
+
+  // The whole current frame (still image or video), without ROI handling.
+  function captureFullFrame() {
+    if (stillImageData) return stillImageData;
+
     if (video.readyState < 2 || captureCanvas.width === 0 || captureCanvas.height === 0) {
       return null;
     }
 
     cctx.drawImage(video, 0, 0, captureCanvas.width, captureCanvas.height);
-    const imageData = cctx.getImageData(0, 0, captureCanvas.width, captureCanvas.height);
-    const roi = computeROI();
-    return { imageData, roi };
+    return cctx.getImageData(0, 0, captureCanvas.width, captureCanvas.height);
+  }
+
+  // Turn continuous live extraction on/off (frames are only emitted while streaming).
+  function setLiveEnabled(enabled) {
+    const next = !!enabled;
+    if (next === liveEnabled) return;
+
+    liveEnabled = next;
+    lastLiveFrameTime = -Infinity;
+    updateLiveToggleUI();
+    if (typeof onLiveChange === 'function') {
+      onLiveChange(liveEnabled);
+    }
+  }
+
+  function sanitizeLiveFps(value) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return DEFAULT_LIVE_FPS;
+    return Math.max(MIN_LIVE_FPS, Math.min(MAX_LIVE_FPS, Math.round(numeric)));
+  }
+
+  // Emit a live frame when enough time has passed for the selected rate.
+  function emitLiveFrameIfDue(timestamp) {
+    if (!liveEnabled || typeof onLiveFrame !== 'function') return;
+    if (timestamp - lastLiveFrameTime < 1000 / liveFps) return;
+
+    lastLiveFrameTime = timestamp;
+    const captureResult = captureCurrentFrameImageData();
+    if (!captureResult || !captureResult.imageData) return;
+    onLiveFrame(captureResult.imageData, captureResult.roi, captureResult.warp);
+  }
+
+  // Arm/disarm tap-to-sample; the next tap on the view picks the ink color.
+  function setColorSampleArmed(armed) {
+    colorSampleArmed = !!armed;
+    if (processingCanvas.parentElement) {
+      processingCanvas.parentElement.classList.toggle('color-sampling', colorSampleArmed);
+    }
+    if (colorSampleButton) {
+      colorSampleButton.textContent = colorSampleArmed ? 'Tap the Trace...' : 'Pick Color';
+      colorSampleButton.classList.toggle('active', colorSampleArmed);
+    }
+  }
+
+  // Average the most colorful pixels near a tap, so paper around a thin stroke is ignored.
+  function sampleColorAtClientPoint(clientX, clientY) {
+    const frame = captureFullFrame();
+    if (!frame) return null;
+
+    const { data, width, height } = frame;
+    const rect = processingCanvas.getBoundingClientRect();
+    if (rect.width <= 0 || rect.height <= 0) return null;
+
+    const centerX = Math.floor(((clientX - rect.left) / rect.width) * width);
+    const centerY = Math.floor(((clientY - rect.top) / rect.height) * height);
+    if (centerX < 0 || centerX >= width || centerY < 0 || centerY >= height) return null;
+
+    const pixels = [];
+    for (let y = Math.max(0, centerY - COLOR_SAMPLE_RADIUS_PX); y <= Math.min(height - 1, centerY + COLOR_SAMPLE_RADIUS_PX); y++) {
+      for (let x = Math.max(0, centerX - COLOR_SAMPLE_RADIUS_PX); x <= Math.min(width - 1, centerX + COLOR_SAMPLE_RADIUS_PX); x++) {
+        const index = (y * width + x) * 4;
+        const r = data[index];
+        const g = data[index + 1];
+        const b = data[index + 2];
+        pixels.push({ r, g, b, chroma: Math.max(r, g, b) - Math.min(r, g, b) });
+      }
+    }
+
+    const maxChroma = pixels.reduce((max, pixel) => Math.max(max, pixel.chroma), 0);
+    const picked = pixels.filter((pixel) => pixel.chroma >= maxChroma * COLOR_SAMPLE_CHROMA_RATIO);
+    const average = (channel) => Math.round(picked.reduce((sum, pixel) => sum + pixel[channel], 0) / picked.length);
+    return { r: average('r'), g: average('g'), b: average('b') };
+  }
+
+  // Show a decoded still image in place of the live feed so it can be ROI-cropped and captured.
+  function showStillImage(imageData) {
+    if (!imageData || imageData.width <= 0 || imageData.height <= 0) return;
+
+    if (currentStream) stopCamera();
+
+    stillImageData = imageData;
+    video.classList.add('hidden');
+    processingCanvas.classList.add('still-frame');
+
+    if (typeof onVideoSize === 'function') {
+      onVideoSize({ width: imageData.width, height: imageData.height });
+    }
+
+    // Set after onVideoSize so the overlay always matches the image pixels exactly.
+    processingCanvas.width = imageData.width;
+    processingCanvas.height = imageData.height;
+    captureCanvas.width = imageData.width;
+    captureCanvas.height = imageData.height;
+
+    if (cameraControls) cameraControls.classList.remove('hidden');
+    if (templateLockState !== 'off') {
+      templateLockState = 'searching';
+      templateDetectGeneration++;
+      detectTemplate(performance.now());
+    }
+    drawStillFrame();
+  }
+
+  // Return to the live-feed layout and forget the loaded still image.
+  function clearStillImage() {
+    if (!stillImageData) return;
+
+    stillImageData = null;
+    video.classList.remove('hidden');
+    processingCanvas.classList.remove('still-frame');
+    pctx.clearRect(0, 0, processingCanvas.width, processingCanvas.height);
+    if (cameraControls) cameraControls.classList.add('hidden');
+  }
+
+  // Redraw the still image with the ROI overlay (no animation loop runs for stills).
+  function drawStillFrame() {
+    if (!stillImageData) return;
+    pctx.putImageData(stillImageData, 0, 0);
+    drawOverlay();
   }
 
   function getCurrentVideoTrackSettings() {
@@ -150,6 +397,8 @@ export function createCameraController({
     if (bottomInput) bottomInput.value = Math.round(roiBottomPct * 100);
     if (leftInput) leftInput.value = Math.round(roiLeftPct * 100);
     if (rightInput) rightInput.value = Math.round(roiRightPct * 100);
+
+    drawStillFrame();
   }
 
   // Reset ROI to full frame.
@@ -158,9 +407,142 @@ export function createCameraController({
     roiBottomPct = 1.0;
     roiLeftPct = 0.0;
     roiRightPct = 1.0;
+    if (roiCorners) roiCorners = getRectCorners();
     syncROIDisplay();
   }
 
+  // Plain copy of the ROI (fractions of the frame) for saving in a session preset.
+  function getROISettings() {
+    return {
+      mode: roiMode,
+      rect: { top: roiTopPct, bottom: roiBottomPct, left: roiLeftPct, right: roiRightPct },
+      corners: roiCorners ? roiCorners.map((corner) => ({ x: corner.x, y: corner.y })) : null,
+      autoLock: templateLockState !== 'off',
+    };
+  }
+
+  // Restore an ROI from getROISettings(). Values are clamped to the frame and the same
+  // minimum gaps the sliders keep; missing or malformed parts keep their current values.
+  function setROISettings(settings = {}) {
+    const rect = settings.rect || {};
+    const top = clampFraction(rect.top, roiTopPct);
+    const left = clampFraction(rect.left, roiLeftPct);
+    roiTopPct = Math.min(top, 1 - ROI_MIN_GAP_RATIO);
+    roiBottomPct = Math.max(clampFraction(rect.bottom, roiBottomPct), roiTopPct + ROI_MIN_GAP_RATIO);
+    roiLeftPct = Math.min(left, 1 - ROI_MIN_GAP_RATIO);
+    roiRightPct = Math.max(clampFraction(rect.right, roiRightPct), roiLeftPct + ROI_MIN_GAP_RATIO);
+
+    setROIMode(settings.mode ?? roiMode);
+    if (roiMode === 'corners' && Array.isArray(settings.corners) && settings.corners.length === 4) {
+      roiCorners = settings.corners.map((corner, index) => ({
+        x: clampFraction(corner?.x, roiCorners[index].x),
+        y: clampFraction(corner?.y, roiCorners[index].y),
+      }));
+    }
+    if (settings.autoLock !== undefined && Boolean(settings.autoLock) !== (templateLockState !== 'off')) {
+      setTemplateLockEnabled(Boolean(settings.autoLock));
+    }
+    syncROIDisplay();
+  }
+
+  function clampFraction(value, fallback) {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? Math.max(0, Math.min(1, numeric)) : fallback;
+  }
+
+  // Switch between the slider rectangle and the four-corner ROI. Corners start on the
+  // current rectangle so switching keeps the selected region.
+  function setROIMode(mode) {
+    roiMode = mode === 'corners' ? 'corners' : 'rect';
+    if (roiMode === 'corners') roiCorners = getRectCorners();
+    // The template lock drives the corners, so going back to the sliders turns it off.
+    if (roiMode === 'rect' && templateLockState !== 'off') {
+      templateLockState = 'off';
+      templateMarkers = null;
+      templateDetectGeneration++;
+      updateTemplateLockUI();
+    }
+    draggedCornerIndex = -1;
+    updateROIModeUI();
+    drawStillFrame();
+  }
+
+  function getRectCorners() {
+    return [
+      { x: roiLeftPct, y: roiTopPct },
+      { x: roiRightPct, y: roiTopPct },
+      { x: roiRightPct, y: roiBottomPct },
+      { x: roiLeftPct, y: roiBottomPct },
+    ];
+  }
+
+  function getCornerPixels(width, height) {
+    return roiCorners.map((corner) => ({ x: corner.x * (width - 1), y: corner.y * (height - 1) }));
+  }
+
+  function updateROIModeUI() {
+    const corners = roiMode === 'corners';
+    if (roiModeButton) {
+      roiModeButton.textContent = corners ? 'ROI: Corners' : 'ROI: Rect';
+      roiModeButton.classList.toggle('active', corners);
+    }
+    if (sliderPanel) sliderPanel.classList.toggle('hidden', corners);
+    if (processingCanvas.parentElement) {
+      processingCanvas.parentElement.classList.toggle('roi-corners', corners);
+    }
+  }
+
+  // Drag the nearest corner handle while in corner mode.
+  function bindCornerDragging(target) {
+    target.addEventListener('pointerdown', (event) => {
+      if (roiMode !== 'corners' || !roiCorners || colorSampleArmed) return;
+
+      const index = findCornerNear(event.clientX, event.clientY);
+      if (index < 0) return;
+
+      draggedCornerIndex = index;
+      target.setPointerCapture(event.pointerId);
+      event.preventDefault();
+    });
+
+    target.addEventListener('pointermove', (event) => {
+      if (draggedCornerIndex < 0) return;
+
+      const rect = processingCanvas.getBoundingClientRect();
+      if (rect.width <= 0 || rect.height <= 0) return;
+      roiCorners[draggedCornerIndex] = {
+        x: Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width)),
+        y: Math.max(0, Math.min(1, (event.clientY - rect.top) / rect.height)),
+      };
+      drawStillFrame();
+    });
+
+    const endDrag = () => {
+      draggedCornerIndex = -1;
+    };
+    target.addEventListener('pointerup', endDrag);
+    target.addEventListener('pointercancel', endDrag);
+  }
+
+  function findCornerNear(clientX, clientY) {
+    const rect = processingCanvas.getBoundingClientRect();
+    let nearestIndex = -1;
+    let nearestDistance = CORNER_HIT_RADIUS_PX;
+
+    roiCorners.forEach((corner, index) => {
+      const distance = Math.hypot(
+        rect.left + corner.x * rect.width - clientX,
+        rect.top + corner.y * rect.height - clientY
+      );
+      if (distance <= nearestDistance) {
+        nearestDistance = distance;
+        nearestIndex = index;
+      }
+    });
+
+    return nearestIndex;
+  }
+
   // Connect ROI sliders and keep valid top/bottom and left/right limits.
   function bindROIControls() {
     if (roiControlsBound) {
@@ -213,6 +595,12 @@ export function createCameraController({
 
   // Draw a shaded overlay so the selected ROI is easy to see.
   function drawOverlay() {
+    if (roiMode === 'corners' && roiCorners) {
+      drawCornerOverlay();
+      drawTemplateLockStatus();
+      return;
+    }
+
     const roi = computeROI();
 
     pctx.save();
@@ -227,12 +615,174 @@ export function createCameraController({
     pctx.setLineDash([6, 4]);
     pctx.strokeRect(roi.x + 1, roi.y + 1, roi.width - 2, roi.height - 2);
     pctx.restore();
+
+    drawTemplateLockStatus();
+  }
+
+  // Turn automatic ROI locking to the printed template on/off. Turning it off keeps the
+  // last locked corners so they can still be adjusted by hand.
+  function setTemplateLockEnabled(enabled) {
+    templateLockState = enabled ? 'searching' : 'off';
+    templateMarkers = null;
+    lastTemplateDetectTime = -Infinity;
+    lastTemplateLockTime = -Infinity;
+    templateDetectGeneration++;
+    updateTemplateLockUI();
+
+    if (enabled && stillImageData) detectTemplate(performance.now());
+    drawStillFrame();
+  }
+
+  function detectTemplateIfDue(timestamp) {
+    if (templateLockState === 'off') return;
+    if (timestamp - lastTemplateDetectTime < TEMPLATE_DETECT_INTERVAL_MS) return;
+    detectTemplate(timestamp);
+  }
+
+  // Look for the template markers and move the corner ROI onto its drawing box. One search
+  // runs at a time; live video frames are handed over to the search, the still image is not.
+  function detectTemplate(timestamp) {
+    const generation = templateDetectGeneration;
+    if (pendingTemplateDetect === generation) return;
+    lastTemplateDetectTime = timestamp;
+    const frame = captureFullFrame();
+    if (!frame) return;
+
+    const { width, height } = frame;
+    const search = typeof detectTemplateMarkers === 'function'
+      ? detectTemplateMarkers(frame, { transfer: frame !== stillImageData })
+      : findTemplateMarkers(frame);
+    pendingTemplateDetect = generation;
+    Promise.resolve(search)
+      .then((found) => {
+        // A dropped search (null) or one from before a restart changes nothing.
+        if (!found || generation !== templateDetectGeneration || templateLockState === 'off') return;
+        applyTemplateDetection(found, width, height, timestamp);
+        drawStillFrame();
+      })
+      .catch((err) => console.error('Template detection failed:', err))
+      .finally(() => {
+        if (pendingTemplateDetect === generation) pendingTemplateDetect = null;
+      });
+  }
+
+  // Apply a search result ({ markers, quad } in pixels of a width x height frame).
+  function applyTemplateDetection({ markers, quad }, width, height, timestamp) {
+    if (!quad) {
+      if (timestamp - lastTemplateLockTime > TEMPLATE_LOCK_HOLD_MS) {
+        templateLockState = 'searching';
+        templateMarkers = null;
+      }
+      return;
+    }
+
+    const corners = quad.map((point) => ({
+      x: Math.max(0, Math.min(1, point.x / (width - 1))),
+      y: Math.max(0, Math.min(1, point.y / (height - 1))),
+    }));
+    const wasLocked = templateLockState === 'locked' && roiMode === 'corners' && roiCorners;
+    roiCorners = wasLocked
+      ? roiCorners.map((corner, index) => ({
+        x: corner.x + (corners[index].x - corner.x) * TEMPLATE_LOCK_SMOOTHING,
+        y: corner.y + (corners[index].y - corner.y) * TEMPLATE_LOCK_SMOOTHING,
+      }))
+      : corners;
+    templateMarkers = markers.map((marker) => ({
+      x: marker.x / (width - 1),
+      y: marker.y / (height - 1),
+    }));
+
+    if (roiMode !== 'corners') {
+      roiMode = 'corners';
+      updateROIModeUI();
+    }
+    templateLockState = 'locked';
+    lastTemplateLockTime = timestamp;
+  }
+
+  function updateTemplateLockUI() {
+    if (!autoLockButton) return;
+    autoLockButton.textContent = templateLockState === 'off' ? 'Auto ROI: Off' : 'Auto ROI: On';
+    autoLockButton.classList.toggle('active', templateLockState !== 'off');
+  }
+
+  // Shade outside the quad, outline it and draw the corner handles.
+  function drawCornerOverlay() {
+    const { width, height } = processingCanvas;
+    const quad = getCornerPixels(width, height);
+    // Handles keep the same on-screen size however large the frame is.
+    const cssWidth = processingCanvas.getBoundingClientRect().width;
+    const scale = cssWidth > 0 ? width / cssWidth : 1;
+
+    pctx.save();
+    pctx.fillStyle = 'rgba(0,0,0,0.25)';
+    pctx.beginPath();
+    pctx.rect(0, 0, width, height);
+    tracePolygon(quad);
+    pctx.fill('evenodd');
+
+    pctx.strokeStyle = '#ffcc00';
+    pctx.lineWidth = 2 * scale;
+    pctx.setLineDash([6 * scale, 4 * scale]);
+    pctx.beginPath();
+    tracePolygon(quad);
+    pctx.stroke();
+
+    pctx.setLineDash([]);
+    pctx.fillStyle = '#ffcc00';
+    for (const corner of quad) {
+      pctx.beginPath();
+      pctx.arc(corner.x, corner.y, CORNER_HANDLE_RADIUS_PX * scale, 0, Math.PI * 2);
+      pctx.fill();
+    }
+    pctx.restore();
+  }
+
+  // Show whether the template is locked, with a ring on each detected marker.
+  function drawTemplateLockStatus() {
+    if (templateLockState === 'off') return;
+
+    const { width, height } = processingCanvas;
+    const cssWidth = processingCanvas.getBoundingClientRect().width;
+    const scale = cssWidth > 0 ? width / cssWidth : 1;
+    const locked = templateLockState === 'locked';
+    const color = locked ? '#22c55e' : '#f59e0b';
+    const label = locked ? 'Template locked' : 'Looking for template markers';
+
+    pctx.save();
+    pctx.font = `${Math.round(13 * scale)}px sans-serif`;
+    pctx.textBaseline = 'top';
+    const padding = 5 * scale;
+    const textWidth = pctx.measureText(label).width;
+    pctx.fillStyle = 'rgba(0,0,0,0.6)';
+    pctx.fillRect(padding, padding, textWidth + padding * 2, 13 * scale + padding * 2);
+    pctx.fillStyle = color;
+    pctx.fillText(label, padding * 2, padding * 2);
+
+    if (locked && templateMarkers) {
+      pctx.strokeStyle = color;
+      pctx.lineWidth = 2 * scale;
+      for (const marker of templateMarkers) {
+        pctx.beginPath();
+        pctx.arc(marker.x * (width - 1), marker.y * (height - 1), 12 * scale, 0, Math.PI * 2);
+        pctx.stroke();
+      }
+    }
+    pctx.restore();
+  }
+
+  function tracePolygon(points) {
+    pctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) {
+      pctx.lineTo(points[i].x, points[i].y);
+    }
+    pctx.closePath();
   }
 
   // Keep the live overlay updating while the camera is running.
   function startOverlayLoop() {
     // Draw one overlay frame, then schedule the next one.
-    function loop() {
+    function loop(timestamp = performance.now()) {
       if (!currentStream) {
         overlayAnimationId = null;
         return;
@@ -244,7 +794,9 @@ export function createCameraController({
       }
 
       pctx.drawImage(video, 0, 0, processingCanvas.width, processingCanvas.height);
+      detectTemplateIfDue(timestamp);
       drawOverlay();
+      emitLiveFrameIfDue(timestamp);
       overlayAnimationId = requestAnimationFrame(loop);
     }
 
@@ -265,6 +817,12 @@ export function createCameraController({
     cameraToggleButton.textContent = preferredFacing === 'user' ? 'Front' : 'Back';
   }
 
+  function updateLiveToggleUI() {
+    if (!liveToggleButton) return;
+    liveToggleButton.textContent = liveEnabled ? 'Live: On' : 'Live: Off';
+    liveToggleButton.classList.toggle('active', liveEnabled);
+  }
+
   // Try the selected camera side first, then fall back to any camera.
   async function getPreferredCameraStream() {
     const facing = preferredFacing || 'user';
@@ -287,6 +845,12 @@ export function createCameraController({
     init,
     startCamera,
     stopCamera,
+    showStillImage,
+    clearStillImage,
+    setLiveEnabled,
+    isLiveEnabled: () => liveEnabled,
     getCurrentVideoTrackSettings,
+    getROISettings,
+    setROISettings,
   };
 }
@@ -0,0 +1,120 @@
+// Capture template:
+// - defines a printable A4 drawing sheet with four corner fiducial markers and a labelled drawing box
+// - builds the sheet as SVG (prints at true size) and downloads it
+// - maps detected marker centers to the capture region inside the drawing box (with perspective)
+// - searches a frame for the markers and their capture region in one call (run by the
+//   pipeline worker)
+import { computeHomography, applyHomography } from './perspective.js';
+import { detectFiducialMarkers } from './fiducialDetector.js';
+import { downloadBlob } from './wavExport.js';
+
+// Sheet geometry in millimetres (A4 landscape). Markers are QR-style finder patterns:
+// 7 x 7 modules of dark ring, light ring and a 3 x 3 dark center.
+export const TEMPLATE_LAYOUT = {
+  pageWidth: 297,
+  pageHeight: 210,
+  markerModule: 3,
+  markerMargin: 12,
+  drawingBox: { x: 42, y: 24, width: 213, height: 162 },
+  // The capture region stays this far inside the printed box so its border is never traced.
+  captureInset: 3,
+};
+
+const MARKER_MODULES = 7;
+
+// Marker centers in sheet millimetres: top-left, top-right, bottom-right, bottom-left.
+export function getTemplateMarkerCenters(layout = TEMPLATE_LAYOUT) {
+  const half = (layout.markerModule * MARKER_MODULES) / 2;
+  const left = layout.markerMargin + half;
+  const top = layout.markerMargin + half;
+  const right = layout.pageWidth - layout.markerMargin - half;
+  const bottom = layout.pageHeight - layout.markerMargin - half;
+  return [
+    { x: left, y: top },
+    { x: right, y: top },
+    { x: right, y: bottom },
+    { x: left, y: bottom },
+  ];
+}
+
+// The capture region (drawing box minus the inset) in sheet millimetres.
+export function getTemplateCaptureBox(layout = TEMPLATE_LAYOUT) {
+  const { drawingBox, captureInset } = layout;
+  return {
+    x: drawingBox.x + captureInset,
+    y: drawingBox.y + captureInset,
+    width: drawingBox.width - captureInset * 2,
+    height: drawingBox.height - captureInset * 2,
+  };
+}
+
+// Map detected marker centers (image pixels, same order as getTemplateMarkerCenters) to the
+// capture region's corners in the image. Returns null for degenerate marker positions.
+export function getTemplateCaptureQuad(markerCenters, layout = TEMPLATE_LAYOUT) {
+  const h = computeHomography(getTemplateMarkerCenters(layout), markerCenters);
+  if (!h) return null;
+
+  const { x, y, width, height } = getTemplateCaptureBox(layout);
+  return [
+    { x, y },
+    { x: x + width, y },
+    { x: x + width, y: y + height },
+    { x, y: y + height },
+  ].map((point) => applyHomography(h, point.x, point.y));
+}
+
+// Look for the template in a frame. Returns { markers, quad } in frame pixels; both are null
+// when the markers are not all visible or their positions are degenerate.
+export function findTemplateMarkers(imageData, layout = TEMPLATE_LAYOUT) {
+  const detection = detectFiducialMarkers(imageData);
+  const quad = detection ? getTemplateCaptureQuad(detection.markers, layout) : null;
+  return quad ? { markers: detection.markers, quad } : { markers: null, quad: null };
+}
+
+// Build the printable sheet. Units are millimetres so it prints at true size.
+export function buildCaptureTemplateSvg(layout = TEMPLATE_LAYOUT) {
+  const { pageWidth, pageHeight, markerModule, drawingBox } = layout;
+  const markerSize = markerModule * MARKER_MODULES;
+
+  const markers = getTemplateMarkerCenters(layout).map(({ x, y }) => {
+    const left = x - markerSize / 2;
+    const top = y - markerSize / 2;
+    return [
+      `<rect x="${left}" y="${top}" width="${markerSize}" height="${markerSize}" fill="#000"/>`,
+      `<rect x="${left + markerModule}" y="${top + markerModule}" width="${markerSize - markerModule * 2}" height="${markerSize - markerModule * 2}" fill="#fff"/>`,
+      `<rect x="${left + markerModule * 2}" y="${top + markerModule * 2}" width="${markerModule * 3}" height="${markerModule * 3}" fill="#000"/>`,
+    ].join('');
+  });
+
+  const centerX = drawingBox.x + drawingBox.width / 2;
+  const middleY = drawingBox.y + drawingBox.height / 2;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${pageWidth}mm" height="${pageHeight}mm" viewBox="0 0 ${pageWidth} ${pageHeight}">`,
+    `<rect width="${pageWidth}" height="${pageHeight}" fill="#fff"/>`,
+    ...markers,
+    `<rect x="${drawingBox.x}" y="${drawingBox.y}" width="${drawingBox.width}" height="${drawingBox.height}" fill="none" stroke="#999" stroke-width="0.4"/>`,
+    // Zero-line ticks sit outside the box so they are never captured.
+    `<path d="M${drawingBox.x - 4} ${middleY}H${drawingBox.x - 1}M${drawingBox.x + drawingBox.width + 1} ${middleY}H${drawingBox.x + drawingBox.width + 4}" stroke="#999" stroke-width="0.4"/>`,
+    `<text x="${centerX}" y="${drawingBox.y - 5}" font-family="sans-serif" font-size="5" text-anchor="middle" fill="#444">Draw one cycle inside the box, left to right</text>`,
+    `<text x="${centerX}" y="${drawingBox.y + drawingBox.height + 8}" font-family="sans-serif" font-size="3.5" text-anchor="middle" fill="#777">Print at 100% scale. Keep all four corner markers in view of the camera.</text>`,
+    '</svg>',
+  ].join('\n');
+}
+
+// Build and return the template download control used by the app.
+export function createCaptureTemplateControls({ downloadButton }) {
+  // Main flow API: bind the download button.
+  function init() {
+    if (downloadButton) downloadButton.addEventListener('click', downloadTemplate);
+  }
+
+  function downloadTemplate() {
+    const svg = buildCaptureTemplateSvg();
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'waveform-capture-template.svg');
+  }
+
+  return {
+    init,
+  };
+}
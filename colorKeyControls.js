@@ -0,0 +1,101 @@
+// Color key controls:
+// - picks which ink color is segmented: any (brightness), a red/green/blue preset, or a sampled color
+// - reads the hue/chroma tolerance (%) and shows the active key color in a swatch
+// - sends every change to the image processor
+import { COLOR_KEY_PRESETS } from './imageProcessing.js';
+
+// Build and return the color key controls used by the app.
+export function createColorKeyControls({
+  modeSelect,
+  toleranceInput,
+  swatch,
+  onChange,
+}) {
+  const SAMPLED_MODE = 'sampled';
+
+  let sampledColor = null;
+
+  // Main flow API: bind inputs and push the initial values.
+  function init() {
+    for (const input of [modeSelect, toleranceInput]) {
+      if (input) input.addEventListener('change', applyInputs);
+    }
+
+    updateSampledOption();
+    applyInputs();
+  }
+
+  function applyInputs() {
+    const color = getSelectedColor();
+    const changes = {
+      color,
+      tolerance: toleranceInput ? Number(toleranceInput.value) / 100 : undefined,
+    };
+
+    const applied = typeof onChange === 'function' ? onChange(changes) : null;
+    if (applied && toleranceInput) toleranceInput.value = Math.round(applied.tolerance * 100);
+    updateSwatch(color);
+  }
+
+  // Use a color sampled from the view and switch to it.
+  function setSampledColor(color) {
+    if (!color) return;
+
+    sampledColor = { r: color.r, g: color.g, b: color.b };
+    updateSampledOption();
+    if (modeSelect) modeSelect.value = SAMPLED_MODE;
+    applyInputs();
+  }
+
+  // Plain copy of the control values for saving in a session preset.
+  function getSettings() {
+    return {
+      mode: modeSelect ? modeSelect.value : 'off',
+      sampledColor: sampledColor ? { ...sampledColor } : null,
+      tolerance: toleranceInput ? Number(toleranceInput.value) / 100 : null,
+    };
+  }
+
+  // Restore values from getSettings() and push them to the image processor.
+  function setSettings(settings = {}) {
+    const color = settings.sampledColor;
+    if (color && [color.r, color.g, color.b].every(Number.isFinite)) {
+      sampledColor = { r: color.r, g: color.g, b: color.b };
+      updateSampledOption();
+    }
+    if (modeSelect && typeof settings.mode === 'string') {
+      const option = Array.from(modeSelect.options).find((item) => item.value === settings.mode);
+      if (option && !option.disabled) modeSelect.value = settings.mode;
+    }
+    if (toleranceInput && Number.isFinite(settings.tolerance)) {
+      toleranceInput.value = Math.round(settings.tolerance * 100);
+    }
+    applyInputs();
+  }
+
+  function getSelectedColor() {
+    const mode = modeSelect ? modeSelect.value : 'off';
+    if (mode === SAMPLED_MODE) return sampledColor;
+    return COLOR_KEY_PRESETS[mode] || null;
+  }
+
+  // The sampled option stays disabled until something has been sampled.
+  function updateSampledOption() {
+    if (!modeSelect) return;
+    const option = Array.from(modeSelect.options).find((item) => item.value === SAMPLED_MODE);
+    if (option) option.disabled = !sampledColor;
+  }
+
+  function updateSwatch(color) {
+    if (!swatch) return;
+    swatch.classList.toggle('hidden', !color);
+    if (color) swatch.style.backgroundColor = `rgb(${color.r}, ${color.g}, ${color.b})`;
+  }
+
+  return {
+    init,
+    setSampledColor,
+    getSettings,
+    setSettings,
+  };
+}
@@ -0,0 +1,178 @@
+// Cycle detection:
+// - estimates the fundamental period of an extracted waveform from a normalized
+//   difference function (AMDF-style autocorrelation) over the traced span
+// - reports how many cycles were drawn, so sketches of several periods can be told apart
+// - crops the waveform to a whole number of cycles starting at a rising zero crossing where
+//   the loop seam matches best, resampled back to the original length
+
+export const CYCLE_DETECTION_CONFIG = {
+  // Shortest period considered, in samples; anything shorter is pen jitter.
+  minPeriodSamples: 8,
+  // The longest lag still compares at least this fraction of the span with itself.
+  minOverlapRatio: 0.15,
+  // Similarity (1 = identical overlap) a lag needs to count as a repetition.
+  minSimilarity: 0.8,
+  // The shortest lag within this fraction of the best peak wins, so 2x the period is not picked.
+  peakTolerance: 0.9,
+  // A span this close to a whole number of periods still counts as holding that many.
+  wholeCycleSlack: 0.05,
+};
+
+// Estimate the period of waveform[start..end] (inclusive; the extractor's kept span).
+// Returns { period, cycles, wholeCycles, similarity, start, end } with period in samples,
+// or null when the span does not repeat (the whole trace is then one cycle).
+export function detectCycles(waveform, { start = 0, end = waveform ? waveform.length - 1 : -1 } = {}) {
+  if (!waveform || waveform.length === 0) return null;
+
+  const spanStart = Math.max(0, Math.floor(start));
+  const spanEnd = Math.min(waveform.length - 1, Math.floor(end));
+  const span = getCenteredSpan(waveform, spanStart, spanEnd);
+  const n = span.length;
+  const { minPeriodSamples, minOverlapRatio, minSimilarity, peakTolerance, wholeCycleSlack } = CYCLE_DETECTION_CONFIG;
+  const maxLag = Math.floor(n * (1 - minOverlapRatio));
+  if (maxLag <= minPeriodSamples) return null;
+
+  const similarity = new Float32Array(maxLag + 2);
+  for (let lag = 1; lag <= maxLag + 1; lag++) {
+    similarity[lag] = getLagSimilarity(span, lag);
+  }
+
+  // Small lags always look alike; only peaks after the first dip below zero are periods.
+  let firstDip = 1;
+  while (firstDip <= maxLag && similarity[firstDip] >= 0) firstDip++;
+
+  const peaks = [];
+  for (let lag = Math.max(firstDip, minPeriodSamples); lag <= maxLag; lag++) {
+    const value = similarity[lag];
+    if (value < minSimilarity) continue;
+    if (value >= similarity[lag - 1] && value >= similarity[lag + 1]) peaks.push(lag);
+  }
+  if (peaks.length === 0) return null;
+
+  const best = Math.max(...peaks.map((lag) => similarity[lag]));
+  const lag = peaks.find((candidate) => similarity[candidate] >= best * peakTolerance);
+  const period = lag + getParabolicOffset(similarity[lag - 1], similarity[lag], similarity[lag + 1]);
+
+  return {
+    period,
+    cycles: n / period,
+    wholeCycles: Math.max(1, Math.floor(n / period + wholeCycleSlack)),
+    similarity: similarity[lag],
+    start: spanStart,
+    end: spanEnd,
+  };
+}
+
+// Cut `cycles` whole periods out of the detected span and resample them to `length`
+// samples (the source length by default) so the result loops without a seam.
+// Returns { waveform, start, length, cycles } with start/length in source samples, or null.
+export function cropToCycles(waveform, detection, { cycles = 1, length = waveform?.length ?? 0 } = {}) {
+  if (!waveform || !detection || !(detection.period > 0) || length <= 0) return null;
+
+  const cycleCount = Math.min(detection.wholeCycles, Math.max(1, Math.round(cycles)));
+  const cropLength = cycleCount * detection.period;
+  // The crop may end up to one sample past the span; the last sample stands in there.
+  const latestStart = Math.max(detection.start, detection.end + 1 - cropLength);
+
+  const cropStart = findSeamStart(waveform, detection.start, latestStart, cropLength);
+  const out = new Float32Array(length);
+  const step = cropLength / length;
+  for (let i = 0; i < length; i++) {
+    out[i] = sampleLinear(waveform, cropStart + i * step);
+  }
+
+  return { waveform: out, start: cropStart, length: cropLength, cycles: cycleCount };
+}
+
+// Copy of the span with its mean removed; non-finite samples count as the center line.
+function getCenteredSpan(waveform, start, end) {
+  const n = Math.max(0, end - start + 1);
+  const span = new Float32Array(n);
+  let mean = 0;
+  for (let i = 0; i < n; i++) {
+    const value = waveform[start + i];
+    span[i] = Number.isFinite(value) ? value : 0;
+    mean += span[i];
+  }
+  mean = n > 0 ? mean / n : 0;
+  for (let i = 0; i < n; i++) span[i] -= mean;
+  return span;
+}
+
+// 1 - normalized squared difference between the span and itself shifted by `lag`:
+// 1 for identical overlaps, 0 for unrelated ones, -1 for inverted ones. Unlike plain
+// correlation it also penalizes amplitude differences.
+function getLagSimilarity(span, lag) {
+  let cross = 0;
+  let energy = 0;
+  for (let i = 0; i + lag < span.length; i++) {
+    const a = span[i];
+    const b = span[i + lag];
+    cross += a * b;
+    energy += a * a + b * b;
+  }
+  return energy > 0 ? (2 * cross) / energy : 0;
+}
+
+// Sub-sample offset of a peak from the parabola through three neighbouring values.
+function getParabolicOffset(left, center, right) {
+  const denominator = left - 2 * center + right;
+  if (!Number.isFinite(denominator) || denominator >= 0) return 0;
+  return Math.max(-0.5, Math.min(0.5, (0.5 * (left - right)) / denominator));
+}
+
+// Prefer a rising zero crossing (so crops start in the same phase a test sine does), choosing
+// the one where value and slope match best one crop length later. Falls back to any sample.
+function findSeamStart(waveform, earliest, latest, cropLength) {
+  // Whole cycles average to the true center line; a longer span would bias it.
+  let mean = 0;
+  const meanSamples = Math.max(1, Math.round(cropLength));
+  for (let i = 0; i < meanSamples; i++) {
+    mean += sampleLinear(waveform, earliest + i);
+  }
+  mean /= meanSamples;
+
+  const candidates = [];
+  for (let x = Math.ceil(earliest); x <= latest; x++) {
+    const a = sampleLinear(waveform, x) - mean;
+    const b = sampleLinear(waveform, x + 1) - mean;
+    if (a < 0 && b >= 0) {
+      const crossing = x + a / (a - b);
+      if (crossing <= latest) candidates.push(crossing);
+    }
+  }
+
+  if (candidates.length === 0) {
+    for (let x = Math.ceil(earliest); x <= latest; x++) candidates.push(x);
+  }
+
+  let bestStart = earliest;
+  let bestCost = Infinity;
+  for (const candidate of candidates) {
+    const cost = getSeamCost(waveform, candidate, cropLength);
+    if (cost < bestCost) {
+      bestCost = cost;
+      bestStart = candidate;
+    }
+  }
+  return bestStart;
+}
+
+function getSeamCost(waveform, start, cropLength) {
+  const end = start + cropLength;
+  const valueJump = sampleLinear(waveform, end) - sampleLinear(waveform, start);
+  const slopeAtStart = sampleLinear(waveform, start + 1) - sampleLinear(waveform, start);
+  const slopeAtEnd = sampleLinear(waveform, end) - sampleLinear(waveform, end - 1);
+  return Math.abs(valueJump) + Math.abs(slopeAtEnd - slopeAtStart);
+}
+
+function sampleLinear(waveform, position) {
+  const last = waveform.length - 1;
+  const clamped = Math.max(0, Math.min(last, position));
+  const index = Math.floor(clamped);
+  const next = Math.min(last, index + 1);
+  const fraction = clamped - index;
+  const a = Number.isFinite(waveform[index]) ? waveform[index] : 0;
+  const b = Number.isFinite(waveform[next]) ? waveform[next] : 0;
+  return a + (b - a) * fraction;
+}
@@ -0,0 +1,135 @@
+// Envelope controls:
+// - reads attack/decay/release (ms), sustain (%) and curve inputs and sends them to the synth
+// - reflects the values the synth actually applied (after clamping) back into the inputs
+// - draws the ADSR shape so the effect of each control is visible
+import { getEnvelopeLevel, ENVELOPE_FLOOR } from './audioEngine.js';
+
+// Build and return the envelope controls used by the app.
+export function createEnvelopeControls({
+  attackInput,
+  decayInput,
+  sustainInput,
+  releaseInput,
+  curveSelect,
+  canvas,
+  onChange,
+}) {
+  // Share of the drawing given to the sustain plateau (it has no fixed duration).
+  const SUSTAIN_DRAW_RATIO = 0.2;
+  const DRAW_STEPS = 200;
+
+  const ctx = canvas ? canvas.getContext('2d') : null;
+  let currentEnvelope = null;
+
+  // Main flow API: bind inputs and push the initial values.
+  function init() {
+    for (const input of [attackInput, decayInput, sustainInput, releaseInput, curveSelect]) {
+      if (input) input.addEventListener('change', applyInputs);
+    }
+
+    applyInputs();
+  }
+
+  function applyInputs() {
+    const changes = {};
+    if (attackInput) changes.attack = Number(attackInput.value) / 1000;
+    if (decayInput) changes.decay = Number(decayInput.value) / 1000;
+    if (sustainInput) changes.sustain = Number(sustainInput.value) / 100;
+    if (releaseInput) changes.release = Number(releaseInput.value) / 1000;
+    if (curveSelect) changes.curve = curveSelect.value;
+
+    const applied = typeof onChange === 'function' ? onChange(changes) : null;
+    setEnvelope(applied || changes);
+  }
+
+  // Show an envelope (e.g. one restored elsewhere) in the inputs and drawing.
+  function setEnvelope(env) {
+    currentEnvelope = { ...env };
+    if (attackInput) attackInput.value = formatNumber(env.attack * 1000);
+    if (decayInput) decayInput.value = formatNumber(env.decay * 1000);
+    if (sustainInput) sustainInput.value = formatNumber(env.sustain * 100);
+    if (releaseInput) releaseInput.value = formatNumber(env.release * 1000);
+    if (curveSelect) curveSelect.value = env.curve;
+    drawEnvelope();
+  }
+
+  function drawEnvelope() {
+    if (!canvas || !ctx || !currentEnvelope) return;
+
+    const env = currentEnvelope;
+    const width = canvas.width;
+    const height = canvas.height;
+    const margin = 4;
+    const plotWidth = width - margin * 2;
+    const plotHeight = height - margin * 2;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+
+    // Time segments are drawn in proportion, with a fixed-width sustain plateau.
+    const timedSeconds = env.attack + env.decay + env.release;
+    const sustainSeconds = timedSeconds * SUSTAIN_DRAW_RATIO / (1 - SUSTAIN_DRAW_RATIO);
+    const releaseStart = env.attack + env.decay + sustainSeconds;
+    const totalSeconds = releaseStart + env.release;
+    const sustainLevel = getEnvelopeLevel(env, releaseStart, 1);
+
+    const toX = (t) => margin + (t / totalSeconds) * plotWidth;
+    const toY = (level) => margin + (1 - level) * plotHeight;
+
+    ctx.strokeStyle = '#334155';
+    ctx.lineWidth = 1;
+    for (const t of [env.attack, env.attack + env.decay, releaseStart]) {
+      ctx.beginPath();
+      ctx.moveTo(Math.round(toX(t)) + 0.5, margin);
+      ctx.lineTo(Math.round(toX(t)) + 0.5, height - margin);
+      ctx.stroke();
+    }
+
+    ctx.strokeStyle = '#38bdf8';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i <= DRAW_STEPS; i++) {
+      const t = (i / DRAW_STEPS) * totalSeconds;
+      let level;
+      if (t <= releaseStart) {
+        level = getEnvelopeLevel(env, t, 1);
+      } else {
+        const ratio = (t - releaseStart) / env.release;
+        level = env.curve === 'exponential'
+          ? sustainLevel * Math.pow(ENVELOPE_FLOOR / sustainLevel, ratio)
+          : sustainLevel * (1 - ratio);
+      }
+
+      if (i === 0) {
+        ctx.moveTo(toX(t), toY(level));
+      } else {
+        ctx.lineTo(toX(t), toY(level));
+      }
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = '#8aa0b6';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'center';
+    const labels = [
+      ['A', env.attack * 0.5],
+      ['D', env.attack + env.decay * 0.5],
+      ['S', env.attack + env.decay + sustainSeconds * 0.5],
+      ['R', releaseStart + env.release * 0.5],
+    ];
+    for (const [text, t] of labels) {
+      ctx.fillText(text, toX(t), height - margin - 2);
+    }
+    ctx.textAlign = 'left';
+  }
+
+  function formatNumber(value) {
+    const rounded = Math.round(value * 10) / 10;
+    return Number.isInteger(rounded) ? `${rounded}` : rounded.toFixed(1);
+  }
+
+  return {
+    init,
+    setEnvelope,
+  };
+}
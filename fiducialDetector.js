@@ -0,0 +1,261 @@
+// Fiducial detector:
+// - finds the four QR-style finder markers of the capture template in a camera frame
+// - scans a downscaled, locally thresholded copy for 1:1:3:1:1 dark/light runs, then
+//   cross-checks each hit vertically and horizontally
+// - returns marker centers ordered top-left, top-right, bottom-right, bottom-left
+
+export const FIDUCIAL_CONFIG = {
+  // Frames wider than this are block-averaged down before scanning.
+  workingWidth: 640,
+  // Thresholds are the min/max midpoint of each block, averaged over neighbouring blocks.
+  blockSize: 8,
+  thresholdBlockRadius: 2,
+  // Blocks with less contrast than this count as plain paper.
+  minBlockContrast: 24,
+  // Allowed deviation of each run from its ideal length, in modules.
+  moduleTolerance: 0.7,
+  // Hits closer than this many modules are merged into one marker.
+  mergeDistanceModules: 3,
+  // Markers must be confirmed on at least this many scan rows.
+  minRowHits: 3,
+  // The markers must enclose at least this fraction of the frame.
+  minQuadAreaRatio: 0.02,
+};
+
+// Find the template markers. Returns { markers: [tl, tr, br, bl], moduleSize } in frame
+// pixels, or null when four consistent markers are not visible.
+export function detectFiducialMarkers(imageData) {
+  if (!imageData || imageData.width <= 0 || imageData.height <= 0) return null;
+
+  const { gray, width, height, factor } = downsampleGray(imageData, FIDUCIAL_CONFIG.workingWidth);
+  const dark = thresholdBlocks(gray, width, height);
+
+  const candidates = [];
+  for (let y = 0; y < height; y++) {
+    scanRowForMarkers(dark, width, height, y, candidates);
+  }
+
+  const confirmed = candidates
+    .filter((candidate) => candidate.hits >= FIDUCIAL_CONFIG.minRowHits)
+    .sort((a, b) => b.hits - a.hits)
+    .slice(0, 4);
+  if (confirmed.length < 4) return null;
+
+  const ordered = orderCorners(confirmed);
+  if (!isUsableQuad(ordered, width * height)) return null;
+
+  // Pixel centers of the working image back to frame pixels.
+  const toFrame = (value) => (value + 0.5) * factor - 0.5;
+  const moduleSize = confirmed.reduce((sum, candidate) => sum + candidate.moduleSize, 0) / confirmed.length;
+  return {
+    markers: ordered.map(({ x, y }) => ({ x: toFrame(x), y: toFrame(y) })),
+    moduleSize: moduleSize * factor,
+  };
+}
+
+// Grayscale copy, block-averaged by a whole factor so it is at most maxWidth wide.
+function downsampleGray({ data, width, height }, maxWidth) {
+  const factor = Math.max(1, Math.ceil(width / maxWidth));
+  const outWidth = Math.floor(width / factor);
+  const outHeight = Math.floor(height / factor);
+  const gray = new Float32Array(outWidth * outHeight);
+  const area = factor * factor;
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < factor; dy++) {
+        let index = ((y * factor + dy) * width + x * factor) * 4;
+        for (let dx = 0; dx < factor; dx++) {
+          sum += 0.299 * data[index] + 0.587 * data[index + 1] + 0.114 * data[index + 2];
+          index += 4;
+        }
+      }
+      gray[y * outWidth + x] = sum / area;
+    }
+  }
+
+  return { gray, width: outWidth, height: outHeight, factor };
+}
+
+// 1 where a pixel is darker than the local midpoint between ink and paper, so uneven
+// lighting cancels out and thin light rings keep their width.
+function thresholdBlocks(gray, width, height) {
+  const { blockSize, thresholdBlockRadius, minBlockContrast } = FIDUCIAL_CONFIG;
+  const blocksX = Math.ceil(width / blockSize);
+  const blocksY = Math.ceil(height / blockSize);
+
+  // Plain blocks get half their minimum, which stays below any ink nearby.
+  const blockThresholds = new Float32Array(blocksX * blocksY);
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      let min = Infinity;
+      let max = -Infinity;
+      for (let y = by * blockSize; y < Math.min(height, (by + 1) * blockSize); y++) {
+        for (let x = bx * blockSize; x < Math.min(width, (bx + 1) * blockSize); x++) {
+          const value = gray[y * width + x];
+          if (value < min) min = value;
+          if (value > max) max = value;
+        }
+      }
+      blockThresholds[by * blocksX + bx] = max - min > minBlockContrast ? (min + max) / 2 : min / 2;
+    }
+  }
+
+  const dark = new Uint8Array(width * height);
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      let sum = 0;
+      let count = 0;
+      for (let ny = Math.max(0, by - thresholdBlockRadius); ny <= Math.min(blocksY - 1, by + thresholdBlockRadius); ny++) {
+        for (let nx = Math.max(0, bx - thresholdBlockRadius); nx <= Math.min(blocksX - 1, bx + thresholdBlockRadius); nx++) {
+          sum += blockThresholds[ny * blocksX + nx];
+          count++;
+        }
+      }
+      const threshold = sum / count;
+
+      for (let y = by * blockSize; y < Math.min(height, (by + 1) * blockSize); y++) {
+        for (let x = bx * blockSize; x < Math.min(width, (bx + 1) * blockSize); x++) {
+          dark[y * width + x] = gray[y * width + x] < threshold ? 1 : 0;
+        }
+      }
+    }
+  }
+
+  return dark;
+}
+
+// Look for dark/light/dark/light/dark runs in the finder ratio along one row.
+function scanRowForMarkers(dark, width, height, y, candidates) {
+  const runs = [];
+  let start = 0;
+  for (let x = 1; x <= width; x++) {
+    if (x < width && dark[y * width + x] === dark[y * width + start]) continue;
+    runs.push({ start, length: x - start, dark: dark[y * width + start] === 1 });
+    start = x;
+  }
+
+  for (let i = 0; i + 4 < runs.length; i++) {
+    if (!runs[i].dark) continue;
+    const counts = runs.slice(i, i + 5).map((run) => run.length);
+    if (!matchesFinderRatio(counts)) continue;
+
+    const centerX = Math.round(runs[i + 2].start + (runs[i + 2].length - 1) / 2);
+    const vertical = crossCheck(dark, width, height, centerX, y, 0, 1);
+    if (!vertical) continue;
+
+    // Similar extent both ways rules out long bars that happen to match one direction.
+    const horizontalTotal = counts.reduce((sum, count) => sum + count, 0);
+    if (Math.abs(vertical.total - horizontalTotal) > horizontalTotal * 0.5) continue;
+
+    const centerY = Math.round(y + vertical.offset);
+    const horizontal = crossCheck(dark, width, height, centerX, centerY, 1, 0);
+    if (!horizontal) continue;
+
+    addCandidate(candidates, {
+      x: centerX + horizontal.offset,
+      y: y + vertical.offset,
+      moduleSize: (horizontal.total + vertical.total) / (2 * 7),
+    });
+  }
+}
+
+// Count the five finder runs through (x, y) along (stepX, stepY). Returns the offset of the
+// center run's middle from (x, y) and the total length, or null when the ratio fails.
+function crossCheck(dark, width, height, x, y, stepX, stepY) {
+  const at = (k) => {
+    const px = x + k * stepX;
+    const py = y + k * stepY;
+    if (px < 0 || py < 0 || px >= width || py >= height) return -1;
+    return dark[py * width + px];
+  };
+  if (at(0) !== 1) return null;
+
+  const counts = [0, 0, 0, 0, 0];
+  // Walk back through the center, light ring and outer ring, then forward the same way.
+  let k = 0;
+  for (const [index, value] of [[2, 1], [1, 0], [0, 1]]) {
+    while (at(k) === value) {
+      counts[index]++;
+      k--;
+    }
+  }
+
+  k = 1;
+  let centerEnd = 0;
+  for (const [index, value] of [[2, 1], [3, 0], [4, 1]]) {
+    while (at(k) === value) {
+      counts[index]++;
+      k++;
+    }
+    if (index === 2) centerEnd = k;
+  }
+
+  if (!matchesFinderRatio(counts)) return null;
+  return {
+    offset: centerEnd - counts[2] / 2 - 0.5,
+    total: counts.reduce((sum, count) => sum + count, 0),
+  };
+}
+
+function matchesFinderRatio(counts) {
+  if (counts.some((count) => count === 0)) return false;
+
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  if (total < 7) return false;
+
+  const moduleSize = total / 7;
+  const tolerance = moduleSize * FIDUCIAL_CONFIG.moduleTolerance;
+  return Math.abs(counts[0] - moduleSize) < tolerance
+    && Math.abs(counts[1] - moduleSize) < tolerance
+    && Math.abs(counts[2] - moduleSize * 3) < tolerance * 3
+    && Math.abs(counts[3] - moduleSize) < tolerance
+    && Math.abs(counts[4] - moduleSize) < tolerance;
+}
+
+// Merge a hit into a nearby candidate (running average) or start a new one.
+function addCandidate(candidates, hit) {
+  const existing = candidates.find((candidate) => Math.hypot(candidate.x - hit.x, candidate.y - hit.y)
+    < Math.max(candidate.moduleSize, hit.moduleSize) * FIDUCIAL_CONFIG.mergeDistanceModules);
+
+  if (!existing) {
+    candidates.push({ ...hit, hits: 1 });
+    return;
+  }
+
+  const weight = existing.hits / (existing.hits + 1);
+  existing.x = existing.x * weight + hit.x * (1 - weight);
+  existing.y = existing.y * weight + hit.y * (1 - weight);
+  existing.moduleSize = existing.moduleSize * weight + hit.moduleSize * (1 - weight);
+  existing.hits++;
+}
+
+// Top-left has the smallest x + y, bottom-right the largest; top-right has the largest
+// x - y and bottom-left the smallest.
+function orderCorners(points) {
+  const bySum = [...points].sort((a, b) => (a.x + a.y) - (b.x + b.y));
+  const byDifference = [...points].sort((a, b) => (a.x - a.y) - (b.x - b.y));
+  return [bySum[0], byDifference[3], bySum[3], byDifference[0]];
+}
+
+// The ordered corners must be four distinct points forming a convex quad of useful size.
+function isUsableQuad(corners, frameArea) {
+  if (new Set(corners).size !== 4) return false;
+
+  let area = 0;
+  let sign = 0;
+  for (let i = 0; i < 4; i++) {
+    const a = corners[i];
+    const b = corners[(i + 1) % 4];
+    const c = corners[(i + 2) % 4];
+    area += a.x * b.y - b.x * a.y;
+
+    const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (cross === 0) return false;
+    if (sign === 0) sign = Math.sign(cross);
+    else if (Math.sign(cross) !== sign) return false;
+  }
+
+  return Math.abs(area) / 2 >= frameArea * FIDUCIAL_CONFIG.minQuadAreaRatio;
+}
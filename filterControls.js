@@ -0,0 +1,47 @@
+// Filter controls:
+// - reads filter type, cutoff (Hz), resonance (%), key tracking (%) and envelope amount (octaves)
+// - sends every change to the synth and reflects the applied (clamped) values back into the inputs
+// Build and return the filter controls used by the app.
+export function createFilterControls({
+  typeSelect,
+  cutoffInput,
+  resonanceInput,
+  keyTrackInput,
+  envAmountInput,
+  onChange,
+}) {
+  // Main flow API: bind inputs and push the initial values.
+  function init() {
+    for (const input of [typeSelect, cutoffInput, resonanceInput, keyTrackInput, envAmountInput]) {
+      if (input) input.addEventListener('change', applyInputs);
+    }
+
+    applyInputs();
+  }
+
+  function applyInputs() {
+    const changes = {};
+    if (typeSelect) changes.type = typeSelect.value;
+    if (cutoffInput) changes.cutoff = Number(cutoffInput.value);
+    if (resonanceInput) changes.resonance = Number(resonanceInput.value) / 100;
+    if (keyTrackInput) changes.keyTracking = Number(keyTrackInput.value) / 100;
+    if (envAmountInput) changes.envelopeAmount = Number(envAmountInput.value);
+
+    const applied = typeof onChange === 'function' ? onChange(changes) : null;
+    setFilter(applied || changes);
+  }
+
+  // Show filter settings (e.g. ones restored elsewhere) in the inputs.
+  function setFilter(settings) {
+    if (typeSelect) typeSelect.value = settings.type;
+    if (cutoffInput) cutoffInput.value = Math.round(settings.cutoff);
+    if (resonanceInput) resonanceInput.value = Math.round(settings.resonance * 100);
+    if (keyTrackInput) keyTrackInput.value = Math.round(settings.keyTracking * 100);
+    if (envAmountInput) envAmountInput.value = Math.round(settings.envelopeAmount * 10) / 10;
+  }
+
+  return {
+    init,
+    setFilter,
+  };
+}
@@ -0,0 +1,228 @@
+// Frame stack:
+// - keeps captured waveforms as an ordered list of wavetable frames (optionally with a right channel)
+// - renders a thumbnail list with move up/down and delete controls
+// - reports every change so the synth, exporters and history always see the current order
+// - draws waveform thumbnails (also used by the gallery)
+
+export const THUMBNAIL_WIDTH = 96;
+export const THUMBNAIL_HEIGHT = 36;
+
+// Build and return the wavetable frame stack used by the app.
+export function createFrameStack({
+  listEl,
+  countEl,
+  clearButton,
+  maxFrames,
+  onChange,
+}) {
+  // Entries are { left, right }; right is null for mono frames.
+  let frames = [];
+
+  // Main flow API: bind the clear button and draw the empty list.
+  function init() {
+    if (clearButton) {
+      clearButton.addEventListener('click', clear);
+    }
+
+    render();
+  }
+
+  // Append a copy of a waveform (and optional right channel for stereo playback);
+  // the oldest frame is dropped once the limit is reached.
+  function addFrame(waveform, rightWaveform = null) {
+    if (!waveform || waveform.length === 0) return;
+
+    if (Number.isFinite(maxFrames) && frames.length >= maxFrames) {
+      frames.shift();
+    }
+    frames.push({
+      left: Float32Array.from(waveform),
+      right: rightWaveform && rightWaveform.length > 0 ? Float32Array.from(rightWaveform) : null,
+    });
+    commit();
+  }
+
+  // Append several frames as one change (one history entry), e.g. the traces of one capture.
+  // rightWaveforms matches waveforms, with nulls for mono frames.
+  function addFrames(waveforms, rightWaveforms = []) {
+    const added = (waveforms || [])
+      .map((waveform, index) => ({ waveform, right: rightWaveforms ? rightWaveforms[index] : null }))
+      .filter(({ waveform }) => waveform && waveform.length > 0);
+    if (added.length === 0) return;
+
+    for (const { waveform, right } of added) {
+      frames.push({
+        left: Float32Array.from(waveform),
+        right: right && right.length > 0 ? Float32Array.from(right) : null,
+      });
+    }
+    if (Number.isFinite(maxFrames) && frames.length > maxFrames) {
+      frames.splice(0, frames.length - maxFrames);
+    }
+    commit();
+  }
+
+  // Swap in a new waveform for an existing frame, keeping its place in the order.
+  function replaceFrame(index, waveform, rightWaveform = null) {
+    if (index < 0 || index >= frames.length || !waveform || waveform.length === 0) return;
+    frames[index] = {
+      left: Float32Array.from(waveform),
+      right: rightWaveform && rightWaveform.length > 0 ? Float32Array.from(rightWaveform) : null,
+    };
+    commit();
+  }
+
+  // Swap `count` frames from `index` on for new ones in one change (a re-run multi-trace capture
+  // may find a different number of traces). rightWaveforms matches waveforms, nulls for mono.
+  function replaceFrames(index, count, waveforms, rightWaveforms = []) {
+    if (index < 0 || count < 0 || index + count > frames.length) return;
+    const replacements = (waveforms || [])
+      .map((waveform, i) => ({ waveform, right: rightWaveforms ? rightWaveforms[i] : null }))
+      .filter(({ waveform }) => waveform && waveform.length > 0)
+      .map(({ waveform, right }) => ({
+        left: Float32Array.from(waveform),
+        right: right && right.length > 0 ? Float32Array.from(right) : null,
+      }));
+    frames.splice(index, count, ...replacements);
+    if (Number.isFinite(maxFrames) && frames.length > maxFrames) {
+      frames.splice(0, frames.length - maxFrames);
+    }
+    commit();
+  }
+
+  function removeFrame(index) {
+    if (index < 0 || index >= frames.length) return;
+    frames.splice(index, 1);
+    commit();
+  }
+
+  // Swap a frame with its neighbour (delta -1 moves it earlier, +1 later).
+  function moveFrame(index, delta) {
+    const target = index + delta;
+    if (index < 0 || index >= frames.length || target < 0 || target >= frames.length) return;
+
+    const moved = frames[index];
+    frames[index] = frames[target];
+    frames[target] = moved;
+    commit();
+  }
+
+  // Replace every frame at once (history restores); frames are copied like addFrame does.
+  function setFrames(nextFrames, nextRightFrames = []) {
+    frames = (nextFrames || [])
+      .filter((waveform) => waveform && waveform.length > 0)
+      .map((waveform, index) => {
+        const right = nextRightFrames ? nextRightFrames[index] : null;
+        return {
+          left: Float32Array.from(waveform),
+          right: right && right.length > 0 ? Float32Array.from(right) : null,
+        };
+      });
+    commit();
+  }
+
+  function clear() {
+    if (frames.length === 0) return;
+    frames = [];
+    commit();
+  }
+
+  function commit() {
+    render();
+    if (typeof onChange === 'function') {
+      onChange(getFrames(), getRightFrames());
+    }
+  }
+
+  // Left (or mono) channel of every frame, in order; exporters use these.
+  function getFrames() {
+    return frames.map((frame) => frame.left);
+  }
+
+  // Right channel of every frame in the same order (null for mono frames).
+  function getRightFrames() {
+    return frames.map((frame) => frame.right);
+  }
+
+  function render() {
+    if (countEl) countEl.textContent = `Frames: ${frames.length}`;
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+    frames.forEach((frame, index) => {
+      const item = document.createElement('li');
+      item.className = 'frame-stack-item';
+
+      const label = document.createElement('span');
+      label.className = 'frame-stack-label';
+      label.textContent = frame.right ? `${index + 1} L/R` : `${index + 1}`;
+
+      const thumbnail = document.createElement('canvas');
+      thumbnail.width = THUMBNAIL_WIDTH;
+      thumbnail.height = THUMBNAIL_HEIGHT;
+      drawWaveformThumbnail(thumbnail, frame.left, frame.right);
+
+      item.append(
+        label,
+        thumbnail,
+        createActionButton('↑', `Move frame ${index + 1} earlier`, () => moveFrame(index, -1), index === 0),
+        createActionButton('↓', `Move frame ${index + 1} later`, () => moveFrame(index, 1), index === frames.length - 1),
+        createActionButton('✕', `Delete frame ${index + 1}`, () => removeFrame(index), false),
+      );
+      listEl.appendChild(item);
+    });
+  }
+
+  function createActionButton(text, title, onClick, disabled) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  return {
+    init,
+    addFrame,
+    addFrames,
+    replaceFrame,
+    replaceFrames,
+    setFrames,
+    removeFrame,
+    moveFrame,
+    clear,
+    getFrames,
+    getRightFrames,
+    getFrameCount: () => frames.length,
+  };
+}
+
+// Draw a small black thumbnail of a waveform (and its right channel in amber, behind it).
+export function drawWaveformThumbnail(canvas, left, right = null) {
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  if (right) drawThumbnailLine(ctx, canvas, right, '#f59e0b');
+  drawThumbnailLine(ctx, canvas, left, '#ffffff');
+}
+
+function drawThumbnailLine(ctx, canvas, samples, color) {
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+
+  const xDenominator = Math.max(1, samples.length - 1);
+  for (let i = 0; i < samples.length; i++) {
+    const value = Number.isFinite(samples[i]) ? samples[i] : 0;
+    const x = (i / xDenominator) * (canvas.width - 1);
+    const y = (1 - (value + 1) / 2) * canvas.height;
+    if (i === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  }
+  ctx.stroke();
+}
@@ -0,0 +1,165 @@
+// Image file source:
+// - loads PNG/JPEG/WebP images from a file picker, drag-and-drop, or clipboard paste
+// - decodes images to ImageData (downscaled to a camera-like size) for the existing pipeline
+// - reports decode failures without interrupting the live camera flow
+// Build and return the image file source used by the app.
+export function createImageFileSource({
+  loadButton,
+  fileInput,
+  dropTarget,
+  pasteTarget,
+  onImage,
+  onError,
+}) {
+  const SUPPORTED_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+  // Keep decoded frames near camera resolution so preprocessing stays responsive.
+  const MAX_IMAGE_DIMENSION = 1920;
+  const DROP_ACTIVE_CLASS = 'drop-active';
+
+  const decodeCanvas = document.createElement('canvas');
+  const dctx = decodeCanvas.getContext('2d', { willReadFrequently: true });
+
+  // Main flow API: connect picker, drop, and paste events.
+  function init() {
+    if (loadButton && fileInput) {
+      loadButton.addEventListener('click', () => {
+        fileInput.click();
+      });
+    }
+
+    if (fileInput) {
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files && fileInput.files[0];
+        // Clear the value so picking the same file again still fires change.
+        fileInput.value = '';
+        if (file) loadFile(file);
+      });
+    }
+
+    if (dropTarget) {
+      dropTarget.addEventListener('dragover', (event) => {
+        if (!hasFileItems(event.dataTransfer)) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        dropTarget.classList.add(DROP_ACTIVE_CLASS);
+      });
+
+      dropTarget.addEventListener('dragleave', (event) => {
+        // Moving onto a child element also fires dragleave; the drag is still over the target.
+        if (dropTarget.contains(event.relatedTarget)) return;
+        dropTarget.classList.remove(DROP_ACTIVE_CLASS);
+      });
+
+      dropTarget.addEventListener('drop', (event) => {
+        dropTarget.classList.remove(DROP_ACTIVE_CLASS);
+        if (!hasFileItems(event.dataTransfer)) return;
+        // Left alone, the browser opens any dropped file in place of the page.
+        event.preventDefault();
+        const { files } = event.dataTransfer;
+        // loadFile reports an unsupported type through onError.
+        loadFile(findSupportedFile(files) || files[0]);
+      });
+    }
+
+    if (pasteTarget) {
+      pasteTarget.addEventListener('paste', (event) => {
+        const items = event.clipboardData?.items || [];
+        for (const item of items) {
+          if (item.kind !== 'file' || !isSupportedType(item.type)) continue;
+          const file = item.getAsFile();
+          if (!file) continue;
+          event.preventDefault();
+          loadFile(file);
+          return;
+        }
+      });
+    }
+  }
+
+  // Decode one file and hand the resulting ImageData to the app.
+  async function loadFile(file) {
+    if (!file || !isSupportedType(file.type)) {
+      reportError(new Error(`Unsupported image type: ${file?.type || 'unknown'}`));
+      return null;
+    }
+
+    try {
+      const imageData = await decodeImageFile(file);
+      if (typeof onImage === 'function') {
+        onImage(imageData, { name: file.name || 'pasted image' });
+      }
+      return imageData;
+    } catch (err) {
+      reportError(err);
+      return null;
+    }
+  }
+
+  async function decodeImageFile(file) {
+    const source = await loadImageSource(file);
+    const { width, height } = getScaledSize(source.width, source.height);
+
+    decodeCanvas.width = width;
+    decodeCanvas.height = height;
+    dctx.drawImage(source, 0, 0, width, height);
+    if (typeof source.close === 'function') source.close();
+
+    return dctx.getImageData(0, 0, width, height);
+  }
+
+  // Prefer createImageBitmap, then fall back to an <img> element for older browsers.
+  async function loadImageSource(file) {
+    if (typeof createImageBitmap === 'function') {
+      return createImageBitmap(file);
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+      const img = new Image();
+      img.src = url;
+      await img.decode();
+      return img;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  function getScaledSize(width, height) {
+    const largest = Math.max(width, height);
+    if (!Number.isFinite(largest) || largest <= 0) {
+      throw new Error('Image has no pixels');
+    }
+
+    const scale = Math.min(1, MAX_IMAGE_DIMENSION / largest);
+    return {
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale)),
+    };
+  }
+
+  function isSupportedType(type) {
+    return SUPPORTED_TYPES.includes(type);
+  }
+
+  function hasFileItems(dataTransfer) {
+    return !!dataTransfer && Array.from(dataTransfer.types || []).includes('Files');
+  }
+
+  function findSupportedFile(files) {
+    if (!files) return null;
+    return Array.from(files).find((file) => isSupportedType(file.type)) || null;
+  }
+
+  function reportError(err) {
+    if (typeof onError === 'function') {
+      onError(err);
+      return;
+    }
+    console.error('Image load error:', err);
+  }
+
+  return {
+    init,
+    loadFile,
+  };
+}
@@ -1,54 +1,145 @@
 // Image processing:
 // - cleans captured frames so the waveform trace stands out against background noise
 // - preserves image shape for downstream extraction (same width/height)
-// - can render a processed preview for visual debugging
+// - runs without a DOM (plain { data, width, height } objects) so it can be tested under Node
+// - can key the mask on one ink color (hue/chroma distance) so gridlines and print drop out
+// - handles dark ink on a light ground, light ink on a dark ground (chalk, scope screens) or
+//   detects which from the ROI histogram; the mask always marks ink as foreground (255)
+// - takes its pipeline settings at runtime (setConfig) so they can be tuned from the UI
+// - can keep every intermediate stage image with its run time for the pipeline inspector
+
+// Typical pen colors for the color-key presets.
+export const COLOR_KEY_PRESETS = {
+  red: { r: 200, g: 40, b: 45 },
+  green: { r: 40, g: 150, b: 70 },
+  blue: { r: 40, g: 70, b: 190 },
+};
+
+export const INK_POLARITIES = ['auto', 'dark', 'light'];
+
+// Grayscale pipeline settings; each processor starts from these and setConfig() changes them.
+export const DEFAULT_PROCESSING_CONFIG = {
+  flattenKernelRadius: 5,
+  flattenBias: 118,
+  contrastLowPercentile: 2,
+  contrastHighPercentile: 98,
+  adaptiveThresholdPercentile: 96,
+  maskGrowThreshold: 96,
+  minIsolatedNeighborCount: 8,
+  erodeMinForegroundCount: 6,
+};
 
 // Build and return the image processing helper used by the app.
-export function createImageProcessor({
-  previewCanvas,
-} = {}) {
-  const previewCtx = previewCanvas ? previewCanvas.getContext('2d') : null;
-
-  const defaultConfig = {
-    flattenKernelRadius: 5,
-    flattenBias: 118,
-    contrastLowPercentile: 2,
-    contrastHighPercentile: 98,
-    minIsolatedNeighborCount: 8,
-    erodeMinForegroundCount: 6,
-  };
-
-  const ADAPTIVE_THRESHOLD_PERCENTILE = 96;
-
-  // Run the full preprocessing pipeline in order.
-  function preprocessImage(imageData) {
+export function createImageProcessor() {
+  const DEFAULT_COLOR_KEY_TOLERANCE = 0.5;
+  const MIN_COLOR_KEY_TOLERANCE = 0.05;
+  const MAX_COLOR_KEY_TOLERANCE = 1;
+  // Keys with less chroma than this are treated as this saturated, so a greyish sample
+  // still selects a usable range.
+  const MIN_COLOR_KEY_CHROMA = 40;
+  // Auto polarity compares how far these tails of the ROI histogram sit from its median;
+  // the ink is the tail that reaches further from the background.
+  const AUTO_POLARITY_TAIL_PERCENTILE = 0.5;
+
+  let config = { ...DEFAULT_PROCESSING_CONFIG };
+  // { color: { r, g, b }, tolerance } while color keying is on, otherwise null.
+  let colorKey = null;
+  // 'dark', 'light' or 'auto'; auto is resolved per frame and the result kept for display.
+  let inkPolarity = 'dark';
+  let resolvedInkPolarity = 'dark';
+  // Stages of the last preprocessImage call made with keepStages, in pipeline order starting
+  // with the input: [{ id, label, imageData, ms, mask }] (mask: the image is a 0/255 mask).
+  let lastStages = [];
+
+  // Run the full preprocessing pipeline in order. options.roi limits auto polarity
+  // detection to the region being extracted. With options.keepStages every intermediate
+  // image is kept with its run time (see getLastStages); options.onStage is called after each
+  // stage with { id, label, ms, index, count } for progress reporting.
+  function preprocessImage(imageData, options = {}) {
     if (!imageData) return null;
 
-    const grayscale = rgbaToGrayscale(imageData);
-    const denoised = denoiseImage(grayscale);
-    const flattened = flattenIllumination(denoised);
-    const contrastEnhanced = enhanceContrast(flattened);
-    const thresholded = applyThreshold(contrastEnhanced);
-    const cleaned = cleanupMask(thresholded);
+    const stages = options.keepStages ? [{ id: 'input', label: 'Input', imageData, ms: 0, mask: false }] : null;
+    const stageCount = colorKey ? 2 : 6;
+    let stageIndex = 0;
+    const runStage = (id, label, mask, run) => {
+      const start = performance.now();
+      const result = run();
+      const ms = performance.now() - start;
+      if (stages) stages.push({ id, label, imageData: result, ms, mask });
+      stageIndex++;
+      if (typeof options.onStage === 'function') {
+        options.onStage({ id, label, ms, index: stageIndex, count: stageCount });
+      }
+      return result;
+    };
+
+    // Color keying replaces the grayscale stages; the mask cleanup is shared.
+    if (colorKey) {
+      const keyed = runStage('colorKey', 'Color key', true, () => applyColorKey(imageData));
+      const keyedCleaned = runStage('cleanup', 'Cleanup', true, () => cleanupMask(keyed));
+      if (stages) lastStages = stages;
+      return keyedCleaned;
+    }
 
+    const grayscale = runStage('grayscale', 'Grayscale', false, () => rgbaToGrayscale(imageData));
+    resolvedInkPolarity = inkPolarity === 'auto'
+      ? detectInkPolarity(grayscale, options.roi)
+      : inkPolarity;
+    const denoised = runStage('denoise', 'Denoise', false, () => denoiseImage(grayscale));
+    const flattened = runStage('flatten', 'Flatten', false, () => flattenIllumination(denoised, resolvedInkPolarity));
+    const contrastEnhanced = runStage('contrast', 'Contrast', false, () => enhanceContrast(flattened));
+    const thresholded = runStage('threshold', 'Threshold', true, () => applyThreshold(contrastEnhanced));
+    const cleaned = runStage('cleanup', 'Cleanup', true, () => cleanupMask(thresholded));
+
+    if (stages) lastStages = stages;
     return cleaned;
   }
 
-  // Draw the processed image in the preview panel.
-  function renderProcessedPreview(imageData) {
-    if (!previewCanvas || !previewCtx || !imageData) return;
+  // Key the mask on an ink color ({ r, g, b }) within tolerance (0..1 of the key's chroma);
+  // pass null to go back to the grayscale pipeline. Returns the applied key.
+  function setColorKey(key) {
+    if (!key || !key.color) {
+      colorKey = null;
+      return null;
+    }
+
+    const tolerance = Number(key.tolerance);
+    colorKey = {
+      color: { r: Number(key.color.r) || 0, g: Number(key.color.g) || 0, b: Number(key.color.b) || 0 },
+      tolerance: Number.isFinite(tolerance)
+        ? Math.max(MIN_COLOR_KEY_TOLERANCE, Math.min(MAX_COLOR_KEY_TOLERANCE, tolerance))
+        : DEFAULT_COLOR_KEY_TOLERANCE,
+    };
+    return { color: { ...colorKey.color }, tolerance: colorKey.tolerance };
+  }
 
-    if (previewCanvas.width !== imageData.width || previewCanvas.height !== imageData.height) {
-      previewCanvas.width = imageData.width;
-      previewCanvas.height = imageData.height;
+  // Change pipeline settings (keys of DEFAULT_PROCESSING_CONFIG); unknown keys and non-numeric
+  // values are ignored. Returns the applied settings.
+  function setConfig(changes = {}) {
+    const next = { ...config };
+    for (const key of Object.keys(DEFAULT_PROCESSING_CONFIG)) {
+      const value = Number(changes[key]);
+      if (key in changes && Number.isFinite(value)) next[key] = value;
     }
+    config = next;
+    return { ...config };
+  }
 
-    previewCtx.putImageData(imageData, 0, 0);
+  // Choose 'dark' (ink darker than the background), 'light' or 'auto'. Returns the applied value.
+  function setInkPolarity(polarity) {
+    inkPolarity = INK_POLARITIES.includes(polarity) ? polarity : 'dark';
+    if (inkPolarity !== 'auto') resolvedInkPolarity = inkPolarity;
+    return inkPolarity;
   }
 
   // Make a full copy of image data so edits do not touch the original.
+  // Outside the browser the copy is a plain ImageData-shaped object.
   function cloneImageData(imageData) {
-    return new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height);
+    const data = new Uint8ClampedArray(imageData.data);
+    if (typeof ImageData === 'function') {
+      return new ImageData(data, imageData.width, imageData.height);
+    }
+    return { data, width: imageData.width, height: imageData.height };
   }
 
   // Find a brightness value at a given percentile (for auto-thresholding).
@@ -67,6 +158,41 @@ export function createImageProcessor({
     return values[index];
   }
 
+  // Decide whether the ink is darker or lighter than the background inside the ROI. The
+  // background dominates the histogram, so the ink is the tail that reaches further from
+  // the median.
+  function detectInkPolarity(grayscale, roi = null) {
+    const { data, width, height } = grayscale;
+    const x0 = roi ? Math.max(0, Math.floor(roi.x)) : 0;
+    const y0 = roi ? Math.max(0, Math.floor(roi.y)) : 0;
+    const x1 = roi ? Math.min(width, Math.floor(roi.x + roi.width)) : width;
+    const y1 = roi ? Math.min(height, Math.floor(roi.y + roi.height)) : height;
+    if (x1 <= x0 || y1 <= y0) return 'dark';
+
+    const histogram = new Uint32Array(256);
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        histogram[data[(y * width + x) * 4]]++;
+      }
+    }
+
+    const total = (x1 - x0) * (y1 - y0);
+    const valueAt = (percentile) => {
+      const target = (percentile / 100) * (total - 1);
+      let seen = 0;
+      for (let value = 0; value < 256; value++) {
+        seen += histogram[value];
+        if (seen > target) return value;
+      }
+      return 255;
+    };
+
+    const median = valueAt(50);
+    const darkReach = median - valueAt(AUTO_POLARITY_TAIL_PERCENTILE);
+    const lightReach = valueAt(100 - AUTO_POLARITY_TAIL_PERCENTILE) - median;
+    return lightReach > darkReach ? 'light' : 'dark';
+  }
+
   // Convert color image data to grayscale.
   function rgbaToGrayscale(imageData) {
     const output = cloneImageData(imageData);
@@ -123,14 +249,15 @@ export function createImageProcessor({
     return output;
   }
 
-  // Reduce uneven lighting so the waveform stands out more evenly.
-  function flattenIllumination(imageData) {
+  // Reduce uneven lighting so the waveform stands out more evenly. The ink's difference
+  // from the local background becomes brightness, so ink is bright for either polarity.
+  function flattenIllumination(imageData, polarity = 'dark') {
     const { width, height, data } = imageData;
     const output = cloneImageData(imageData);
     const out = output.data;
 
-    const radius = Math.max(1, Math.floor(defaultConfig.flattenKernelRadius));
-    const bias = Number.isFinite(defaultConfig.flattenBias) ? defaultConfig.flattenBias : 128;
+    const radius = Math.max(1, Math.floor(config.flattenKernelRadius));
+    const bias = Number.isFinite(config.flattenBias) ? config.flattenBias : 128;
     const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
 
     for (let y = 0; y < height; y++) {
@@ -151,8 +278,10 @@ export function createImageProcessor({
         const index = (y * width + x) * 4;
         const sourceValue = data[index];
         const backgroundValue = Math.round(backgroundSum / backgroundCount);
-        const darkResponse = Math.max(0, backgroundValue - sourceValue);
-        const flattened = clamp(Math.round(darkResponse + bias), 0, 255);
+        const inkResponse = polarity === 'light'
+          ? Math.max(0, sourceValue - backgroundValue)
+          : Math.max(0, backgroundValue - sourceValue);
+        const flattened = clamp(Math.round(inkResponse + bias), 0, 255);
 
         out[index] = flattened;
         out[index + 1] = flattened;
@@ -169,8 +298,8 @@ export function createImageProcessor({
     const output = cloneImageData(imageData);
     const { data } = output;
 
-    const minValue = getGrayPercentile(output, defaultConfig.contrastLowPercentile);
-    const maxValue = getGrayPercentile(output, defaultConfig.contrastHighPercentile);
+    const minValue = getGrayPercentile(output, config.contrastLowPercentile);
+    const maxValue = getGrayPercentile(output, config.contrastHighPercentile);
 
     const range = maxValue - minValue;
     if (range < 1) return output;
@@ -186,16 +315,69 @@ export function createImageProcessor({
     return output;
   }
 
-  // Turn grayscale into a black/white mask.
+  // Turn grayscale into a black/white mask (hysteresis: seeds above the percentile threshold,
+  // grown through 8-connected pixels at least config.maskGrowThreshold bright). A trace
+  // covering more than the percentile's share (long steep strokes, one side of unevenly lit
+  // paper) keeps its full width, and grain not touching it stays out.
   function applyThreshold(imageData) {
     const output = cloneImageData(imageData);
 
+    const { data, width, height } = output;
+    const threshold = getGrayPercentile(output, config.adaptiveThresholdPercentile);
+    const low = Math.min(threshold, config.maskGrowThreshold);
+
+    const mask = new Uint8Array(width * height);
+    const stack = [];
+    for (let i = 0; i < mask.length; i++) {
+      if (data[i * 4] >= threshold) {
+        mask[i] = 1;
+        stack.push(i);
+      }
+    }
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const x = i % width;
+      const y = (i - x) / width;
+      for (let dy = -1; dy <= 1; dy++) {
+        const yy = y + dy;
+        if (yy < 0 || yy >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const xx = x + dx;
+          if (xx < 0 || xx >= width) continue;
+          const j = yy * width + xx;
+          if (mask[j] || data[j * 4] < low) continue;
+          mask[j] = 1;
+          stack.push(j);
+        }
+      }
+    }
+
+    for (let i = 0; i < data.length; i += 4) {
+      const binary = mask[i / 4] ? 255 : 0;
+      data[i] = binary;
+      data[i + 1] = binary;
+      data[i + 2] = binary;
+      data[i + 3] = 255;
+    }
+
+    return output;
+  }
+
+  // Mark pixels whose hue/chroma lies close to the key color. Colors are compared in the
+  // opponent chroma plane, where grey (paper, black print, pencil grid) sits at the origin
+  // and brightness does not count, so shading along the stroke still matches.
+  function applyColorKey(imageData) {
+    const output = cloneImageData(imageData);
     const { data } = output;
-    const threshold = getGrayPercentile(output, ADAPTIVE_THRESHOLD_PERCENTILE);
+
+    const key = toChromaPlane(colorKey.color.r, colorKey.color.g, colorKey.color.b);
+    const keyChroma = Math.max(MIN_COLOR_KEY_CHROMA, Math.hypot(key.a, key.b));
+    const maxDistance = colorKey.tolerance * keyChroma;
 
     for (let i = 0; i < data.length; i += 4) {
-      const value = data[i];
-      const binary = value >= threshold ? 255 : 0;
+      const pixel = toChromaPlane(data[i], data[i + 1], data[i + 2]);
+      const distance = Math.hypot(pixel.a - key.a, pixel.b - key.b);
+      const binary = distance <= maxDistance ? 255 : 0;
       data[i] = binary;
       data[i + 1] = binary;
       data[i + 2] = binary;
@@ -205,6 +387,14 @@ export function createImageProcessor({
     return output;
   }
 
+  // Opponent chroma coordinates: hue is the angle and chroma the length of (a, b).
+  function toChromaPlane(r, g, b) {
+    return {
+      a: r - 0.5 * (g + b),
+      b: (Math.sqrt(3) / 2) * (g - b),
+    };
+  }
+
   // Remove tiny artifacts and connect broken trace pieces in the mask.
   function cleanupMask(imageData) {
     const { width, height, data } = imageData;
@@ -229,7 +419,7 @@ export function createImageProcessor({
           }
 
           const dstIdx = (y * width + x) * 4;
-          const value = foregroundCount >= defaultConfig.erodeMinForegroundCount ? 255 : 0;
+          const value = foregroundCount >= config.erodeMinForegroundCount ? 255 : 0;
           target[dstIdx] = value;
           target[dstIdx + 1] = value;
           target[dstIdx + 2] = value;
@@ -303,7 +493,7 @@ export function createImageProcessor({
     const stageB = new Uint8ClampedArray(data.length);
     const stageC = new Uint8ClampedArray(data.length);
 
-    suppressIsolatedPixels(stageA, stageB, defaultConfig.minIsolatedNeighborCount);
+    suppressIsolatedPixels(stageA, stageB, config.minIsolatedNeighborCount);
     dilate3x3(stageB, stageC);
     erode3x3(stageC, stageA);
 
@@ -313,6 +503,13 @@ export function createImageProcessor({
 
   return {
     preprocessImage,
-    renderProcessedPreview,
+    setColorKey,
+    getColorKey: () => (colorKey ? { color: { ...colorKey.color }, tolerance: colorKey.tolerance } : null),
+    setInkPolarity,
+    getInkPolarity: () => inkPolarity,
+    getResolvedInkPolarity: () => resolvedInkPolarity,
+    setConfig,
+    getConfig: () => ({ ...config }),
+    getLastStages: () => lastStages.slice(),
   };
 }
@@ -0,0 +1,230 @@
+// MIDI controller:
+// - requests Web MIDI access and keeps an input device picker in sync with connected devices
+// - maps note-on/note-off to equal-temperament frequencies (configurable A4) and velocity to 0..1
+// - forwards pitch bend in semitones and holds note-offs while the sustain pedal is down
+// - forwards the mod wheel (CC 1) as a 0..1 value for wavetable position automation
+// Build and return the MIDI input controller used by the app.
+export function createMidiController({
+  enableButton,
+  deviceSelect,
+  a4Input,
+  statusEl,
+  onNoteOn,
+  onNoteOff,
+  onPitchBend,
+  onModWheel,
+}) {
+  const DEFAULT_A4_HZ = 440;
+  const MIN_A4_HZ = 400;
+  const MAX_A4_HZ = 480;
+  const A4_NOTE_NUMBER = 69;
+  const PITCH_BEND_RANGE_SEMITONES = 2;
+  const PITCH_BEND_CENTER = 8192;
+  const MOD_WHEEL_CONTROLLER = 1;
+  const SUSTAIN_CONTROLLER = 64;
+  const SUSTAIN_ON_THRESHOLD = 64;
+
+  const STATUS_NOTE_OFF = 0x80;
+  const STATUS_NOTE_ON = 0x90;
+  const STATUS_CONTROL_CHANGE = 0xb0;
+  const STATUS_PITCH_BEND = 0xe0;
+
+  let midiAccess = null;
+  let selectedInput = null;
+  let a4Hz = DEFAULT_A4_HZ;
+  let sustainDown = false;
+  const heldNotes = new Set();
+  const sustainedNotes = new Set();
+
+  // Main flow API: bind controls; MIDI access is requested on the first enable click.
+  function init() {
+    if (a4Input) {
+      a4Hz = sanitizeA4(a4Input.value);
+      a4Input.value = a4Hz;
+      a4Input.addEventListener('change', () => {
+        a4Hz = sanitizeA4(a4Input.value);
+        a4Input.value = a4Hz;
+      });
+    }
+
+    if (deviceSelect) {
+      deviceSelect.disabled = true;
+      deviceSelect.addEventListener('change', () => {
+        selectInputById(deviceSelect.value);
+      });
+    }
+
+    if (!isMidiSupported()) {
+      setStatus('Web MIDI is not supported in this browser.');
+      if (enableButton) enableButton.disabled = true;
+      return;
+    }
+
+    if (enableButton) {
+      enableButton.addEventListener('click', () => {
+        enableMidi().catch((err) => {
+          console.error('MIDI access error:', err);
+          setStatus('MIDI access was denied.');
+        });
+      });
+    }
+  }
+
+  async function enableMidi() {
+    if (midiAccess) return;
+
+    midiAccess = await navigator.requestMIDIAccess();
+    midiAccess.addEventListener('statechange', refreshDeviceList);
+    if (enableButton) enableButton.disabled = true;
+    if (deviceSelect) deviceSelect.disabled = false;
+    refreshDeviceList();
+  }
+
+  // Rebuild the picker from the current inputs, keeping the selection when still connected.
+  function refreshDeviceList() {
+    if (!midiAccess) return;
+
+    const inputs = Array.from(midiAccess.inputs.values());
+    const previousId = selectedInput ? selectedInput.id : null;
+
+    if (deviceSelect) {
+      deviceSelect.innerHTML = '';
+      const noneOption = document.createElement('option');
+      noneOption.value = '';
+      noneOption.textContent = inputs.length > 0 ? 'None' : 'No MIDI inputs';
+      deviceSelect.appendChild(noneOption);
+
+      for (const input of inputs) {
+        const option = document.createElement('option');
+        option.value = input.id;
+        option.textContent = input.name || input.id;
+        deviceSelect.appendChild(option);
+      }
+    }
+
+    const nextInput = inputs.find((input) => input.id === previousId) || inputs[0] || null;
+    selectInputById(nextInput ? nextInput.id : '');
+  }
+
+  function selectInputById(id) {
+    const nextInput = id && midiAccess ? midiAccess.inputs.get(id) || null : null;
+
+    if (selectedInput && selectedInput !== nextInput) {
+      selectedInput.removeEventListener('midimessage', handleMidiMessage);
+      releaseAllNotes();
+    }
+
+    if (nextInput && nextInput !== selectedInput) {
+      nextInput.addEventListener('midimessage', handleMidiMessage);
+    }
+
+    selectedInput = nextInput;
+    if (deviceSelect) deviceSelect.value = selectedInput ? selectedInput.id : '';
+    setStatus(selectedInput ? `Listening to ${selectedInput.name || selectedInput.id}` : 'No MIDI input selected.');
+  }
+
+  // Decode one MIDI message (all channels are accepted).
+  function handleMidiMessage(event) {
+    const data = event.data;
+    if (!data || data.length < 2) return;
+
+    const status = data[0] & 0xf0;
+    const data1 = data[1];
+    const data2 = data.length > 2 ? data[2] : 0;
+
+    if (status === STATUS_NOTE_ON && data2 > 0) {
+      handleNoteOn(data1, data2);
+    } else if (status === STATUS_NOTE_OFF || status === STATUS_NOTE_ON) {
+      handleNoteOff(data1);
+    } else if (status === STATUS_CONTROL_CHANGE && data1 === SUSTAIN_CONTROLLER) {
+      handleSustain(data2 >= SUSTAIN_ON_THRESHOLD);
+    } else if (status === STATUS_CONTROL_CHANGE && data1 === MOD_WHEEL_CONTROLLER) {
+      if (typeof onModWheel === 'function') {
+        onModWheel(data2 / 127);
+      }
+    } else if (status === STATUS_PITCH_BEND) {
+      const value14Bit = (data2 << 7) | data1;
+      const normalized = (value14Bit - PITCH_BEND_CENTER) / PITCH_BEND_CENTER;
+      if (typeof onPitchBend === 'function') {
+        onPitchBend(normalized * PITCH_BEND_RANGE_SEMITONES);
+      }
+    }
+  }
+
+  function handleNoteOn(noteNumber, velocity) {
+    heldNotes.add(noteNumber);
+    sustainedNotes.delete(noteNumber);
+    if (typeof onNoteOn === 'function') {
+      onNoteOn(noteNumber, noteToFrequency(noteNumber), velocity / 127);
+    }
+  }
+
+  function handleNoteOff(noteNumber) {
+    heldNotes.delete(noteNumber);
+    if (sustainDown) {
+      sustainedNotes.add(noteNumber);
+      return;
+    }
+    emitNoteOff(noteNumber);
+  }
+
+  // Releasing the pedal ends every note that was let go while it was held.
+  function handleSustain(isDown) {
+    sustainDown = isDown;
+    if (sustainDown) return;
+
+    for (const noteNumber of sustainedNotes) {
+      emitNoteOff(noteNumber);
+    }
+    sustainedNotes.clear();
+  }
+
+  function releaseAllNotes() {
+    for (const noteNumber of [...heldNotes, ...sustainedNotes]) {
+      emitNoteOff(noteNumber);
+    }
+    heldNotes.clear();
+    sustainedNotes.clear();
+    sustainDown = false;
+    if (typeof onPitchBend === 'function') onPitchBend(0);
+  }
+
+  function emitNoteOff(noteNumber) {
+    if (typeof onNoteOff === 'function') {
+      onNoteOff(noteNumber);
+    }
+  }
+
+  function noteToFrequency(noteNumber) {
+    return a4Hz * Math.pow(2, (noteNumber - A4_NOTE_NUMBER) / 12);
+  }
+
+  function sanitizeA4(value) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return DEFAULT_A4_HZ;
+    return Math.max(MIN_A4_HZ, Math.min(MAX_A4_HZ, numeric));
+  }
+
+  function isMidiSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+  }
+
+  function setStatus(text) {
+    if (statusEl) statusEl.textContent = text;
+  }
+
+  // Set the A4 reference (clamped like the input) and return the applied value.
+  function setA4Hz(value) {
+    a4Hz = sanitizeA4(value);
+    if (a4Input) a4Input.value = a4Hz;
+    return a4Hz;
+  }
+
+  return {
+    init,
+    enableMidi,
+    noteToFrequency,
+    getA4Hz: () => a4Hz,
+    setA4Hz,
+  };
+}
@@ -0,0 +1,138 @@
+// Perspective correction:
+// - solves the homography that maps one quadrilateral onto another (four point pairs)
+// - warps a quadrilateral region of a frame into a flat rectangle with bilinear sampling
+// - estimates a natural output size for a quad from its edge lengths
+
+// Solve the 3x3 homography (as 9 numbers, h[8] = 1) that maps each `from` point onto the
+// matching `to` point. Returns null when the points are degenerate (e.g. three in a line).
+export function computeHomography(from, to) {
+  if (!Array.isArray(from) || !Array.isArray(to) || from.length !== 4 || to.length !== 4) return null;
+
+  // u = (h0 x + h1 y + h2) / (h6 x + h7 y + 1), v = (h3 x + h4 y + h5) / (h6 x + h7 y + 1)
+  const rows = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = from[i];
+    const { x: u, y: v } = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  }
+
+  const solution = solveLinearSystem(rows);
+  return solution ? [...solution, 1] : null;
+}
+
+// Map one point through a homography.
+export function applyHomography(h, x, y) {
+  const w = h[6] * x + h[7] * y + h[8];
+  return {
+    x: (h[0] * x + h[1] * y + h[2]) / w,
+    y: (h[3] * x + h[4] * y + h[5]) / w,
+  };
+}
+
+// Output size for a quad: average opposite edge lengths, so the rectangle keeps the
+// region's proportions as if it were seen straight on.
+export function getQuadSize(quad) {
+  const [topLeft, topRight, bottomRight, bottomLeft] = quad;
+  const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+  return {
+    width: (distance(topLeft, topRight) + distance(bottomLeft, bottomRight)) / 2,
+    height: (distance(topLeft, bottomLeft) + distance(topRight, bottomRight)) / 2,
+  };
+}
+
+// Warp the quad (top-left, top-right, bottom-right, bottom-left, in image pixels) into a
+// width x height rectangle. Samples outside the frame come out white, like blank paper.
+export function warpQuadToRect(imageData, quad, width, height) {
+  if (!imageData || !Array.isArray(quad) || quad.length !== 4) return null;
+
+  const outWidth = Math.max(1, Math.round(width));
+  const outHeight = Math.max(1, Math.round(height));
+  const rect = [
+    { x: 0, y: 0 },
+    { x: outWidth - 1, y: 0 },
+    { x: outWidth - 1, y: outHeight - 1 },
+    { x: 0, y: outHeight - 1 },
+  ];
+
+  // Output pixel -> source pixel, so every output pixel gets exactly one sample.
+  const h = computeHomography(rect, quad);
+  if (!h) return null;
+
+  const data = new Uint8ClampedArray(outWidth * outHeight * 4);
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      const source = applyHomography(h, x, y);
+      sampleBilinear(imageData, source.x, source.y, data, (y * outWidth + x) * 4);
+    }
+  }
+
+  return createImageDataLike(data, outWidth, outHeight);
+}
+
+function sampleBilinear({ data, width, height }, x, y, out, outIndex) {
+  if (!(x >= 0 && y >= 0 && x <= width - 1 && y <= height - 1)) {
+    out[outIndex] = 255;
+    out[outIndex + 1] = 255;
+    out[outIndex + 2] = 255;
+    out[outIndex + 3] = 255;
+    return;
+  }
+
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(width - 1, x0 + 1);
+  const y1 = Math.min(height - 1, y0 + 1);
+  const fx = x - x0;
+  const fy = y - y0;
+
+  const i00 = (y0 * width + x0) * 4;
+  const i10 = (y0 * width + x1) * 4;
+  const i01 = (y1 * width + x0) * 4;
+  const i11 = (y1 * width + x1) * 4;
+
+  for (let c = 0; c < 4; c++) {
+    const top = data[i00 + c] + (data[i10 + c] - data[i00 + c]) * fx;
+    const bottom = data[i01 + c] + (data[i11 + c] - data[i01 + c]) * fx;
+    out[outIndex + c] = top + (bottom - top) * fy;
+  }
+}
+
+// Gaussian elimination with partial pivoting on an augmented n x (n + 1) matrix.
+function solveLinearSystem(rows) {
+  const n = rows.length;
+  const m = rows.map((row) => row.slice());
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-10) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) {
+        m[row][k] -= factor * m[col][k];
+      }
+    }
+  }
+
+  const solution = new Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= m[row][k] * solution[k];
+    }
+    solution[row] = sum / m[row][row];
+  }
+  return solution;
+}
+
+function createImageDataLike(data, width, height) {
+  if (typeof ImageData === 'function') {
+    return new ImageData(data, width, height);
+  }
+  return { data, width, height };
+}
@@ -0,0 +1,255 @@
+// Pipeline inspector:
+// - shows any preprocessing stage of the last frame in the Processed Frame panel, picked from
+//   the stage select or the filmstrip of stage thumbnails
+// - overlays the extractor's traced path and kept span on the shown stage (every traced path for
+//   a multi-trace capture)
+// - lists each stage's run time, the ink share of mask stages and the extraction result, so the
+//   stage that lost the trace (or the slow one) stands out
+// - shows the progress of a frame still being processed
+// - only draws: ink shares and thumbnails arrive with the stages from the pipeline worker
+import { STAGE_THUMBNAIL_WIDTH } from './pipelineRunner.js';
+
+const KEPT_PATH_COLOR = '#22c55e';
+const TRIMMED_PATH_COLOR = '#f59e0b';
+const TRIMMED_SPAN_TINT = 'rgba(239, 68, 68, 0.25)';
+
+// Build and return the pipeline inspector used by the app.
+export function createPipelineInspector({
+  canvas,
+  stageSelect,
+  overlayToggle,
+  filmstripEl,
+  timingEl,
+  progressEl,
+}) {
+  const ctx = canvas ? canvas.getContext('2d') : null;
+
+  // Stages of the frame being inspected ({ id, label, imageData, ms, mask, inkShare, thumbnail }),
+  // input first; inkShare is the white share of mask stages (null for the others).
+  let stages = [];
+  // Extraction of that frame: { ms, details } or { ms, traces }, or null until it has run.
+  let extraction = null;
+  // The chosen stage id survives new frames; the last stage is shown when it is missing.
+  let selectedId = null;
+
+  // Main flow API: bind the stage select and overlay toggle.
+  function init() {
+    if (stageSelect) {
+      stageSelect.addEventListener('change', () => {
+        selectStage(stageSelect.value);
+      });
+    }
+
+    if (overlayToggle) {
+      overlayToggle.addEventListener('change', render);
+    }
+  }
+
+  // Show a new frame's stages; the extraction overlay follows with setExtraction().
+  function showStages(nextStages) {
+    stages = Array.isArray(nextStages) ? nextStages : [];
+    extraction = null;
+    if (progressEl) progressEl.classList.add('hidden');
+    syncStageSelect();
+    renderFilmstrip();
+    render();
+  }
+
+  // Show how far a frame still being processed has got ({ label, done, total }); the bar hides
+  // again when the frame's stages arrive.
+  function showProgress({ label, done, total }) {
+    if (progressEl) {
+      progressEl.max = total;
+      progressEl.value = done;
+      progressEl.classList.remove('hidden');
+    }
+    if (timingEl) timingEl.textContent = `Processing: ${label} done (${done}/${total})`;
+  }
+
+  // Add the extraction of the frame shown: { ms, details } for a single trace (details null when
+  // nothing was found) or { ms, traces } for a multi-trace capture, each trace being
+  // { rawPath, trimmedStart, trimmedEnd }.
+  function setExtraction(result) {
+    extraction = result || null;
+    render();
+  }
+
+  function selectStage(id) {
+    selectedId = id;
+    if (stageSelect) stageSelect.value = id;
+    render();
+  }
+
+  function getShownStage() {
+    return stages.find((stage) => stage.id === selectedId) || stages[stages.length - 1] || null;
+  }
+
+  function syncStageSelect() {
+    if (!stageSelect) return;
+
+    const ids = stages.map((stage) => stage.id).join(',');
+    if (stageSelect.dataset.stageIds !== ids) {
+      stageSelect.innerHTML = '';
+      for (const stage of stages) {
+        const option = document.createElement('option');
+        option.value = stage.id;
+        option.textContent = stage.label;
+        stageSelect.appendChild(option);
+      }
+      stageSelect.dataset.stageIds = ids;
+    }
+
+    const shown = getShownStage();
+    if (shown) stageSelect.value = shown.id;
+  }
+
+  function render() {
+    const shown = getShownStage();
+    if (shown && ctx) {
+      const { imageData } = shown;
+      if (canvas.width !== imageData.width || canvas.height !== imageData.height) {
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+      }
+      ctx.putImageData(imageData, 0, 0);
+      if (extraction && (!overlayToggle || overlayToggle.checked)) {
+        if (extraction.details) drawTraceOverlay(extraction.details, true);
+        // Tinting each trace's trimmed columns would cover the others, so only the paths are drawn.
+        if (extraction.traces) extraction.traces.forEach((trace) => drawTraceOverlay(trace, false));
+      }
+    }
+
+    updateFilmstripSelection(shown);
+    renderTiming();
+  }
+
+  // Red tint over trimmed columns (when tintTrimmed); the traced path in green where kept and
+  // amber where trimmed.
+  function drawTraceOverlay({ rawPath, trimmedStart, trimmedEnd }, tintTrimmed) {
+    const width = Math.min(canvas.width, rawPath.length);
+    const kept = (x) => trimmedStart >= 0 && x >= trimmedStart && x <= trimmedEnd;
+
+    if (tintTrimmed) {
+      ctx.fillStyle = TRIMMED_SPAN_TINT;
+      if (trimmedStart < 0) {
+        ctx.fillRect(0, 0, width, canvas.height);
+      } else {
+        ctx.fillRect(0, 0, trimmedStart, canvas.height);
+        ctx.fillRect(trimmedEnd + 1, 0, width - trimmedEnd - 1, canvas.height);
+      }
+    }
+
+    ctx.lineWidth = Math.max(1.5, canvas.width / 400);
+    for (const keptPart of [false, true]) {
+      ctx.strokeStyle = keptPart ? KEPT_PATH_COLOR : TRIMMED_PATH_COLOR;
+      ctx.beginPath();
+      let drawing = false;
+      for (let x = 0; x < width; x++) {
+        const y = rawPath[x];
+        if (!Number.isFinite(y) || kept(x) !== keptPart) {
+          drawing = false;
+          continue;
+        }
+        if (drawing) {
+          ctx.lineTo(x + 0.5, y + 0.5);
+        } else {
+          ctx.moveTo(x + 0.5, y + 0.5);
+          drawing = true;
+        }
+      }
+      ctx.stroke();
+    }
+  }
+
+  // The buttons are rebuilt only when the stage list changes; otherwise their thumbnails and
+  // labels are redrawn in place.
+  function renderFilmstrip() {
+    if (!filmstripEl) return;
+
+    const ids = stages.map((stage) => stage.id).join(',');
+    if (filmstripEl.dataset.stageIds !== ids) {
+      filmstripEl.innerHTML = '';
+      for (const stage of stages) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'pipeline-stage';
+        button.dataset.stageId = stage.id;
+        button.title = `Show the ${stage.label.toLowerCase()} stage`;
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = STAGE_THUMBNAIL_WIDTH;
+        button.append(thumbnail, document.createElement('span'));
+        button.addEventListener('click', () => selectStage(stage.id));
+        filmstripEl.appendChild(button);
+      }
+      filmstripEl.dataset.stageIds = ids;
+    }
+
+    stages.forEach((stage, index) => {
+      const [thumbnail, label] = filmstripEl.children[index].children;
+      if (stage.thumbnail) drawStageThumbnail(thumbnail, stage.thumbnail);
+      label.textContent = getStageText(stage);
+    });
+  }
+
+  function updateFilmstripSelection(shown) {
+    if (!filmstripEl) return;
+    for (const button of filmstripEl.children) {
+      button.classList.toggle('active', Boolean(shown) && button.dataset.stageId === shown.id);
+    }
+  }
+
+  function renderTiming() {
+    if (!timingEl) return;
+    if (stages.length === 0) {
+      timingEl.textContent = '';
+      return;
+    }
+
+    // The input stage only has a run time when it was warped from a corner ROI.
+    const parts = stages.filter((stage) => stage.id !== 'input' || stage.ms > 0).map(getStageText);
+    let totalMs = stages.reduce((sum, stage) => sum + stage.ms, 0);
+    if (extraction) {
+      totalMs += extraction.ms;
+      parts.push(`Extract ${formatMs(extraction.ms)}: ${getExtractionText(extraction)}`);
+    }
+    parts.push(`Total ${formatMs(totalMs)}`);
+    timingEl.textContent = parts.join(' · ');
+  }
+
+  return {
+    init,
+    showStages,
+    setExtraction,
+    showProgress,
+    selectStage,
+  };
+}
+
+function getStageText(stage) {
+  if (stage.id === 'input' && !(stage.ms > 0)) return stage.label;
+  const inkText = Number.isFinite(stage.inkShare) ? `, ${(stage.inkShare * 100).toFixed(1)}% ink` : '';
+  return `${stage.label} ${formatMs(stage.ms)}${inkText}`;
+}
+
+function getExtractionText({ details, traces }) {
+  if (traces) return `${traces.length} trace(s)`;
+  if (!details) return 'no trace found';
+  if (details.trimmedStart < 0) return 'nothing kept';
+  return `kept ${details.trimmedStart}-${details.trimmedEnd}, quality ${Math.round(details.quality * 100)}%`;
+}
+
+// Draw a worker-made thumbnail ({ data, width, height }) into its filmstrip canvas.
+function drawStageThumbnail(canvas, { data, width, height }) {
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  const tctx = canvas.getContext('2d');
+  const small = tctx.createImageData(width, height);
+  small.data.set(data);
+  tctx.putImageData(small, 0, 0);
+}
+
+function formatMs(ms) {
+  return `${ms < 10 ? ms.toFixed(1) : Math.round(ms)} ms`;
+}
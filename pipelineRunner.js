@@ -0,0 +1,317 @@
+// Pipeline runner:
+// - runs the corner-ROI warp, preprocessing and waveform extraction for one frame in a Web
+//   Worker (pipelineWorker.js), so captures and live frames do not block drawing, audio
+//   controls or the camera view
+// - runs the capture template's marker search for the camera's auto ROI in the worker as well
+// - hands image buffers over as transferables instead of structured-clone copies
+// - measures the ink share and downscales the thumbnail of every stage in the worker too, so
+//   the inspector only has to draw them
+// - drops jobs made stale by a newer job of the same kind, and stops a stale running job
+//   when asked to
+// - reports progress after every pipeline stage
+// - falls back to running jobs on the main thread when module workers are unavailable
+// - runJob is the one job body: pipelineWorker.js calls it in the worker and the fallback calls
+//   it directly
+import { createImageProcessor } from './imageProcessing.js';
+import { extractWaveformFromImageData, extractWaveformsFromImageData } from './waveformExtractor.js';
+import { warpQuadToRect } from './perspective.js';
+import { findTemplateMarkers } from './captureTemplate.js';
+
+// Width of the stage thumbnails in the inspector's filmstrip.
+export const STAGE_THUMBNAIL_WIDTH = 96;
+
+// Run one request: a template marker search ({ task: 'template', imageData }, resolving to
+// findTemplateMarkers' { markers, quad }) or a pipeline job.
+export function runJob(processor, request, onProgress) {
+  if (request.task === 'template') return findTemplateMarkers(request.imageData);
+  return runPipelineJob(processor, request, onProgress);
+}
+
+// Run one pipeline job on `processor`. The request carries everything the job depends on, since the
+// worker has its own processor:
+// { imageData, roi, warp, processing: { colorKey, inkPolarity, config },
+//   extraction: { mode: 'single' | 'multi', options }, inspect }
+// warp ({ quad, width, height }, from a corner-ROI capture) flattens the quad first; roi then
+// refers to the warped image.
+// onProgress receives { label, done, total } after each stage and after extraction.
+// Returns { stages, resolvedInkPolarity, extraction }, where extraction is { ms, details } for a
+// single trace (details null when preprocessing produced nothing) or { ms, waveforms, traces }
+// with each trace's { rawPath, trimmedStart, trimmedEnd } for the inspector overlay. Stages
+// are { id, label, imageData, ms, mask, inkShare, thumbnail }; with inspect: false none are kept.
+export function runPipelineJob(processor, request, onProgress) {
+  const { roi, warp, processing = {}, extraction = {}, inspect = true } = request;
+  processor.setColorKey(processing.colorKey ?? null);
+  processor.setInkPolarity(processing.inkPolarity);
+  if (processing.config) processor.setConfig(processing.config);
+
+  const report = (label, done, total) => {
+    if (typeof onProgress === 'function') onProgress({ label, done, total });
+  };
+
+  const warpStart = performance.now();
+  const imageData = warp ? warpQuadToRect(request.imageData, warp.quad, warp.width, warp.height) : request.imageData;
+  const warpMs = warp ? performance.now() - warpStart : 0;
+
+  let stageCount = 0;
+  const processed = processor.preprocessImage(imageData, {
+    roi,
+    keepStages: inspect,
+    onStage: ({ label, index, count }) => {
+      stageCount = count;
+      report(label, index, count + 1);
+    },
+  });
+  const stages = processed && inspect ? processor.getLastStages().map(describeStage) : [];
+  // The input stage shows the warped frame, timed with the warp.
+  if (warp && stages.length > 0) stages[0] = { ...stages[0], label: 'Warped input', ms: warpMs };
+
+  const start = performance.now();
+  const multi = extraction.mode === 'multi';
+  let result = null;
+  if (processed) {
+    result = multi
+      ? extractWaveformsFromImageData(processed, { ...extraction.options, detailed: true })
+      : extractWaveformFromImageData(processed, extraction.options);
+  }
+  const ms = performance.now() - start;
+  report('Extract', stageCount + 1, stageCount + 1);
+
+  return {
+    stages,
+    resolvedInkPolarity: processor.getResolvedInkPolarity(),
+    extraction: multi ? describeTraces(ms, result || []) : { ms, details: result },
+  };
+}
+
+// Buffers a job result can hand back without copying: the stage images and the typed arrays of
+// the extraction. Each buffer is listed once, since transferring it twice throws. Template
+// results are small and have none.
+export function getResultTransferables(result) {
+  if (!result.stages) return [];
+
+  const buffers = new Set();
+  const add = (value) => {
+    if (ArrayBuffer.isView(value) && value.buffer instanceof ArrayBuffer) buffers.add(value.buffer);
+  };
+
+  for (const stage of result.stages) {
+    add(stage.imageData?.data);
+    add(stage.thumbnail?.data);
+  }
+  const { details, waveforms } = result.extraction;
+  if (details && typeof details === 'object') Object.values(details).forEach(add);
+  if (waveforms) waveforms.forEach(add);
+  if (result.extraction.traces) result.extraction.traces.forEach((trace) => add(trace.rawPath));
+  return [...buffers];
+}
+
+// Split detailed multi-trace results into the waveforms and the overlay paths.
+function describeTraces(ms, traces) {
+  return {
+    ms,
+    waveforms: traces.map((trace) => trace.waveform),
+    traces: traces.map(({ rawPath, trimmedStart, trimmedEnd }) => ({ rawPath, trimmedStart, trimmedEnd })),
+  };
+}
+
+// Add what the inspector shows beside each stage: the white share of mask stages and a
+// nearest-neighbour thumbnail ({ data, width, height }) STAGE_THUMBNAIL_WIDTH pixels wide.
+function describeStage(stage) {
+  return {
+    ...stage,
+    inkShare: stage.mask ? getForegroundShare(stage.imageData) : null,
+    thumbnail: buildThumbnail(stage.imageData),
+  };
+}
+
+// Share of white (255) pixels in a mask stage.
+function getForegroundShare({ data }) {
+  let count = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i] === 255) count++;
+  }
+  return data.length > 0 ? count / (data.length / 4) : 0;
+}
+
+function buildThumbnail(imageData) {
+  const width = STAGE_THUMBNAIL_WIDTH;
+  const height = Math.max(1, Math.round((width * imageData.height) / imageData.width));
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const sourceY = Math.min(imageData.height - 1, Math.floor((y * imageData.height) / height));
+    for (let x = 0; x < width; x++) {
+      const sourceX = Math.min(imageData.width - 1, Math.floor((x * imageData.width) / width));
+      const from = (sourceY * imageData.width + sourceX) * 4;
+      const to = (y * width + x) * 4;
+      data[to] = imageData.data[from];
+      data[to + 1] = imageData.data[from + 1];
+      data[to + 2] = imageData.data[from + 2];
+      data[to + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+// Build and return the pipeline job runner used by the app.
+export function createPipelineRunner({
+  workerUrl = new URL('./pipelineWorker.js', import.meta.url),
+  onProgress,
+} = {}) {
+  let worker = null;
+  // Set once the worker fails to start, so later jobs go straight to the main thread.
+  let workerFailed = false;
+  let localProcessor = null;
+  let nextJobId = 1;
+  // The job being run ({ jobId, key, request, transfer, resolve, reject }) and the jobs waiting
+  // in order.
+  let running = null;
+  const pending = [];
+
+  // Queue a job and resolve with its result, or with null when it went stale first. Jobs with
+  // a key keep only the newest waiting job of that key; with replaceRunning a running job of
+  // the same key is stopped too. Jobs without a key always run. With transfer the caller hands
+  // the frame over: its buffer moves to the worker uncopied and is unusable afterwards.
+  function run(request, { key = null, replaceRunning = false, transfer = false } = {}) {
+    return new Promise((resolve, reject) => {
+      if (key !== null) dropPending(key);
+      pending.push({ jobId: nextJobId++, key, request, transfer, resolve, reject });
+      if (replaceRunning && key !== null && running?.key === key) stopRunning();
+      startNext();
+    });
+  }
+
+  // Drop every waiting and running job of a kind, e.g. live frames after live mode turns off.
+  function cancel(key) {
+    dropPending(key);
+    if (running?.key === key) stopRunning();
+    startNext();
+  }
+
+  function dropPending(key) {
+    for (let i = pending.length - 1; i >= 0; i--) {
+      if (pending[i].key === key) pending.splice(i, 1)[0].resolve(null);
+    }
+  }
+
+  // A worker cannot be interrupted mid-job, so a stale running job is stopped by replacing the
+  // worker. A job on the main thread cannot be stopped; its result is just ignored.
+  function stopRunning() {
+    running.resolve(null);
+    running = null;
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+  }
+
+  function startNext() {
+    if (running || pending.length === 0) return;
+
+    running = pending.shift();
+    const activeWorker = getWorker();
+    if (!activeWorker) {
+      runLocally(running);
+      return;
+    }
+
+    // Unless the frame was handed over, send a copy so the caller can keep its frame (the still
+    // image, the re-run source) and move the copy's buffer instead of cloning it a second time.
+    const { imageData } = running.request;
+    const data = running.transfer ? imageData.data : new Uint8ClampedArray(imageData.data);
+    running.sent = true;
+    activeWorker.postMessage({
+      jobId: running.jobId,
+      request: { ...running.request, imageData: { data, width: imageData.width, height: imageData.height } },
+    }, [data.buffer]);
+  }
+
+  function getWorker() {
+    if (worker || workerFailed) return worker;
+    if (typeof Worker !== 'function') {
+      workerFailed = true;
+      return null;
+    }
+
+    try {
+      worker = new Worker(workerUrl, { type: 'module' });
+    } catch (err) {
+      console.warn('Pipeline worker unavailable, processing on the main thread:', err);
+      workerFailed = true;
+      return null;
+    }
+    worker.addEventListener('message', handleWorkerMessage);
+    worker.addEventListener('error', handleWorkerError);
+    return worker;
+  }
+
+  function handleWorkerMessage(event) {
+    const message = event.data;
+    // Messages from a job that was stopped or dropped meanwhile are stale.
+    if (!running || message.jobId !== running.jobId) return;
+
+    if (message.type === 'progress') {
+      emitProgress(running, message);
+    } else if (message.type === 'result') {
+      finish(running, message.result);
+    } else if (message.type === 'error') {
+      fail(running, new Error(message.message));
+    }
+  }
+
+  // The worker script failed to load or threw outside a job: finish the work on the main thread.
+  function handleWorkerError(event) {
+    event.preventDefault?.();
+    console.warn('Pipeline worker failed, processing on the main thread:', event.message);
+    workerFailed = true;
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    if (!running) return;
+    // A handed-over frame left with the worker, so that job cannot be redone here.
+    if (running.sent && running.transfer) {
+      finish(running, null);
+    } else {
+      runLocally(running);
+    }
+  }
+
+  // Run on the main thread after a tick, so the caller still gets its promise first and the
+  // page can paint before the frame is processed.
+  function runLocally(job) {
+    setTimeout(() => {
+      if (running !== job) return;
+      try {
+        if (!localProcessor) localProcessor = createImageProcessor();
+        const result = runJob(localProcessor, job.request, (progress) => emitProgress(job, progress));
+        finish(job, result);
+      } catch (err) {
+        fail(job, err);
+      }
+    }, 0);
+  }
+
+  function emitProgress(job, progress) {
+    if (running !== job || typeof onProgress !== 'function') return;
+    onProgress({ key: job.key, label: progress.label, done: progress.done, total: progress.total });
+  }
+
+  function finish(job, result) {
+    if (running !== job) return;
+    running = null;
+    job.resolve(result);
+    startNext();
+  }
+
+  function fail(job, err) {
+    if (running !== job) return;
+    running = null;
+    job.reject(err);
+    startNext();
+  }
+
+  return {
+    run,
+    cancel,
+  };
+}
@@ -0,0 +1,24 @@
+// Pipeline worker:
+// - module worker started by pipelineRunner.js
+// - runs each { jobId, request } message through preprocessing and extraction with its own
+//   image processor, posting progress after every stage, or through the template marker search
+// - transfers the stage images and extraction arrays back instead of copying them
+import { createImageProcessor } from './imageProcessing.js';
+import { runJob, getResultTransferables } from './pipelineRunner.js';
+
+const processor = createImageProcessor();
+
+self.addEventListener('message', (event) => {
+  const { jobId, request } = event.data;
+  try {
+    // The frame arrives as a plain object; stages must be real ImageData for putImageData.
+    const { data, width, height } = request.imageData;
+    const imageData = new ImageData(data, width, height);
+    const result = runJob(processor, { ...request, imageData }, (progress) => {
+      self.postMessage({ type: 'progress', jobId, ...progress });
+    });
+    self.postMessage({ type: 'result', jobId, result }, getResultTransferables(result));
+  } catch (err) {
+    self.postMessage({ type: 'error', jobId, message: err.message });
+  }
+});
@@ -0,0 +1,159 @@
+// Session presets:
+// - saves the whole session (wavetable frames, synth settings, ROI, processing and test-signal
+//   settings) as a versioned JSON file and loads it back
+// - migrates presets saved by older versions forward one version at a time before applying them
+// - buildSessionPreset and parseSessionPreset work on plain objects and JSON text; the controls
+//   only add the buttons and file picker
+import { downloadBlob } from './wavExport.js';
+
+export const SESSION_PRESET_FORMAT = 'hand-drawn-waveform-session';
+export const SESSION_PRESET_VERSION = 1;
+
+// Upgrade steps keyed by the version they upgrade from; each returns the preset one version
+// newer. Version 1 is the first format, so there is nothing to migrate yet. When the format
+// changes, bump SESSION_PRESET_VERSION and add the step from the previous version here.
+export const PRESET_MIGRATIONS = {};
+
+// Samples are rounded so presets stay small and diff cleanly; 1e-6 is far below 16-bit resolution.
+const SAMPLE_DECIMALS = 6;
+
+// Wrap a session state ({ wavetable, synth, camera, processing, testSignal, midi }) in a preset
+// object ready for JSON.stringify. Frames become plain number arrays.
+export function buildSessionPreset(state = {}) {
+  const wavetable = state.wavetable || {};
+  return {
+    format: SESSION_PRESET_FORMAT,
+    version: SESSION_PRESET_VERSION,
+    savedAt: new Date().toISOString(),
+    ...state,
+    wavetable: {
+      ...wavetable,
+      frames: (wavetable.frames || []).map(toSampleArray),
+      rightFrames: (wavetable.rightFrames || []).map((frame) => (frame && frame.length > 0 ? toSampleArray(frame) : null)),
+    },
+  };
+}
+
+// Parse preset JSON text, migrate it to `targetVersion` and return the session state with frames
+// as Float32Arrays. Throws an Error with a user-facing message when the file is not a preset,
+// comes from a newer version, or has no migration path.
+export function parseSessionPreset(text, {
+  migrations = PRESET_MIGRATIONS,
+  targetVersion = SESSION_PRESET_VERSION,
+} = {}) {
+  let preset;
+  try {
+    preset = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON.');
+  }
+
+  if (!preset || typeof preset !== 'object' || preset.format !== SESSION_PRESET_FORMAT) {
+    throw new Error('File is not a session preset.');
+  }
+  if (!Number.isInteger(preset.version) || preset.version < 1) {
+    throw new Error('Session preset has no valid version.');
+  }
+  if (preset.version > targetVersion) {
+    throw new Error(`Session preset version ${preset.version} is newer than this app supports (${targetVersion}).`);
+  }
+
+  while (preset.version < targetVersion) {
+    const migrate = migrations[preset.version];
+    if (typeof migrate !== 'function') {
+      throw new Error(`No migration from session preset version ${preset.version}.`);
+    }
+    const fromVersion = preset.version;
+    preset = migrate(preset);
+    if (!preset || preset.version !== fromVersion + 1) {
+      throw new Error(`Migration from session preset version ${fromVersion} did not produce version ${fromVersion + 1}.`);
+    }
+  }
+
+  const { format, version, savedAt, ...state } = preset;
+  const wavetable = state.wavetable || {};
+  const frames = Array.isArray(wavetable.frames) ? wavetable.frames : [];
+  const rightFrames = Array.isArray(wavetable.rightFrames) ? wavetable.rightFrames : [];
+  return {
+    ...state,
+    savedAt,
+    wavetable: {
+      ...wavetable,
+      frames: frames.map(toWaveform),
+      rightFrames: frames.map((_, index) => (Array.isArray(rightFrames[index]) ? toWaveform(rightFrames[index]) : null)),
+    },
+  };
+}
+
+// Build and return the session save/load controls used by the app.
+export function createSessionPresetControls({
+  saveButton,
+  loadButton,
+  fileInput,
+  statusEl,
+  getState,
+  applyState,
+}) {
+  // Main flow API: bind the save button and the file picker behind the load button.
+  function init() {
+    if (saveButton) {
+      saveButton.addEventListener('click', save);
+    }
+
+    if (loadButton && fileInput) {
+      loadButton.addEventListener('click', () => {
+        fileInput.click();
+      });
+    }
+
+    if (fileInput) {
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files && fileInput.files[0];
+        // Clear the value so picking the same file again still fires change.
+        fileInput.value = '';
+        if (file) {
+          loadFile(file).catch((err) => {
+            console.error('Session preset load error:', err);
+            setStatus(`Session load failed: ${err.message}`);
+          });
+        }
+      });
+    }
+  }
+
+  function save() {
+    const state = typeof getState === 'function' ? getState() : {};
+    const preset = buildSessionPreset(state);
+    const blob = new Blob([JSON.stringify(preset)], { type: 'application/json' });
+    const stamp = preset.savedAt.slice(0, 19).replace(/[:T]/g, '-');
+    downloadBlob(blob, `waveform-session-${stamp}.json`);
+    setStatus(`Saved session with ${preset.wavetable.frames.length} frame(s).`);
+  }
+
+  async function loadFile(file) {
+    const state = parseSessionPreset(await file.text());
+    if (typeof applyState === 'function') applyState(state);
+    setStatus(`Loaded session "${file.name}" with ${state.wavetable.frames.length} frame(s).`);
+  }
+
+  function setStatus(text) {
+    if (statusEl) statusEl.textContent = text;
+  }
+
+  return {
+    init,
+    save,
+    loadFile,
+  };
+}
+
+function toSampleArray(waveform) {
+  const scale = 10 ** SAMPLE_DECIMALS;
+  return Array.from(waveform, (value) => (Number.isFinite(value) ? Math.round(value * scale) / scale : 0));
+}
+
+// Non-numeric samples load as the center line rather than poisoning the wavetable.
+function toWaveform(samples) {
+  if (!Array.isArray(samples)) return new Float32Array(0);
+  return Float32Array.from(samples, (value) => (Number.isFinite(value) ? Math.max(-1, Math.min(1, value)) : 0));
+}
@@ -0,0 +1,152 @@
+// Audio engine table helper tests: loop seam measurement, the seam repair modes and the
+// band-limited levels.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildBandLimitedTables,
+  getBandLimitedLevel,
+  getLoopSeamStep,
+  repairLoopSeam,
+  repairStereoLoopSeam,
+} from '../audioEngine.js';
+import { sine } from './fixtures.js';
+
+const LENGTH = 1920;
+
+function sampleShape(shape, length = LENGTH) {
+  return Float32Array.from({ length }, (_, i) => shape(i / length));
+}
+
+// Amplitude of one harmonic in a loop, by a single DFT bin.
+function harmonicAmplitude(table, harmonic) {
+  let re = 0;
+  let im = 0;
+  for (let i = 0; i < table.length; i++) {
+    const angle = (2 * Math.PI * harmonic * i) / table.length;
+    re += table[i] * Math.cos(angle);
+    im += table[i] * Math.sin(angle);
+  }
+  return (2 * Math.hypot(re, im)) / table.length;
+}
+
+test('seam step is near zero for a whole cycle and large for a cut one', () => {
+  assert.ok(getLoopSeamStep(sampleShape(sine(1))) < 1e-4);
+  // 1.25 cycles ends at the top of a swing instead of back at the start.
+  const step = getLoopSeamStep(sampleShape(sine(1.25)));
+  assert.ok(step > 0.9, `step is ${step}`);
+  assert.equal(getLoopSeamStep(new Float32Array(2)), 0);
+});
+
+test('off and unknown modes leave the table unchanged', () => {
+  const table = sampleShape(sine(1.25));
+  assert.deepEqual(repairLoopSeam(table, 'off'), table);
+  assert.deepEqual(repairLoopSeam(table, 'bogus'), table);
+  assert.notEqual(repairLoopSeam(table, 'off'), table);
+});
+
+test('tilt makes the end meet the start with a straight ramp', () => {
+  const table = sampleShape(sine(1.25));
+  const repaired = repairLoopSeam(table, 'tilt');
+  assert.ok(getLoopSeamStep(repaired) < 1e-3, `step is ${getLoopSeamStep(repaired)}`);
+
+  // The correction grows linearly from nothing at the start.
+  assert.equal(repaired[0], table[0]);
+  const middle = LENGTH / 2;
+  const last = LENGTH - 1;
+  const expectedMiddle = ((repaired[last] - table[last]) * middle) / last;
+  assert.ok(Math.abs((repaired[middle] - table[middle]) - expectedMiddle) < 1e-5);
+});
+
+test('crossfade only changes samples near the wrap', () => {
+  const table = sampleShape(sine(1.25));
+  const repaired = repairLoopSeam(table, 'crossfade');
+  assert.ok(getLoopSeamStep(repaired) < 0.01, `step is ${getLoopSeamStep(repaired)}`);
+
+  const window = Math.round(LENGTH * 0.03);
+  for (let i = window; i < LENGTH - window; i++) {
+    assert.equal(repaired[i], table[i], `sample ${i} changed`);
+  }
+});
+
+test('zero-crossing rotates the table to start on a rising crossing', () => {
+  const table = sampleShape((phase) => sine(1)(phase + 0.3));
+  const repaired = repairLoopSeam(table, 'zero-crossing');
+
+  assert.ok(Math.abs(repaired[0]) < 0.01, `starts at ${repaired[0]}`);
+  assert.ok(repaired[1] > repaired[0]);
+  assert.deepEqual([...repaired].sort(), [...table].sort());
+  assert.ok(getLoopSeamStep(repaired) < 1e-4);
+});
+
+test('zero-crossing rotates both stereo channels by the left channel offset', () => {
+  const left = sampleShape((phase) => sine(1)(phase + 0.3));
+  // A quarter cycle behind the left channel, so it has its own crossing elsewhere.
+  const right = sampleShape((phase) => sine(1)(phase + 0.05));
+  const repaired = repairStereoLoopSeam(left, right, 'zero-crossing');
+
+  assert.deepEqual(repaired.left, repairLoopSeam(left, 'zero-crossing'));
+  const offset = left.findIndex((value, i) => value === repaired.left[0] && left[(i + 1) % LENGTH] === repaired.left[1]);
+  assert.ok(offset > 0);
+  for (let i = 0; i < LENGTH; i += 97) {
+    assert.equal(repaired.right[i], right[(offset + i) % LENGTH]);
+  }
+  assert.ok(Math.abs(repaired.right[0]) > 0.5, 'right channel kept its phase against the left');
+});
+
+test('morphing band-limited levels matches band-limiting the morphed table', () => {
+  const length = 256;
+  const frameA = sampleShape(sine(3), length);
+  const frameB = sampleShape((phase) => (phase < 0.5 ? 0.8 : -0.8), length);
+  const frac = 0.3;
+  const morphed = frameA.map((value, i) => value + (frameB[i] - value) * frac);
+
+  const levelsA = buildBandLimitedTables(frameA);
+  const levelsB = buildBandLimitedTables(frameB);
+  const expected = buildBandLimitedTables(morphed);
+  expected.forEach((level, index) => {
+    for (let i = 0; i < length; i++) {
+      const interpolated = levelsA[index][i] + (levelsB[index][i] - levelsA[index][i]) * frac;
+      assert.ok(Math.abs(interpolated - level[i]) < 1e-5, `level ${index} sample ${i}`);
+    }
+  });
+});
+
+test('each band-limited level keeps the harmonics up to its limit and removes the rest', () => {
+  const length = 64;
+  const harmonics = { 1: 0.5, 3: 0.3, 6: 0.2, 12: 0.15, 24: 0.1 };
+  const table = sampleShape(
+    (phase) =>
+      Object.entries(harmonics).reduce(
+        (sum, [h, amplitude]) => sum + amplitude * Math.sin(2 * Math.PI * h * phase + h),
+        0,
+      ),
+    length,
+  );
+
+  const levels = buildBandLimitedTables(table);
+  // Level 0 is the table; further levels keep 16, 8, 4, 2 and 1 harmonics of a 64-sample loop.
+  const limits = [32, 16, 8, 4, 2, 1];
+  assert.equal(levels.length, limits.length);
+  levels.forEach((level, index) => {
+    for (const [h, amplitude] of Object.entries(harmonics)) {
+      const expected = Number(h) <= limits[index] ? amplitude : 0;
+      const actual = harmonicAmplitude(level, Number(h));
+      assert.ok(Math.abs(actual - expected) < 1e-3, `level ${index} harmonic ${h}: ${actual}`);
+    }
+  });
+});
+
+test('band-limited level steps up just past each octave and clamps to the top level', () => {
+  const levelCount = 6;
+  assert.equal(getBandLimitedLevel(0.5, levelCount), 0);
+  assert.equal(getBandLimitedLevel(1, levelCount), 0);
+  assert.equal(getBandLimitedLevel(1.001, levelCount), 1);
+  assert.equal(getBandLimitedLevel(2, levelCount), 1);
+  assert.equal(getBandLimitedLevel(2.001, levelCount), 2);
+  assert.equal(getBandLimitedLevel(4, levelCount), 2);
+  assert.equal(getBandLimitedLevel(16, levelCount), 4);
+  assert.equal(getBandLimitedLevel(32, levelCount), 5);
+  assert.equal(getBandLimitedLevel(1000, levelCount), 5);
+  assert.equal(getBandLimitedLevel(8, 1), 0);
+  assert.equal(getBandLimitedLevel(Number.NaN, levelCount), 0);
+});
@@ -0,0 +1,104 @@
+// Cycle detection tests: period estimates on synthetic and extracted waveforms, and crops
+// that loop one cycle without a seam.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectCycles, cropToCycles } from '../cycleDetection.js';
+import { createImageProcessor } from '../imageProcessing.js';
+import { extractWaveformFromImageData } from '../waveformExtractor.js';
+import { renderTraceImage, sine, square } from './fixtures.js';
+
+const FOREGROUND_CUTOFF = 200;
+
+function sampleShape(shape, length) {
+  return Float32Array.from({ length }, (_, i) => shape(i / length));
+}
+
+function correlation(a, b) {
+  let meanA = 0;
+  let meanB = 0;
+  for (let i = 0; i < a.length; i++) {
+    meanA += a[i];
+    meanB += b[i];
+  }
+  meanA /= a.length;
+  meanB /= b.length;
+
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < a.length; i++) {
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  }
+  return covariance / Math.sqrt(varianceA * varianceB);
+}
+
+test('finds the period and cycle count of repeated shapes', () => {
+  for (const [name, shape, cycles] of [['sine', sine(3), 3], ['square', square(4), 4]]) {
+    const detection = detectCycles(sampleShape(shape, 320));
+    assert.ok(detection, `${name}: no repetition found`);
+    assert.ok(Math.abs(detection.cycles - cycles) < 0.05, `${name}: ${detection.cycles} cycles`);
+    assert.equal(detection.wholeCycles, cycles, name);
+  }
+});
+
+test('a single cycle or noise does not repeat', () => {
+  assert.equal(detectCycles(sampleShape(sine(1), 320)), null);
+
+  let state = 7;
+  const noise = Float32Array.from({ length: 320 }, () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 1073741824 - 1;
+  });
+  assert.equal(detectCycles(noise), null);
+  assert.equal(detectCycles(new Float32Array(0)), null);
+});
+
+test('a little more than one period crops to one seamless cycle', () => {
+  const waveform = sampleShape(sine(1.25), 300);
+  const detection = detectCycles(waveform);
+  assert.ok(detection);
+  assert.equal(detection.wholeCycles, 1);
+
+  const crop = cropToCycles(waveform, detection);
+  assert.equal(crop.cycles, 1);
+  assert.equal(crop.waveform.length, waveform.length);
+  assert.ok(Math.abs(crop.length - 240) < 1, `crop length ${crop.length}`);
+
+  // Starts at the rising zero crossing, so it lines up with one sine period.
+  const oneCycle = sampleShape(sine(1), crop.waveform.length);
+  assert.ok(correlation(crop.waveform, oneCycle) > 0.999);
+  const seam = Math.abs(crop.waveform[crop.waveform.length - 1] - crop.waveform[0]);
+  assert.ok(seam < 0.05, `seam jump ${seam}`);
+});
+
+test('crop keeps at most the whole cycles that were detected', () => {
+  const waveform = sampleShape(sine(3), 300);
+  const detection = detectCycles(waveform);
+
+  assert.equal(cropToCycles(waveform, detection, { cycles: 2 }).cycles, 2);
+  assert.equal(cropToCycles(waveform, detection, { cycles: 10 }).cycles, 3);
+  assert.equal(cropToCycles(waveform, null), null);
+});
+
+test('extracted drawings of several periods crop to one cycle', () => {
+  const processor = createImageProcessor();
+  // Periods from 80 px down to 64 px, where the steepest strokes fall about six rows per column.
+  for (const [periods, width] of [[2, 160], [3, 240], [4, 280], [5, 320]]) {
+    const { imageData } = renderTraceImage({ shape: sine(periods), width, noise: 10 });
+    const details = extractWaveformFromImageData(processor.preprocessImage(imageData), {
+      foregroundCutoff: FOREGROUND_CUTOFF,
+      detailed: true,
+    });
+    const detection = detectCycles(details.waveform, { start: details.trimmedStart, end: details.trimmedEnd });
+    assert.ok(detection, `${periods} periods: no repetition found`);
+
+    const truePeriod = imageData.width / periods;
+    assert.ok(Math.abs(detection.period - truePeriod) / truePeriod < 0.02, `${periods} periods: period ${detection.period}`);
+
+    const crop = cropToCycles(details.waveform, detection);
+    const oneCycle = sampleShape(sine(1), crop.waveform.length);
+    assert.ok(correlation(crop.waveform, oneCycle) > 0.99, `${periods} periods: crop does not match one cycle`);
+  }
+});
@@ -0,0 +1,88 @@
+// Template and fiducial tests: marker detection on flat and tilted photos of the printed
+// template, and capture through the automatically locked region.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectFiducialMarkers } from '../fiducialDetector.js';
+import { buildCaptureTemplateSvg, getTemplateMarkerCenters, getTemplateCaptureQuad } from '../captureTemplate.js';
+import { computeHomography, applyHomography, warpQuadToRect } from '../perspective.js';
+import { createImageProcessor } from '../imageProcessing.js';
+import { extractWaveformFromImageData } from '../waveformExtractor.js';
+import { renderTemplatePage, renderTraceImage, keystoneImage, sine } from './fixtures.js';
+import { compareToTruth } from './metrics.js';
+
+const PX_PER_MM = 2;
+// Page corners in a 720 x 540 photo taken from the lower left, slightly rotated.
+const PAGE_QUAD = [
+  { x: 120, y: 60 },
+  { x: 640, y: 95 },
+  { x: 690, y: 470 },
+  { x: 40, y: 440 },
+];
+
+function expectNear(actual, expected, tolerancePx, label) {
+  const distance = Math.hypot(actual.x - expected.x, actual.y - expected.y);
+  assert.ok(distance <= tolerancePx, `${label} is ${distance.toFixed(2)} px off`);
+}
+
+test('finds the four markers on a flat page, in corner order', () => {
+  const { imageData } = renderTemplatePage({ pxPerMm: PX_PER_MM });
+  const result = detectFiducialMarkers(imageData);
+  assert.ok(result, 'markers not found');
+
+  getTemplateMarkerCenters().forEach((center, index) => {
+    const expected = { x: center.x * PX_PER_MM - 0.5, y: center.y * PX_PER_MM - 0.5 };
+    expectNear(result.markers[index], expected, 1.5, `marker ${index}`);
+  });
+  assert.ok(Math.abs(result.moduleSize - 3 * PX_PER_MM) < 1, `module size ${result.moduleSize}`);
+});
+
+test('finds the markers on a tilted photo of the page', () => {
+  const page = renderTemplatePage({ pxPerMm: PX_PER_MM }).imageData;
+  const photo = keystoneImage(page, PAGE_QUAD, { width: 720, height: 540 });
+  const result = detectFiducialMarkers(photo);
+  assert.ok(result, 'markers not found');
+
+  const pageCorners = [
+    { x: 0, y: 0 },
+    { x: page.width - 1, y: 0 },
+    { x: page.width - 1, y: page.height - 1 },
+    { x: 0, y: page.height - 1 },
+  ];
+  const toPhoto = computeHomography(pageCorners, PAGE_QUAD);
+  getTemplateMarkerCenters().forEach((center, index) => {
+    const expected = applyHomography(toPhoto, center.x * PX_PER_MM - 0.5, center.y * PX_PER_MM - 0.5);
+    expectNear(result.markers[index], expected, 1.5, `marker ${index}`);
+  });
+});
+
+test('returns null without the template in view', () => {
+  const { imageData } = renderTraceImage({ shape: sine(2), speckCount: 300, seed: 4 });
+  assert.equal(detectFiducialMarkers(imageData), null);
+  assert.equal(detectFiducialMarkers(null), null);
+});
+
+test('a trace drawn in the template extracts through the locked region', () => {
+  const { capture } = renderTemplatePage({ pxPerMm: PX_PER_MM });
+  const { imageData: drawing, truth } = renderTraceImage({ shape: sine(2), width: capture.width, height: capture.height, thickness: 8 });
+  const page = renderTemplatePage({ pxPerMm: PX_PER_MM, content: drawing }).imageData;
+  const photo = keystoneImage(page, PAGE_QUAD, { width: 720, height: 540 });
+
+  const { markers } = detectFiducialMarkers(photo);
+  const quad = getTemplateCaptureQuad(markers);
+  const flat = warpQuadToRect(photo, quad, capture.width, capture.height);
+  const waveform = extractWaveformFromImageData(createImageProcessor().preprocessImage(flat), { foregroundCutoff: 200 });
+  assert.ok(waveform, 'no waveform extracted');
+
+  const { rmse, correlation, spanRatio } = compareToTruth(waveform, truth);
+  const summary = `rmse ${rmse.toFixed(4)}, correlation ${correlation.toFixed(4)}, span ${spanRatio.toFixed(3)}`;
+  assert.ok(spanRatio >= 0.95, `kept span too short (${summary})`);
+  assert.ok(rmse <= 0.03, `RMSE too high (${summary})`);
+  assert.ok(correlation >= 0.998, `correlation too low (${summary})`);
+});
+
+test('template SVG is millimetre-sized with three squares per marker', () => {
+  const svg = buildCaptureTemplateSvg();
+  assert.match(svg, /width="297mm" height="210mm" viewBox="0 0 297 210"/);
+  assert.equal((svg.match(/fill="#000"/g) || []).length, 8);
+  assert.equal((svg.match(/<rect /g) || []).length, 1 + 4 * 3 + 1);
+});
@@ -0,0 +1,227 @@
+// Synthetic test fixtures:
+// - renders ImageData-shaped frames ({ data, width, height }) of a dark trace on light paper
+// - returns the ground-truth waveform (one value per column, same -1..1 scale as the extractor)
+// - adds seeded noise, uneven lighting and specks for photo-like frames
+// - can stack several traces in equal-height lanes (multi-trace extraction)
+// - can draw colored ink over a graph-paper grid (color-keyed segmentation)
+// - can re-project a frame onto a tilted quad, like a photo of a page taken at an angle
+// - can lay a frame into the capture template (markers and drawing box) at a given resolution
+
+import { computeHomography, applyHomography } from '../perspective.js';
+import { TEMPLATE_LAYOUT, getTemplateMarkerCenters, getTemplateCaptureBox } from '../captureTemplate.js';
+
+// Small deterministic PRNG (mulberry32) so noisy fixtures are identical on every run.
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export const sine = (periods = 2) => (phase) => Math.sin(2 * Math.PI * periods * phase);
+export const square = (periods = 2) => (phase) => (((phase * periods) % 1) < 0.5 ? 1 : -1);
+
+// Render shape(phase 0..1) -> -1..1 as a trace across the full width.
+export function renderTraceImage({ shape, ...options }) {
+  const { imageData, truths } = renderStackedTracesImage({ shapes: [shape], ...options });
+  return { imageData, truth: truths[0] };
+}
+
+// Render one trace per shape, each centered in its own equal-height lane (top to bottom).
+// Truths are normalized to their lane, matching multi-trace extraction.
+export function renderStackedTracesImage({
+  width = 320,
+  height = 180,
+  shapes,
+  amplitude = 0.7,
+  thickness = 6,
+  paper = 225,
+  ink = 40,
+  inkColor = null,
+  gridSpacing = 0,
+  gridColor = [150, 170, 200],
+  noise = 0,
+  lightingGradient = 0,
+  speckCount = 0,
+  seed = 1,
+}) {
+  const random = createRandom(seed);
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  // Paper with an optional left-to-right lighting falloff and sensor noise.
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const lit = paper - lightingGradient * (x / (width - 1));
+      const grain = noise > 0 ? (random() * 2 - 1) * noise : 0;
+      setGray(data, width, x, y, lit + grain);
+    }
+  }
+
+  // Grid lines keep the paper's lighting so they are never the darkest thing in the frame.
+  if (gridSpacing > 0) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (x % gridSpacing !== 0 && y % gridSpacing !== 0) continue;
+        setColor(data, width, x, y, gridColor);
+      }
+    }
+  }
+
+  const laneHeight = (height - 1) / shapes.length;
+  const traces = shapes.map((shape, index) => {
+    const centerY = laneHeight * (index + 0.5);
+    return {
+      toY: (value) => centerY - value * amplitude * (laneHeight / 2),
+      valueAt: (x) => shape(Math.max(0, Math.min(1, x / (width - 1)))),
+    };
+  });
+
+  // Each column covers the curve over its pixel footprint, so vertical edges stay connected.
+  const truths = traces.map(({ toY, valueAt }) => {
+    const truth = new Float32Array(width);
+    const SUBSAMPLES = 8;
+    for (let x = 0; x < width; x++) {
+      let yMin = Infinity;
+      let yMax = -Infinity;
+      for (let s = 0; s <= SUBSAMPLES; s++) {
+        const y = toY(valueAt(x - 0.5 + s / SUBSAMPLES));
+        yMin = Math.min(yMin, y);
+        yMax = Math.max(yMax, y);
+      }
+
+      truth[x] = valueAt(x) * amplitude;
+      const top = Math.max(0, Math.round(yMin - thickness / 2));
+      const bottom = Math.min(height - 1, Math.round(yMax + thickness / 2));
+      for (let y = top; y <= bottom; y++) {
+        const grain = noise > 0 ? (random() * 2 - 1) * noise : 0;
+        if (inkColor) {
+          setColor(data, width, x, y, inkColor.map((channel) => channel + grain));
+        } else {
+          setGray(data, width, x, y, ink + grain);
+        }
+      }
+    }
+    return truth;
+  });
+
+  // Dust and pen specks away from the traces.
+  for (let i = 0; i < speckCount; i++) {
+    const x = Math.floor(random() * width);
+    const y = Math.floor(random() * height);
+    if (traces.some(({ toY, valueAt }) => Math.abs(y - toY(valueAt(x))) < thickness * 3)) continue;
+    setGray(data, width, x, y, ink);
+  }
+
+  return { imageData: { data, width, height }, truths };
+}
+
+// Place the frame onto `quad` (top-left, top-right, bottom-right, bottom-left) in a larger
+// width x height frame of paper, with nearest-pixel sampling.
+export function keystoneImage(imageData, quad, { width, height, paper = 225 }) {
+  const source = [
+    { x: 0, y: 0 },
+    { x: imageData.width - 1, y: 0 },
+    { x: imageData.width - 1, y: imageData.height - 1 },
+    { x: 0, y: imageData.height - 1 },
+  ];
+  const toSource = computeHomography(quad, source);
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const point = applyHomography(toSource, x, y);
+      const sx = Math.round(point.x);
+      const sy = Math.round(point.y);
+      if (sx < 0 || sy < 0 || sx >= imageData.width || sy >= imageData.height) {
+        setGray(data, width, x, y, paper);
+        continue;
+      }
+      const index = (y * width + x) * 4;
+      const sourceIndex = (sy * imageData.width + sx) * 4;
+      for (let c = 0; c < 4; c++) data[index + c] = imageData.data[sourceIndex + c];
+    }
+  }
+
+  return { data, width, height };
+}
+
+// Render the printed capture template at pxPerMm, with `content` (e.g. a renderTraceImage
+// frame) filling the capture region. Returns the page and the capture region in pixels.
+export function renderTemplatePage({ content = null, pxPerMm = 2, paper = 225, ink = 30, border = 150 } = {}) {
+  const width = Math.round(TEMPLATE_LAYOUT.pageWidth * pxPerMm);
+  const height = Math.round(TEMPLATE_LAYOUT.pageHeight * pxPerMm);
+  const data = new Uint8ClampedArray(width * height * 4);
+  const fillRect = (x, y, w, h, value) => {
+    for (let py = Math.round(y * pxPerMm); py < Math.round((y + h) * pxPerMm); py++) {
+      for (let px = Math.round(x * pxPerMm); px < Math.round((x + w) * pxPerMm); px++) {
+        setGray(data, width, px, py, value);
+      }
+    }
+  };
+
+  fillRect(0, 0, TEMPLATE_LAYOUT.pageWidth, TEMPLATE_LAYOUT.pageHeight, paper);
+
+  const unit = TEMPLATE_LAYOUT.markerModule;
+  for (const center of getTemplateMarkerCenters()) {
+    fillRect(center.x - 3.5 * unit, center.y - 3.5 * unit, 7 * unit, 7 * unit, ink);
+    fillRect(center.x - 2.5 * unit, center.y - 2.5 * unit, 5 * unit, 5 * unit, paper);
+    fillRect(center.x - 1.5 * unit, center.y - 1.5 * unit, 3 * unit, 3 * unit, ink);
+  }
+
+  const box = TEMPLATE_LAYOUT.drawingBox;
+  const line = 1 / pxPerMm;
+  fillRect(box.x, box.y, box.width, line, border);
+  fillRect(box.x, box.y + box.height - line, box.width, line, border);
+  fillRect(box.x, box.y, line, box.height, border);
+  fillRect(box.x + box.width - line, box.y, line, box.height, border);
+
+  const captureBox = getTemplateCaptureBox();
+  const capture = {
+    x: Math.round(captureBox.x * pxPerMm),
+    y: Math.round(captureBox.y * pxPerMm),
+    width: Math.round(captureBox.width * pxPerMm),
+    height: Math.round(captureBox.height * pxPerMm),
+  };
+
+  if (content) {
+    for (let y = 0; y < Math.min(content.height, capture.height); y++) {
+      for (let x = 0; x < Math.min(content.width, capture.width); x++) {
+        const from = (y * content.width + x) * 4;
+        const to = ((capture.y + y) * width + capture.x + x) * 4;
+        for (let c = 0; c < 4; c++) data[to + c] = content.data[from + c];
+      }
+    }
+  }
+
+  return { imageData: { data, width, height }, capture };
+}
+
+// Binary mask in the preprocessing output convention (ink -> 255, paper -> 0), for testing
+// extraction on its own.
+export function toMask({ data, width, height }, inkBelow = 128) {
+  const out = new Uint8ClampedArray(data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    const value = data[i] < inkBelow ? 255 : 0;
+    out[i] = value;
+    out[i + 1] = value;
+    out[i + 2] = value;
+    out[i + 3] = 255;
+  }
+  return { data: out, width, height };
+}
+
+function setGray(data, width, x, y, value) {
+  setColor(data, width, x, y, [value, value, value]);
+}
+
+function setColor(data, width, x, y, [r, g, b]) {
+  const index = (y * width + x) * 4;
+  data[index] = Math.max(0, Math.min(255, Math.round(r)));
+  data[index + 1] = Math.max(0, Math.min(255, Math.round(g)));
+  data[index + 2] = Math.max(0, Math.min(255, Math.round(b)));
+  data[index + 3] = 255;
+}
@@ -0,0 +1,177 @@
+// Image processing tests: the preprocessing pipeline on synthetic frames, without a DOM.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createImageProcessor, COLOR_KEY_PRESETS, DEFAULT_PROCESSING_CONFIG } from '../imageProcessing.js';
+import { renderTraceImage, sine } from './fixtures.js';
+
+const processor = createImageProcessor();
+
+test('preprocessImage returns a same-size binary mask without touching the input', () => {
+  const { imageData } = renderTraceImage({ shape: sine(2) });
+  const original = Uint8ClampedArray.from(imageData.data);
+
+  const mask = processor.preprocessImage(imageData);
+
+  assert.equal(mask.width, imageData.width);
+  assert.equal(mask.height, imageData.height);
+  assert.equal(mask.data.length, imageData.data.length);
+  assert.deepEqual(imageData.data, original);
+  for (let i = 0; i < mask.data.length; i += 4) {
+    assert.ok(mask.data[i] === 0 || mask.data[i] === 255, `pixel ${i / 4} is not binary`);
+  }
+});
+
+test('preprocessImage returns null without image data', () => {
+  assert.equal(processor.preprocessImage(null), null);
+});
+
+test('mask foreground follows the drawn trace', () => {
+  const thickness = 6;
+  const { imageData, truth } = renderTraceImage({ shape: sine(2), thickness });
+  const mask = processor.preprocessImage(imageData);
+  const { width, height } = mask;
+  const halfSpan = (height - 1) / 2;
+
+  let foreground = 0;
+  let onTrace = 0;
+  const coveredColumns = new Set();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask.data[(y * width + x) * 4] !== 255) continue;
+      foreground++;
+      coveredColumns.add(x);
+      const traceY = halfSpan - truth[x] * halfSpan;
+      if (Math.abs(y - traceY) <= thickness * 2) onTrace++;
+    }
+  }
+
+  assert.ok(foreground > 0, 'mask is empty');
+  assert.ok(onTrace / foreground >= 0.98, `only ${(onTrace / foreground).toFixed(3)} of the mask is on the trace`);
+  assert.ok(coveredColumns.size / width >= 0.98, `mask covers ${coveredColumns.size} of ${width} columns`);
+});
+
+// Red pen over a dark blue-grey grid: the grayscale pipeline picks up the grid, the color key does not.
+const GRID_FIXTURE = {
+  shape: sine(2),
+  inkColor: [200, 40, 45],
+  gridSpacing: 16,
+  gridColor: [70, 90, 130],
+  noise: 10,
+  seed: 5,
+};
+
+function countOffTraceForeground(mask, truth, margin) {
+  const { width, height } = mask;
+  const halfSpan = (height - 1) / 2;
+  let offTrace = 0;
+  let foreground = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask.data[(y * width + x) * 4] !== 255) continue;
+      foreground++;
+      if (Math.abs(y - (halfSpan - truth[x] * halfSpan)) > margin) offTrace++;
+    }
+  }
+  return { offTrace, foreground };
+}
+
+test('color key keeps the pen trace and drops the grid', () => {
+  const { imageData, truth } = renderTraceImage(GRID_FIXTURE);
+  const keyed = createImageProcessor();
+  keyed.setColorKey({ color: COLOR_KEY_PRESETS.red, tolerance: 0.5 });
+
+  const { offTrace, foreground } = countOffTraceForeground(keyed.preprocessImage(imageData), truth, 12);
+  assert.ok(foreground > 0, 'mask is empty');
+  assert.equal(offTrace, 0, `${offTrace} keyed pixels are off the trace`);
+
+  const plain = countOffTraceForeground(processor.preprocessImage(imageData), truth, 12);
+  assert.ok(plain.offTrace > foreground * 0.1, 'fixture grid should confuse the grayscale pipeline');
+});
+
+test('color key ignores traces in other colors', () => {
+  const { imageData } = renderTraceImage({ ...GRID_FIXTURE, inkColor: [40, 70, 190] });
+  const keyed = createImageProcessor();
+  keyed.setColorKey({ color: COLOR_KEY_PRESETS.red, tolerance: 0.5 });
+
+  const mask = keyed.preprocessImage(imageData);
+  assert.ok(mask.data.every((value, i) => i % 4 === 3 || value === 0), 'blue trace leaked into a red key');
+});
+
+test('setColorKey clamps tolerance and null turns keying off', () => {
+  const keyed = createImageProcessor();
+  assert.equal(keyed.setColorKey({ color: COLOR_KEY_PRESETS.green, tolerance: 5 }).tolerance, 1);
+  assert.equal(keyed.setColorKey(null), null);
+  assert.equal(keyed.getColorKey(), null);
+});
+
+// Chalk on a blackboard: light ink on a dark ground.
+const CHALK_FIXTURE = { shape: sine(2), paper: 35, ink: 215, noise: 12, lightingGradient: -30, seed: 2 };
+
+test('light ink polarity masks a light trace on a dark ground', () => {
+  const { imageData, truth } = renderTraceImage(CHALK_FIXTURE);
+  const chalk = createImageProcessor();
+  chalk.setInkPolarity('light');
+
+  const { offTrace, foreground } = countOffTraceForeground(chalk.preprocessImage(imageData), truth, 12);
+  assert.ok(foreground > 0, 'mask is empty');
+  assert.ok(offTrace / foreground <= 0.02, `${offTrace} of ${foreground} mask pixels are off the trace`);
+});
+
+test('auto ink polarity follows the ROI histogram', () => {
+  const auto = createImageProcessor();
+  assert.equal(auto.setInkPolarity('auto'), 'auto');
+
+  auto.preprocessImage(renderTraceImage(CHALK_FIXTURE).imageData);
+  assert.equal(auto.getResolvedInkPolarity(), 'light');
+
+  auto.preprocessImage(renderTraceImage({ shape: sine(2), noise: 12, seed: 2 }).imageData);
+  assert.equal(auto.getResolvedInkPolarity(), 'dark');
+
+  // A dark border outside the ROI must not sway the decision.
+  const { imageData } = renderTraceImage(CHALK_FIXTURE);
+  const roi = { x: 40, y: 0, width: 240, height: imageData.height };
+  auto.preprocessImage(imageData, { roi });
+  assert.equal(auto.getResolvedInkPolarity(), 'light');
+});
+
+test('setInkPolarity falls back to dark for unknown values', () => {
+  assert.equal(createImageProcessor().setInkPolarity('sideways'), 'dark');
+});
+
+test('setConfig changes the pipeline settings of one processor only', () => {
+  const { imageData } = renderTraceImage({ shape: sine(2) });
+  const tuned = createImageProcessor();
+  const applied = tuned.setConfig({ adaptiveThresholdPercentile: 80, flattenBias: 'bright', unknown: 1 });
+  assert.deepEqual(applied, { ...DEFAULT_PROCESSING_CONFIG, adaptiveThresholdPercentile: 80 });
+
+  const countForeground = ({ data }) => data.filter((value, i) => i % 4 === 0 && value === 255).length;
+  const loose = countForeground(tuned.preprocessImage(imageData));
+  const standard = countForeground(createImageProcessor().preprocessImage(imageData));
+  assert.ok(loose > standard, `a lower threshold percentile should keep more pixels (${loose} vs ${standard})`);
+
+  tuned.setConfig(DEFAULT_PROCESSING_CONFIG);
+  assert.deepEqual(tuned.getConfig(), DEFAULT_PROCESSING_CONFIG);
+});
+
+test('keepStages keeps every intermediate image in pipeline order', () => {
+  const { imageData } = renderTraceImage({ shape: sine(2) });
+  const inspected = createImageProcessor();
+  assert.deepEqual(inspected.getLastStages(), []);
+
+  const mask = inspected.preprocessImage(imageData, { keepStages: true });
+  const stages = inspected.getLastStages();
+  assert.deepEqual(
+    stages.map((stage) => stage.id),
+    ['input', 'grayscale', 'denoise', 'flatten', 'contrast', 'threshold', 'cleanup'],
+  );
+  assert.equal(stages[0].imageData, imageData);
+  assert.equal(stages.at(-1).imageData, mask);
+  assert.ok(stages.every((stage) => Number.isFinite(stage.ms) && stage.ms >= 0));
+  assert.deepEqual(stages.filter((stage) => stage.mask).map((stage) => stage.id), ['threshold', 'cleanup']);
+
+  inspected.setColorKey({ color: COLOR_KEY_PRESETS.red, tolerance: 0.5 });
+  inspected.preprocessImage(imageData);
+  assert.equal(inspected.getLastStages().length, 7, 'calls without keepStages leave the last stages alone');
+  inspected.preprocessImage(imageData, { keepStages: true });
+  assert.deepEqual(inspected.getLastStages().map((stage) => stage.id), ['input', 'colorKey', 'cleanup']);
+});
@@ -0,0 +1,52 @@
+// Extraction accuracy metrics:
+// - kept span: columns between the first and last traced value (the extractor writes 0 elsewhere)
+// - RMSE and correlation against ground truth over that span, both sides mean-removed
+
+export function getKeptSpan(waveform) {
+  let first = -1;
+  let last = -1;
+  for (let i = 0; i < waveform.length; i++) {
+    if (waveform[i] === 0) continue;
+    if (first < 0) first = i;
+    last = i;
+  }
+
+  return first < 0
+    ? { start: 0, end: -1, ratio: 0 }
+    : { start: first, end: last, ratio: (last - first + 1) / waveform.length };
+}
+
+export function compareToTruth(waveform, truth) {
+  const { start, end, ratio } = getKeptSpan(waveform);
+  const count = end - start + 1;
+  if (count <= 1) return { rmse: Infinity, correlation: 0, spanRatio: ratio };
+
+  let meanA = 0;
+  let meanB = 0;
+  for (let i = start; i <= end; i++) {
+    meanA += waveform[i];
+    meanB += truth[i];
+  }
+  meanA /= count;
+  meanB /= count;
+
+  let squaredError = 0;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = start; i <= end; i++) {
+    const a = waveform[i] - meanA;
+    const b = truth[i] - meanB;
+    squaredError += (a - b) ** 2;
+    covariance += a * b;
+    varianceA += a * a;
+    varianceB += b * b;
+  }
+
+  const denominator = Math.sqrt(varianceA * varianceB);
+  return {
+    rmse: Math.sqrt(squaredError / count),
+    correlation: denominator > 0 ? covariance / denominator : 0,
+    spanRatio: ratio,
+  };
+}
@@ -0,0 +1,69 @@
+// Perspective correction tests: the homography solve and warping a tilted page flat.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeHomography, applyHomography, getQuadSize, warpQuadToRect } from '../perspective.js';
+import { createImageProcessor } from '../imageProcessing.js';
+import { extractWaveformFromImageData } from '../waveformExtractor.js';
+import { renderTraceImage, keystoneImage, sine } from './fixtures.js';
+import { compareToTruth } from './metrics.js';
+
+const FOREGROUND_CUTOFF = 200;
+// A page photographed from below and to the left: narrower at the top, rotated slightly.
+const TILTED_QUAD = [
+  { x: 90, y: 30 },
+  { x: 350, y: 55 },
+  { x: 410, y: 270 },
+  { x: 30, y: 250 },
+];
+
+test('homography maps each corner onto its partner', () => {
+  const rect = [{ x: 0, y: 0 }, { x: 319, y: 0 }, { x: 319, y: 179 }, { x: 0, y: 179 }];
+  const h = computeHomography(rect, TILTED_QUAD);
+
+  rect.forEach((corner, index) => {
+    const mapped = applyHomography(h, corner.x, corner.y);
+    assert.ok(Math.abs(mapped.x - TILTED_QUAD[index].x) < 1e-6, `corner ${index} x is ${mapped.x}`);
+    assert.ok(Math.abs(mapped.y - TILTED_QUAD[index].y) < 1e-6, `corner ${index} y is ${mapped.y}`);
+  });
+});
+
+test('homography is null for degenerate corners', () => {
+  const collinear = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 20, y: 0 }, { x: 0, y: 10 }];
+  assert.equal(computeHomography(collinear, TILTED_QUAD), null);
+  assert.equal(computeHomography(TILTED_QUAD.slice(0, 3), TILTED_QUAD), null);
+});
+
+test('warping the full frame onto itself keeps the pixels', () => {
+  const { imageData } = renderTraceImage({ shape: sine(2) });
+  const { width, height } = imageData;
+  const quad = [{ x: 0, y: 0 }, { x: width - 1, y: 0 }, { x: width - 1, y: height - 1 }, { x: 0, y: height - 1 }];
+
+  const warped = warpQuadToRect(imageData, quad, width, height);
+  assert.equal(warped.width, width);
+  assert.equal(warped.height, height);
+  for (let i = 0; i < imageData.data.length; i++) {
+    assert.ok(Math.abs(warped.data[i] - imageData.data[i]) <= 1, `byte ${i} changed`);
+  }
+});
+
+test('quad size averages opposite edges', () => {
+  const size = getQuadSize([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 120, y: 50 }, { x: -20, y: 50 }]);
+  assert.equal(size.width, 120);
+  assert.ok(Math.abs(size.height - Math.hypot(20, 50)) < 1e-9);
+});
+
+test('a keystoned page extracts as if scanned flat once warped', () => {
+  const { imageData, truth } = renderTraceImage({ shape: sine(2) });
+  const photo = keystoneImage(imageData, TILTED_QUAD, { width: 440, height: 300 });
+  const processor = createImageProcessor();
+
+  const flat = warpQuadToRect(photo, TILTED_QUAD, imageData.width, imageData.height);
+  const waveform = extractWaveformFromImageData(processor.preprocessImage(flat), { foregroundCutoff: FOREGROUND_CUTOFF });
+  assert.ok(waveform, 'no waveform extracted');
+
+  const { rmse, correlation, spanRatio } = compareToTruth(waveform, truth);
+  const summary = `rmse ${rmse.toFixed(4)}, correlation ${correlation.toFixed(4)}, span ${spanRatio.toFixed(3)}`;
+  assert.ok(spanRatio >= 0.98, `kept span too short (${summary})`);
+  assert.ok(rmse <= 0.02, `RMSE too high (${summary})`);
+  assert.ok(correlation >= 0.999, `correlation too low (${summary})`);
+});
@@ -0,0 +1,125 @@
+// Pipeline runner tests: job results and progress, template searches, and dropping stale jobs.
+// Node has no Worker, so the runner takes its main-thread fallback here.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createImageProcessor } from '../imageProcessing.js';
+import {
+  runJob,
+  runPipelineJob,
+  getResultTransferables,
+  createPipelineRunner,
+  STAGE_THUMBNAIL_WIDTH,
+} from '../pipelineRunner.js';
+import { renderTraceImage, renderStackedTracesImage, renderTemplatePage, sine } from './fixtures.js';
+
+function makeRequest(imageData, extraction = { mode: 'single', options: { detailed: true } }) {
+  return {
+    imageData,
+    processing: { colorKey: null, inkPolarity: 'dark', config: {} },
+    extraction,
+  };
+}
+
+test('a job returns every stage, the extraction and progress up to the total', () => {
+  const { imageData } = renderTraceImage({ shape: sine(2) });
+  const progress = [];
+  const result = runPipelineJob(createImageProcessor(), makeRequest(imageData), (step) => progress.push(step));
+
+  assert.deepEqual(result.stages.map((stage) => stage.id),
+    ['input', 'grayscale', 'denoise', 'flatten', 'contrast', 'threshold', 'cleanup']);
+  assert.ok(result.extraction.details.waveform.length > 0);
+  assert.equal(result.resolvedInkPolarity, 'dark');
+  assert.deepEqual(progress.map((step) => step.done), [1, 2, 3, 4, 5, 6, 7]);
+  assert.ok(progress.every((step) => step.total === 7));
+  assert.equal(progress.at(-1).label, 'Extract');
+
+  const cleanup = result.stages.at(-1);
+  assert.ok(cleanup.inkShare > 0 && cleanup.inkShare < 0.5, `ink share ${cleanup.inkShare}`);
+  assert.equal(result.stages[0].inkShare, null);
+  assert.equal(cleanup.thumbnail.width, STAGE_THUMBNAIL_WIDTH);
+  assert.equal(cleanup.thumbnail.data.length, cleanup.thumbnail.width * cleanup.thumbnail.height * 4);
+
+  const buffers = getResultTransferables(result);
+  assert.equal(new Set(buffers).size, buffers.length);
+  assert.ok(buffers.includes(result.stages.at(-1).imageData.data.buffer));
+  assert.ok(buffers.includes(result.extraction.details.waveform.buffer));
+});
+
+test('a job without inspect keeps no stages but still extracts', () => {
+  const { imageData } = renderTraceImage({ shape: sine(2) });
+  const result = runPipelineJob(createImageProcessor(), { ...makeRequest(imageData), inspect: false });
+  assert.deepEqual(result.stages, []);
+  assert.ok(result.extraction.details.waveform.length > 0);
+});
+
+test('a corner-ROI job warps the quad before preprocessing', () => {
+  const { imageData } = renderTraceImage({ shape: sine(2) });
+  const { width, height } = imageData;
+  // The left half of the frame, stretched back to the full size.
+  const quad = [
+    { x: 0, y: 0 },
+    { x: width / 2 - 1, y: 0 },
+    { x: width / 2 - 1, y: height - 1 },
+    { x: 0, y: height - 1 },
+  ];
+  const request = { ...makeRequest(imageData), warp: { quad, width, height }, roi: { x: 0, y: 0, width, height } };
+  const result = runPipelineJob(createImageProcessor(), request);
+
+  assert.equal(result.stages[0].label, 'Warped input');
+  assert.ok(result.stages[0].ms > 0);
+  assert.equal(result.stages[0].imageData.width, width);
+  assert.notDeepEqual(result.stages[0].imageData.data, imageData.data);
+  assert.ok(result.extraction.details.waveform.length > 0);
+});
+
+test('a job applies its own settings to the processor it runs on', () => {
+  const { imageData } = renderStackedTracesImage({ shapes: [sine(1), sine(3)] });
+  const processor = createImageProcessor();
+  const request = makeRequest(imageData, { mode: 'multi', options: { maxTraces: 2 } });
+  request.processing = {
+    colorKey: { color: { r: 200, g: 0, b: 0 }, tolerance: 0.3 },
+    inkPolarity: 'auto',
+    config: { flattenBias: 100 },
+  };
+
+  const result = runPipelineJob(processor, request);
+  assert.deepEqual(result.stages.map((stage) => stage.id), ['input', 'colorKey', 'cleanup']);
+  assert.ok(Array.isArray(result.extraction.waveforms));
+  assert.equal(result.extraction.traces.length, result.extraction.waveforms.length);
+  assert.equal(processor.getConfig().flattenBias, 100);
+
+  runPipelineJob(processor, makeRequest(imageData));
+  assert.equal(processor.getColorKey(), null);
+  assert.equal(processor.getInkPolarity(), 'dark');
+});
+
+test('a newer job of the same kind drops the waiting one, and cancel drops the rest', async () => {
+  const { imageData } = renderTraceImage({ shape: sine(2) });
+  const progressKeys = new Set();
+  const runner = createPipelineRunner({ onProgress: ({ key }) => progressKeys.add(key) });
+
+  const first = runner.run(makeRequest(imageData), { key: 'live' });
+  const stale = runner.run(makeRequest(imageData), { key: 'live' });
+  const newest = runner.run(makeRequest(imageData), { key: 'live' });
+  const capture = runner.run(makeRequest(imageData));
+  const cancelled = runner.run(makeRequest(imageData), { key: 'rerun' });
+  runner.cancel('rerun');
+
+  assert.equal(await stale, null);
+  assert.equal(await cancelled, null);
+  assert.ok((await first).extraction.details);
+  assert.ok((await newest).extraction.details);
+  assert.ok((await capture).extraction.details);
+  assert.deepEqual(progressKeys, new Set(['live', null]));
+});
+
+test('a template job finds the markers and the capture region', async () => {
+  const { imageData } = renderTemplatePage({ pxPerMm: 2 });
+  const result = await createPipelineRunner().run({ task: 'template', imageData }, { key: 'template' });
+  assert.equal(result.markers.length, 4);
+  assert.equal(result.quad.length, 4);
+  assert.deepEqual(getResultTransferables(result), []);
+
+  const empty = runJob(createImageProcessor(), { task: 'template', imageData: renderTraceImage({ shape: sine(2) }).imageData });
+  assert.deepEqual(empty, { markers: null, quad: null });
+});
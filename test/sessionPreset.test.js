@@ -0,0 +1,79 @@
+// Session preset tests: JSON round trip, forward migration and rejection of unusable files.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildSessionPreset,
+  parseSessionPreset,
+  SESSION_PRESET_FORMAT,
+  SESSION_PRESET_VERSION,
+} from '../sessionPreset.js';
+
+function makeState() {
+  return {
+    wavetable: {
+      frames: [Float32Array.from([0, 0.5, -0.25, 1]), Float32Array.from([0.1, 0.2, 0.3, 0.4])],
+      rightFrames: [null, Float32Array.from([-0.1, -0.2, -0.3, -0.4])],
+      morphPosition: 0.5,
+    },
+    synth: { panelPeriodMs: 12.5, spectrumScale: 'log', polyphony: 4 },
+    camera: { mode: 'rect', rect: { top: 0.1, bottom: 0.9, left: 0, right: 1 }, corners: null, autoLock: false },
+    processing: { inkPolarity: 'auto', traceCount: 2 },
+  };
+}
+
+test('a saved session loads back with the same frames and settings', () => {
+  const state = makeState();
+  const preset = buildSessionPreset(state);
+  assert.equal(preset.format, SESSION_PRESET_FORMAT);
+  assert.equal(preset.version, SESSION_PRESET_VERSION);
+
+  const loaded = parseSessionPreset(JSON.stringify(preset));
+  assert.equal(loaded.wavetable.frames.length, 2);
+  assert.ok(loaded.wavetable.frames[0] instanceof Float32Array);
+  for (let i = 0; i < 4; i++) {
+    assert.ok(Math.abs(loaded.wavetable.frames[1][i] - state.wavetable.frames[1][i]) < 1e-6);
+    assert.ok(Math.abs(loaded.wavetable.rightFrames[1][i] - state.wavetable.rightFrames[1][i]) < 1e-6);
+  }
+  assert.equal(loaded.wavetable.rightFrames[0], null);
+  assert.equal(loaded.wavetable.morphPosition, 0.5);
+  assert.deepEqual(loaded.synth, state.synth);
+  assert.deepEqual(loaded.camera, state.camera);
+  assert.deepEqual(loaded.processing, state.processing);
+  assert.equal('format' in loaded, false);
+});
+
+test('older presets migrate forward one version at a time', () => {
+  const v1 = { format: SESSION_PRESET_FORMAT, version: 1, synth: { periodSeconds: 0.02 } };
+  const migrations = {
+    1: ({ synth, ...rest }) => ({ ...rest, version: 2, synth: { panelPeriodMs: synth.periodSeconds * 1000 } }),
+    2: (preset) => ({ ...preset, version: 3, camera: { mode: 'rect' } }),
+  };
+
+  const loaded = parseSessionPreset(JSON.stringify(v1), { migrations, targetVersion: 3 });
+  assert.deepEqual(loaded.synth, { panelPeriodMs: 20 });
+  assert.deepEqual(loaded.camera, { mode: 'rect' });
+  assert.deepEqual(loaded.wavetable.frames, []);
+
+  assert.throws(
+    () => parseSessionPreset(JSON.stringify(v1), { migrations: {}, targetVersion: 2 }),
+    /No migration from session preset version 1/,
+  );
+});
+
+test('unusable files are rejected with a readable message', () => {
+  assert.throws(() => parseSessionPreset('not json'), /not valid JSON/);
+  assert.throws(() => parseSessionPreset('{"version":1}'), /not a session preset/);
+  const newer = { format: SESSION_PRESET_FORMAT, version: SESSION_PRESET_VERSION + 1 };
+  assert.throws(() => parseSessionPreset(JSON.stringify(newer)), /newer than this app supports/);
+});
+
+test('bad samples load as the center line and stay in range', () => {
+  const text = JSON.stringify({
+    format: SESSION_PRESET_FORMAT,
+    version: SESSION_PRESET_VERSION,
+    wavetable: { frames: [[0.5, 'x', null, 3]] },
+  });
+  const loaded = parseSessionPreset(text);
+  assert.deepEqual(Array.from(loaded.wavetable.frames[0]), [0.5, 0, 0, 1]);
+  assert.deepEqual(loaded.wavetable.rightFrames, [null]);
+});
@@ -0,0 +1,35 @@
+// Tuning parameter tests: defaults mirror the pipeline modules and values are clamped to range.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDefaultTuning, sanitizeTuning, TUNING_SECTIONS } from '../tuningControls.js';
+import { DEFAULT_PROCESSING_CONFIG } from '../imageProcessing.js';
+import { DEFAULT_FOREGROUND_CUTOFF, CENTER_OF_MASS_CONFIG, WAVEFORM_POSTPROCESSING_CONFIG } from '../waveformExtractor.js';
+
+test('defaults mirror the pipeline settings and sit inside their ranges', () => {
+  const tuning = getDefaultTuning();
+  assert.deepEqual(tuning.processing, DEFAULT_PROCESSING_CONFIG);
+  assert.deepEqual(tuning.centerOfMass, CENTER_OF_MASS_CONFIG);
+  assert.deepEqual(tuning.postprocessing, WAVEFORM_POSTPROCESSING_CONFIG);
+  assert.deepEqual(tuning.extraction, { foregroundCutoff: DEFAULT_FOREGROUND_CUTOFF });
+
+  for (const section of TUNING_SECTIONS) {
+    for (const { key, min, max } of section.parameters) {
+      const value = tuning[section.id][key];
+      assert.ok(value >= min && value <= max, `${section.id}.${key} default ${value} is outside ${min}..${max}`);
+    }
+  }
+  assert.deepEqual(sanitizeTuning(tuning), tuning);
+});
+
+test('sanitizeTuning clamps, snaps to the step and fills in missing values', () => {
+  const tuning = sanitizeTuning({
+    processing: { flattenKernelRadius: 400, adaptiveThresholdPercentile: 92.34, flattenBias: '90' },
+    trimConfidence: { highThreshold: -1 },
+  });
+  assert.equal(tuning.processing.flattenKernelRadius, 25);
+  assert.equal(tuning.processing.adaptiveThresholdPercentile, 92.3);
+  assert.equal(tuning.processing.flattenBias, DEFAULT_PROCESSING_CONFIG.flattenBias);
+  assert.equal(tuning.trimConfidence.highThreshold, 0);
+  assert.deepEqual(tuning.centerOfMass, CENTER_OF_MASS_CONFIG);
+  assert.deepEqual(sanitizeTuning(null), getDefaultTuning());
+});
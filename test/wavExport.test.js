@@ -0,0 +1,95 @@
+// WAV encoder tests: RIFF layout and sizes, sample encoding per format, and extra chunks.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWav } from '../wavExport.js';
+
+function readTag(view, offset) {
+  return String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+}
+
+// Walk the chunks after the WAVE tag: [{ id, offset (of the body), size }].
+function readChunks(buffer) {
+  const view = new DataView(buffer);
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.byteLength) {
+    const size = view.getUint32(offset + 4, true);
+    chunks.push({ id: readTag(view, offset), offset: offset + 8, size });
+    offset += 8 + size + (size % 2);
+  }
+  return chunks;
+}
+
+test('a 16-bit file has a valid RIFF header, fmt chunk and clipped samples', () => {
+  const buffer = encodeWav(Float32Array.from([0, 0.5, -0.5, 1, -1, 2, NaN]), { sampleRate: 44100 });
+  const view = new DataView(buffer);
+
+  assert.equal(readTag(view, 0), 'RIFF');
+  assert.equal(view.getUint32(4, true), buffer.byteLength - 8);
+  assert.equal(readTag(view, 8), 'WAVE');
+  assert.deepEqual(readChunks(buffer).map((chunk) => chunk.id), ['fmt ', 'data']);
+
+  const [fmt, data] = readChunks(buffer);
+  assert.equal(fmt.size, 16);
+  assert.equal(view.getUint16(fmt.offset, true), 1);
+  assert.equal(view.getUint16(fmt.offset + 2, true), 1);
+  assert.equal(view.getUint32(fmt.offset + 4, true), 44100);
+  assert.equal(view.getUint32(fmt.offset + 8, true), 88200);
+  assert.equal(view.getUint16(fmt.offset + 12, true), 2);
+  assert.equal(view.getUint16(fmt.offset + 14, true), 16);
+
+  assert.equal(data.size, 7 * 2);
+  const samples = Array.from({ length: 7 }, (_, i) => view.getInt16(data.offset + i * 2, true));
+  // Samples scale by 32767 and round half up; out-of-range values clip and NaN writes silence.
+  assert.deepEqual(samples, [0, 16384, -16383, 32767, -32767, 32767, 0]);
+});
+
+test('a 24-bit file stores three little-endian bytes per sample', () => {
+  const buffer = encodeWav(Float32Array.from([0.5, -1]), { sampleRate: 48000, format: 'pcm24' });
+  const view = new DataView(buffer);
+  const [fmt, data] = readChunks(buffer);
+
+  assert.equal(view.getUint16(fmt.offset + 12, true), 3);
+  assert.equal(view.getUint16(fmt.offset + 14, true), 24);
+  assert.equal(data.size, 6);
+  const readInt24 = (offset) => (view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16));
+  assert.equal(readInt24(data.offset), Math.round(0.5 * 8388607));
+  assert.equal(readInt24(data.offset + 3), -8388607);
+});
+
+test('a float file has the extended fmt chunk, a fact chunk and unclipped samples', () => {
+  const samples = Float32Array.from([0.25, -1.5, 1]);
+  const buffer = encodeWav(samples, { sampleRate: 44100, format: 'float32' });
+  const view = new DataView(buffer);
+  const chunks = readChunks(buffer);
+
+  assert.deepEqual(chunks.map((chunk) => chunk.id), ['fmt ', 'fact', 'data']);
+  const [fmt, fact, data] = chunks;
+  assert.equal(fmt.size, 18);
+  assert.equal(view.getUint16(fmt.offset, true), 3);
+  assert.equal(view.getUint16(fmt.offset + 16, true), 0);
+  assert.equal(view.getUint32(fact.offset, true), samples.length);
+  assert.deepEqual(Array.from({ length: 3 }, (_, i) => view.getFloat32(data.offset + i * 4, true)), [0.25, -1.5, 1]);
+});
+
+test('extra chunks are written before the data chunk, padded to an even size', () => {
+  const buffer = encodeWav(Float32Array.from([0, 0]), {
+    sampleRate: 44100,
+    extraChunks: [{ id: 'test', bytes: Uint8Array.from([1, 2, 3]) }],
+  });
+  const view = new DataView(buffer);
+  const chunks = readChunks(buffer);
+
+  assert.deepEqual(chunks.map((chunk) => chunk.id), ['fmt ', 'test', 'data']);
+  assert.equal(chunks[1].size, 3);
+  assert.deepEqual([...new Uint8Array(buffer, chunks[1].offset, 3)], [1, 2, 3]);
+  assert.equal(chunks[2].offset, chunks[1].offset + 4 + 8);
+  assert.equal(view.getUint32(4, true), buffer.byteLength - 8);
+  assert.equal(chunks[2].offset + chunks[2].size, buffer.byteLength);
+});
+
+test('an unknown format falls back to 16-bit PCM', () => {
+  const buffer = encodeWav(Float32Array.from([0.5]), { sampleRate: 22050, format: 'pcm8' });
+  const [fmt] = readChunks(buffer);
+  assert.equal(new DataView(buffer).getUint16(fmt.offset + 14, true), 16);
+});
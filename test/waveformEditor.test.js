@@ -0,0 +1,57 @@
+// Waveform editor tests: the pure edit operations behind the canvas tools.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { drawSegment, smoothAround, dragPoint } from '../waveformEditor.js';
+
+const EPSILON = 1e-6;
+
+test('a segment sets every sample between its ends to the joining line', () => {
+  const waveform = new Float32Array(11);
+  drawSegment(waveform, { index: 2, value: -0.5 }, { index: 8, value: 0.7 });
+
+  assert.equal(waveform[1], 0);
+  assert.equal(waveform[9], 0);
+  for (let i = 2; i <= 8; i++) {
+    const expected = -0.5 + (1.2 * (i - 2)) / 6;
+    assert.ok(Math.abs(waveform[i] - expected) < EPSILON, `sample ${i} is ${waveform[i]}`);
+  }
+
+  // Right-to-left strokes, single points and out-of-range values are handled too.
+  drawSegment(waveform, { index: 8, value: 0 }, { index: 2, value: 0 });
+  assert.ok(waveform.slice(2, 9).every((value) => value === 0));
+  drawSegment(waveform, { index: 5, value: 3 }, { index: 5, value: 3 });
+  assert.equal(waveform[5], 1);
+});
+
+test('the smooth brush flattens a spike near its center only', () => {
+  const waveform = new Float32Array(100);
+  waveform[50] = 1;
+  waveform[5] = 1;
+  smoothAround(waveform, 50, 8);
+
+  assert.ok(waveform[50] < 0.8, `spike is still ${waveform[50]}`);
+  assert.ok(waveform[49] > 0, 'neighbours pick up part of the spike');
+  assert.equal(waveform[5], 1, 'samples outside the brush are untouched');
+});
+
+test('the smooth brush wraps around the loop ends', () => {
+  const waveform = new Float32Array(100);
+  waveform[99] = 1;
+  smoothAround(waveform, 0, 6);
+  assert.ok(waveform[99] < 1);
+  assert.ok(waveform[1] > 0);
+});
+
+test('dragging a point moves it exactly and eases its neighbours', () => {
+  const base = new Float32Array(200);
+  const dragged = dragPoint(base, 100, 0.5, 10);
+
+  assert.ok(Math.abs(dragged[100] - 0.5) < EPSILON);
+  assert.ok(dragged[95] > 0 && dragged[95] < 0.5);
+  assert.ok(Math.abs(dragged[95] - dragged[105]) < EPSILON, 'falloff is symmetric');
+  assert.equal(dragged[111], 0);
+  assert.equal(base[100], 0, 'the base is not modified');
+
+  assert.ok(dragPoint(base, 0, 0.5, 10)[199] > 0, 'falloff wraps around the loop ends');
+  assert.equal(dragPoint(base, 100, -4, 0)[100], -1);
+});
@@ -0,0 +1,311 @@
+// Waveform extraction tests:
+// - contract checks on the extractor output (length, centering, ROI, coverage rejection)
+// - end-to-end accuracy of preprocessing + extraction against rendered ground truth
+// - multi-trace separation of stacked traces
+// - the detailed result (confidence, gaps, kept span, quality)
+// Accuracy limits sit a little outside today's results, so a tuning change that makes
+// extraction worse fails here.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createImageProcessor } from '../imageProcessing.js';
+import { extractWaveformFromImageData, extractWaveformsFromImageData } from '../waveformExtractor.js';
+import { renderTraceImage, renderStackedTracesImage, toMask, sine, square } from './fixtures.js';
+import { compareToTruth } from './metrics.js';
+
+const FOREGROUND_CUTOFF = 200;
+const processor = createImageProcessor();
+
+function extract(imageData, options = {}) {
+  return extractWaveformFromImageData(processor.preprocessImage(imageData), {
+    foregroundCutoff: FOREGROUND_CUTOFF,
+    ...options,
+  });
+}
+
+test('rejects missing or empty image data', () => {
+  assert.equal(extractWaveformFromImageData(null), null);
+  assert.equal(extractWaveformFromImageData({ data: new Uint8ClampedArray(0), width: 0, height: 0 }), null);
+});
+
+test('returns one zero-mean value per column', () => {
+  const { imageData } = renderTraceImage({ shape: sine(2) });
+  const waveform = extract(imageData);
+
+  assert.equal(waveform.length, imageData.width);
+  const mean = waveform.reduce((sum, value) => sum + value, 0) / waveform.length;
+  assert.ok(Math.abs(mean) < 1e-6, `mean is ${mean}`);
+});
+
+test('columns outside the ROI are zero', () => {
+  const { imageData } = renderTraceImage({ shape: sine(2) });
+  const roi = { x: 80, y: 0, width: 160, height: imageData.height };
+  const waveform = extract(imageData, { roi });
+
+  for (let x = 0; x < imageData.width; x++) {
+    if (x >= roi.x && x < roi.x + roi.width) continue;
+    assert.equal(waveform[x], 0, `column ${x} is outside the ROI`);
+  }
+});
+
+// Binary mask (as preprocessing produces) with a horizontal trace in the columns isTraced picks.
+function buildTraceMask(width, height, isTraced) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 3; i < data.length; i += 4) data[i] = 255;
+
+  const centerY = Math.floor(height / 2);
+  for (let x = 0; x < width; x++) {
+    if (!isTraced(x)) continue;
+    for (let y = centerY - 3; y <= centerY + 3; y++) {
+      const index = (y * width + x) * 4;
+      data[index] = 255;
+      data[index + 1] = 255;
+      data[index + 2] = 255;
+    }
+  }
+
+  return { data, width, height };
+}
+
+test('minCoverageRatio rejects a trace that covers too few columns', () => {
+  const mask = buildTraceMask(200, 100, (x) => x < 60);
+  const options = { foregroundCutoff: FOREGROUND_CUTOFF };
+
+  assert.ok(extractWaveformFromImageData(mask, options));
+  assert.equal(extractWaveformFromImageData(mask, { ...options, minCoverageRatio: 0.6 }), null);
+  assert.ok(extractWaveformFromImageData(mask, { ...options, minCoverageRatio: 0.25 }));
+});
+
+test('minCoverageRatio counts traced columns, not gaps filled in afterwards', () => {
+  // 3-column dashes with 13-column gaps: smoothing closes a few columns at each end and
+  // interpolation fills the rest, but only about half the columns are traced.
+  const mask = buildTraceMask(200, 100, (x) => x % 16 < 3);
+  const options = { foregroundCutoff: FOREGROUND_CUTOFF };
+
+  const details = extractWaveformFromImageData(mask, { ...options, detailed: true });
+  assert.ok(details.coverage > 0.9, `coverage after filling ${details.coverage}`);
+  assert.equal(extractWaveformFromImageData(mask, { ...options, minCoverageRatio: 0.6 }), null);
+});
+
+test('detailed result matches the plain waveform and reports the kept span', () => {
+  const { imageData } = renderTraceImage({ shape: sine(2) });
+  const roi = { x: 40, y: 0, width: 240, height: imageData.height };
+  const plain = extract(imageData, { roi });
+  const details = extract(imageData, { roi, detailed: true });
+
+  assert.deepEqual(details.waveform, plain);
+  assert.equal(details.rawPath.length, imageData.width);
+  assert.equal(details.confidence.length, imageData.width);
+  assert.ok(Number.isNaN(details.confidence[10]), 'confidence outside the ROI should be NaN');
+  assert.ok(details.trimmedStart >= roi.x && details.trimmedEnd < roi.x + roi.width);
+  assert.ok(details.trimmedEnd - details.trimmedStart >= roi.width * 0.95, `kept ${details.trimmedStart}-${details.trimmedEnd}`);
+  assert.ok(details.quality >= 0.85 && details.quality <= 1, `quality ${details.quality}`);
+  assert.equal(details.jumpRejections, 0);
+});
+
+test('detailed result marks interpolated gaps and scores weaker traces lower', () => {
+  const mask = buildTraceMask(200, 100, () => true);
+  for (let y = 0; y < 100; y++) {
+    for (let x = 100; x < 108; x++) {
+      mask.data.fill(0, (y * 200 + x) * 4, (y * 200 + x) * 4 + 3);
+    }
+  }
+  const details = extractWaveformFromImageData(mask, { foregroundCutoff: FOREGROUND_CUTOFF, detailed: true });
+  // The path's median filter closes the gap's edges; interpolation fills the middle.
+  const filled = [...details.interpolated.keys()].filter((x) => details.interpolated[x]);
+  assert.ok(filled.length > 0 && filled.every((x) => x >= 100 && x < 108), `interpolated columns: ${filled.join(', ')}`);
+
+  const clean = extract(renderTraceImage({ shape: sine(2) }).imageData, { detailed: true });
+  const noisy = extract(renderTraceImage({ shape: sine(3), lightingGradient: 80, seed: 7 }).imageData, { detailed: true });
+  assert.ok(noisy.quality < clean.quality, `noisy ${noisy.quality} vs clean ${clean.quality}`);
+});
+
+test('tuning overrides apply to one call and ignore unknown or non-numeric values', () => {
+  const mask = buildTraceMask(200, 100, () => true);
+  for (let y = 0; y < 100; y++) {
+    for (let x = 100; x < 108; x++) {
+      mask.data.fill(0, (y * 200 + x) * 4, (y * 200 + x) * 4 + 3);
+    }
+  }
+  const options = { foregroundCutoff: FOREGROUND_CUTOFF, detailed: true };
+  const countFilled = (details) => details.interpolated.reduce((sum, value) => sum + value, 0);
+
+  const noGapFill = extractWaveformFromImageData(mask, { ...options, tuning: { postprocessing: { interpolationMaxGap: 0 } } });
+  assert.equal(countFilled(noGapFill), 0);
+  assert.ok(countFilled(extractWaveformFromImageData(mask, options)) > 0, 'defaults should be back on the next call');
+
+  const ignored = extractWaveformFromImageData(mask, {
+    ...options,
+    tuning: { postprocessing: { interpolationMaxGap: 'wide', extra: 3 }, centerOfMass: null },
+  });
+  assert.deepEqual(ignored.waveform, extractWaveformFromImageData(mask, options).waveform);
+});
+
+test('inkPolarity dark reads dark ink without preprocessing', () => {
+  const { imageData, truth } = renderTraceImage({ shape: sine(2) });
+  const waveform = extractWaveformFromImageData(imageData, { foregroundCutoff: FOREGROUND_CUTOFF, inkPolarity: 'dark' });
+  assert.ok(waveform, 'no waveform extracted');
+  assert.ok(compareToTruth(waveform, truth).correlation >= 0.999);
+});
+
+test('accuracy: chalk on a blackboard with auto polarity', () => {
+  const { imageData, truth } = renderTraceImage({ shape: sine(2), paper: 35, ink: 215, noise: 12, lightingGradient: -30, seed: 2 });
+  const auto = createImageProcessor();
+  auto.setInkPolarity('auto');
+  const waveform = extractWaveformFromImageData(auto.preprocessImage(imageData), { foregroundCutoff: FOREGROUND_CUTOFF });
+  assert.ok(waveform, 'no waveform extracted');
+
+  const { rmse, correlation, spanRatio } = compareToTruth(waveform, truth);
+  const summary = `rmse ${rmse.toFixed(4)}, correlation ${correlation.toFixed(4)}, span ${spanRatio.toFixed(3)}`;
+  assert.ok(spanRatio >= 0.94, `kept span too short (${summary})`);
+  assert.ok(rmse <= 0.02, `RMSE too high (${summary})`);
+  assert.ok(correlation >= 0.999, `correlation too low (${summary})`);
+});
+
+const ACCURACY_CASES = [
+  {
+    name: 'clean sine, 2 periods',
+    fixture: { shape: sine(2) },
+    limits: { maxRmse: 0.02, minCorrelation: 0.999, minSpan: 0.98 },
+  },
+  {
+    name: 'clean square, 2 periods',
+    fixture: { shape: square(2) },
+    limits: { maxRmse: 0.13, minCorrelation: 0.98, minSpan: 0.98 },
+  },
+  {
+    name: 'clean sine on a tall frame',
+    fixture: { shape: sine(2), height: 360 },
+    limits: { maxRmse: 0.01, minCorrelation: 0.9998, minSpan: 0.98 },
+  },
+  {
+    name: 'low-amplitude sine, 5 periods',
+    fixture: { shape: sine(5), amplitude: 0.4 },
+    limits: { maxRmse: 0.02, minCorrelation: 0.998, minSpan: 0.98 },
+  },
+  {
+    name: 'noisy photo of a sine (grain, uneven light, specks)',
+    fixture: { shape: sine(2), noise: 30, lightingGradient: 80, speckCount: 400, seed: 7 },
+    limits: { maxRmse: 0.02, minCorrelation: 0.999, minSpan: 0.98 },
+  },
+  {
+    name: 'mildly noisy photo of a sine',
+    fixture: { shape: sine(2), noise: 15, lightingGradient: 40, speckCount: 150, seed: 11 },
+    limits: { maxRmse: 0.01, minCorrelation: 0.9995, minSpan: 0.98 },
+  },
+  {
+    name: 'noisy photo of a square',
+    fixture: { shape: square(3), noise: 25, lightingGradient: 60, speckCount: 200, seed: 3 },
+    limits: { maxRmse: 0.15, minCorrelation: 0.98, minSpan: 0.97 },
+  },
+  {
+    name: 'steep sine, 4 periods at full amplitude',
+    fixture: { shape: sine(4) },
+    limits: { maxRmse: 0.03, minCorrelation: 0.998, minSpan: 0.98 },
+  },
+  {
+    name: 'sine, 3 periods under strong uneven lighting',
+    fixture: { shape: sine(3), lightingGradient: 80, seed: 7 },
+    limits: { maxRmse: 0.03, minCorrelation: 0.998, minSpan: 0.98 },
+  },
+];
+
+for (const { name, fixture, limits } of ACCURACY_CASES) {
+  test(`accuracy: ${name}`, () => {
+    const { imageData, truth } = renderTraceImage(fixture);
+    const waveform = extract(imageData);
+    assert.ok(waveform, 'no waveform extracted');
+
+    const { rmse, correlation, spanRatio } = compareToTruth(waveform, truth);
+    const summary = `rmse ${rmse.toFixed(4)}, correlation ${correlation.toFixed(4)}, span ${spanRatio.toFixed(3)}`;
+    assert.ok(spanRatio >= limits.minSpan, `kept span too short (${summary})`);
+    assert.ok(rmse <= limits.maxRmse, `RMSE too high (${summary})`);
+    assert.ok(correlation >= limits.minCorrelation, `correlation too low (${summary})`);
+  });
+}
+
+const MULTI_TRACE_CASES = [
+  {
+    name: 'two sines',
+    fixture: { shapes: [sine(2), sine(3)], height: 240 },
+    limits: { maxRmse: 0.015, minCorrelation: 0.999, minSpan: 0.98 },
+  },
+  {
+    name: 'sine above square',
+    fixture: { shapes: [sine(2), square(2)], height: 240 },
+    limits: { maxRmse: 0.16, minCorrelation: 0.98, minSpan: 0.98 },
+  },
+  {
+    name: 'three stacked drawings',
+    fixture: { shapes: [sine(1), square(2), sine(3)], height: 360, amplitude: 0.6 },
+    limits: { maxRmse: 0.14, minCorrelation: 0.98, minSpan: 0.98 },
+  },
+  {
+    name: 'two traces with specks',
+    fixture: { shapes: [sine(2), square(3)], height: 240, speckCount: 300, seed: 9 },
+    limits: { maxRmse: 0.18, minCorrelation: 0.975, minSpan: 0.98 },
+  },
+];
+
+// Masks are built directly from the fixtures so these cases measure trace separation only.
+for (const { name, fixture, limits } of MULTI_TRACE_CASES) {
+  test(`multi-trace: ${name}`, () => {
+    const { imageData, truths } = renderStackedTracesImage(fixture);
+    const waveforms = extractWaveformsFromImageData(toMask(imageData), {
+      foregroundCutoff: FOREGROUND_CUTOFF,
+      maxTraces: fixture.shapes.length,
+    });
+    assert.equal(waveforms.length, truths.length);
+
+    waveforms.forEach((waveform, index) => {
+      const { rmse, correlation, spanRatio } = compareToTruth(waveform, truths[index]);
+      const summary = `trace ${index + 1}: rmse ${rmse.toFixed(4)}, correlation ${correlation.toFixed(4)}, span ${spanRatio.toFixed(3)}`;
+      assert.ok(spanRatio >= limits.minSpan, `kept span too short (${summary})`);
+      assert.ok(rmse <= limits.maxRmse, `RMSE too high (${summary})`);
+      assert.ok(correlation >= limits.minCorrelation, `correlation too low (${summary})`);
+    });
+  });
+}
+
+test('multi-trace: maxTraces caps the number of traces, ordered top to bottom', () => {
+  const { imageData, truths } = renderStackedTracesImage({ shapes: [sine(1), sine(2), sine(3)], height: 360, amplitude: 0.6 });
+  const waveforms = extractWaveformsFromImageData(toMask(imageData), { foregroundCutoff: FOREGROUND_CUTOFF, maxTraces: 2 });
+
+  assert.equal(waveforms.length, 2);
+  const matches = waveforms.map((waveform) => truths.findIndex((truth) => compareToTruth(waveform, truth).correlation > 0.99));
+  assert.ok(matches.every((index) => index >= 0), `unmatched traces: ${matches.join(', ')}`);
+  assert.ok(matches[0] < matches[1], `traces out of order: ${matches.join(', ')}`);
+});
+
+test('multi-trace: detailed results carry each trace path and kept span', () => {
+  const { imageData } = renderStackedTracesImage({ shapes: [sine(1), sine(2)], height: 240 });
+  const options = { foregroundCutoff: FOREGROUND_CUTOFF, maxTraces: 2 };
+  const waveforms = extractWaveformsFromImageData(toMask(imageData), options);
+  const traces = extractWaveformsFromImageData(toMask(imageData), { ...options, detailed: true });
+
+  assert.equal(traces.length, waveforms.length);
+  traces.forEach(({ waveform, rawPath, trimmedStart, trimmedEnd }, index) => {
+    assert.deepEqual(waveform, waveforms[index]);
+    assert.equal(rawPath.length, imageData.width);
+    assert.ok(trimmedStart >= 0 && trimmedEnd > trimmedStart);
+  });
+  // Ordered top to bottom, like the waveforms.
+  const meanY = (path) => {
+    const rows = Array.from(path).filter(Number.isFinite);
+    return rows.reduce((sum, y) => sum + y, 0) / rows.length;
+  };
+  assert.ok(meanY(traces[0].rawPath) < meanY(traces[1].rawPath));
+});
+
+test('multi-trace: end to end through preprocessing', () => {
+  const { imageData, truths } = renderStackedTracesImage({ shapes: [sine(2), sine(1)], height: 600, thickness: 8 });
+  const waveforms = extractWaveformsFromImageData(processor.preprocessImage(imageData), {
+    foregroundCutoff: FOREGROUND_CUTOFF,
+    maxTraces: 2,
+  });
+
+  assert.equal(waveforms.length, 2);
+  waveforms.forEach((waveform, index) => {
+    const { correlation, spanRatio } = compareToTruth(waveform, truths[index]);
+    assert.ok(correlation >= 0.995 && spanRatio >= 0.9, `trace ${index + 1}: correlation ${correlation}, span ${spanRatio}`);
+  });
+});
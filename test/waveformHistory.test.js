@@ -0,0 +1,45 @@
+// Waveform history tests: undo/redo order, branch dropping and the entry limit.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHistory } from '../waveformHistory.js';
+
+test('undo and redo step through recorded snapshots', () => {
+  const history = createHistory();
+  assert.equal(history.undo(), null);
+
+  history.record('empty');
+  history.record('one frame');
+  history.record('two frames');
+  assert.equal(history.canRedo(), false);
+
+  assert.equal(history.undo(), 'one frame');
+  assert.equal(history.undo(), 'empty');
+  assert.equal(history.undo(), null, 'the first snapshot is the oldest state');
+  assert.equal(history.canUndo(), false);
+
+  assert.equal(history.redo(), 'one frame');
+  assert.equal(history.redo(), 'two frames');
+  assert.equal(history.redo(), null);
+  assert.equal(history.getCurrent(), 'two frames');
+});
+
+test('recording after an undo drops the redo branch', () => {
+  const history = createHistory();
+  history.record('a');
+  history.record('b');
+  history.undo();
+  history.record('c');
+
+  assert.equal(history.canRedo(), false);
+  assert.equal(history.undo(), 'a');
+  assert.equal(history.redo(), 'c');
+});
+
+test('the oldest snapshots fall off past the limit', () => {
+  const history = createHistory(3);
+  for (const snapshot of ['a', 'b', 'c', 'd']) history.record(snapshot);
+
+  assert.equal(history.undo(), 'c');
+  assert.equal(history.undo(), 'b');
+  assert.equal(history.undo(), null);
+});
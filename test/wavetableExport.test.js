@@ -0,0 +1,96 @@
+// Wavetable export tests: frame preparation, the Serum WAV with its 'clm ' chunk, and the
+// Vital JSON layout.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildWavetableFrames,
+  encodeSerumWavetable,
+  encodeVitalWavetable,
+  WAVETABLE_FRAME_SIZE,
+  MAX_WAVETABLE_FRAMES,
+} from '../wavetableExport.js';
+
+function makeSine(length, amplitude, offset = 0) {
+  return Float32Array.from({ length }, (_, i) => offset + amplitude * Math.sin((2 * Math.PI * i) / length));
+}
+
+function getPeak(frame) {
+  return frame.reduce((peak, value) => Math.max(peak, Math.abs(value)), 0);
+}
+
+// Chunks after the WAVE tag: [{ id, offset (of the body), size }].
+function readChunks(buffer) {
+  const view = new DataView(buffer);
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.byteLength) {
+    const size = view.getUint32(offset + 4, true);
+    const id = String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+    chunks.push({ id, offset: offset + 8, size });
+    offset += 8 + size + (size % 2);
+  }
+  return chunks;
+}
+
+test('frames are resampled, DC-corrected and normalized with one gain for the table', () => {
+  const frames = buildWavetableFrames([makeSine(300, 0.4, 0.2), null, makeSine(500, 0.2), []]);
+
+  assert.equal(frames.length, 2);
+  assert.ok(frames.every((frame) => frame.length === WAVETABLE_FRAME_SIZE));
+  const mean = frames[0].reduce((sum, value) => sum + value, 0) / WAVETABLE_FRAME_SIZE;
+  assert.ok(Math.abs(mean) < 1e-6, `mean ${mean}`);
+  assert.ok(Math.abs(getPeak(frames[0]) - 1) < 1e-6);
+  assert.ok(Math.abs(getPeak(frames[1]) - 0.5) < 0.01, `quieter frame peak ${getPeak(frames[1])}`);
+});
+
+test('no more than MAX_WAVETABLE_FRAMES frames are kept', () => {
+  const waveforms = Array.from({ length: MAX_WAVETABLE_FRAMES + 3 }, () => makeSine(64, 1));
+  assert.equal(buildWavetableFrames(waveforms).length, MAX_WAVETABLE_FRAMES);
+});
+
+test('the Serum WAV stacks the frames as 32-bit float behind a clm chunk', () => {
+  const frames = buildWavetableFrames([makeSine(256, 1), makeSine(256, 0.5)]);
+  const buffer = encodeSerumWavetable(frames);
+  const view = new DataView(buffer);
+  const chunks = readChunks(buffer);
+
+  assert.deepEqual(chunks.map((chunk) => chunk.id), ['fmt ', 'fact', 'clm ', 'data']);
+  const [fmt, , clm, data] = chunks;
+  assert.equal(view.getUint16(fmt.offset, true), 3);
+  assert.equal(view.getUint16(fmt.offset + 14, true), 32);
+
+  const marker = String.fromCharCode(...new Uint8Array(buffer, clm.offset, clm.size));
+  assert.match(marker, new RegExp(`^<!>${WAVETABLE_FRAME_SIZE} `));
+  assert.ok(clm.offset < data.offset);
+
+  assert.equal(data.size, frames.length * WAVETABLE_FRAME_SIZE * 4);
+  const secondFrameStart = data.offset + WAVETABLE_FRAME_SIZE * 4;
+  for (const index of [0, 100, WAVETABLE_FRAME_SIZE - 1]) {
+    assert.equal(view.getFloat32(data.offset + index * 4, true), frames[0][index]);
+    assert.equal(view.getFloat32(secondFrameStart + index * 4, true), frames[1][index]);
+  }
+});
+
+test('the Vital table has one Wave Source with a keyframe per frame across the positions', () => {
+  const frames = buildWavetableFrames([makeSine(128, 1), makeSine(128, 0.5), makeSine(128, 0.25)]);
+  const table = JSON.parse(encodeVitalWavetable(frames, 'Test Table'));
+
+  assert.equal(table.name, 'Test Table');
+  assert.equal(table.groups.length, 1);
+  const [component] = table.groups[0].components;
+  assert.equal(component.type, 'Wave Source');
+  assert.deepEqual(component.keyframes.map((keyframe) => keyframe.position), [0, 128, 256]);
+
+  component.keyframes.forEach((keyframe, index) => {
+    const bytes = Uint8Array.from(atob(keyframe.wave_data), (char) => char.charCodeAt(0));
+    assert.equal(bytes.length, WAVETABLE_FRAME_SIZE * 4);
+    const view = new DataView(bytes.buffer);
+    const samples = Float32Array.from({ length: WAVETABLE_FRAME_SIZE }, (_, i) => view.getFloat32(i * 4, true));
+    assert.deepEqual(samples, frames[index]);
+  });
+});
+
+test('a single-frame Vital table puts its keyframe at position 0', () => {
+  const table = JSON.parse(encodeVitalWavetable(buildWavetableFrames([makeSine(64, 1)])));
+  assert.deepEqual(table.groups[0].components[0].keyframes.map((keyframe) => keyframe.position), [0]);
+});
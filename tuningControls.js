@@ -0,0 +1,198 @@
+// Tuning controls:
+// - builds the Tuning panel: one number input per image-processing and extraction setting
+//   from the README's Tuning Guide, grouped by pipeline stage
+// - sends the whole tuning object on every change and on Reset to Defaults
+// - clamps values typed into the panel or loaded from a preset to each parameter's range and step
+import { DEFAULT_PROCESSING_CONFIG } from './imageProcessing.js';
+import {
+  DEFAULT_FOREGROUND_CUTOFF,
+  CENTER_OF_MASS_CONFIG,
+  TRIM_CONFIDENCE_CONFIG,
+  WAVEFORM_POSTPROCESSING_CONFIG,
+} from './waveformExtractor.js';
+
+// Sections map onto the pipeline: `processing` goes to imageProcessor.setConfig(), `extraction`
+// holds plain extractor options (foregroundCutoff), the others are passed to the extractor as
+// options.tuning.
+export const TUNING_SECTIONS = [
+  {
+    id: 'processing',
+    title: 'Image Processing',
+    defaults: DEFAULT_PROCESSING_CONFIG,
+    parameters: [
+      { key: 'flattenKernelRadius', label: 'Flatten radius (px)', min: 1, max: 25, step: 1 },
+      { key: 'flattenBias', label: 'Flatten bias', min: 0, max: 255, step: 1 },
+      { key: 'contrastLowPercentile', label: 'Contrast low %ile', min: 0, max: 49, step: 1 },
+      { key: 'contrastHighPercentile', label: 'Contrast high %ile', min: 51, max: 100, step: 1 },
+      { key: 'adaptiveThresholdPercentile', label: 'Threshold %ile', min: 50, max: 99.9, step: 0.1 },
+      { key: 'maskGrowThreshold', label: 'Mask grow floor', min: 0, max: 255, step: 1 },
+      { key: 'minIsolatedNeighborCount', label: 'Dot removal neighbours', min: 0, max: 8, step: 1 },
+      { key: 'erodeMinForegroundCount', label: 'Erode min pixels', min: 1, max: 9, step: 1 },
+    ],
+  },
+  {
+    id: 'extraction',
+    title: 'Extraction',
+    defaults: { foregroundCutoff: DEFAULT_FOREGROUND_CUTOFF },
+    parameters: [
+      { key: 'foregroundCutoff', label: 'Ink cutoff', min: 1, max: 255, step: 1 },
+    ],
+  },
+  {
+    id: 'centerOfMass',
+    title: 'Trace Tracking',
+    defaults: CENTER_OF_MASS_CONFIG,
+    parameters: [
+      { key: 'bandHalfWidth', label: 'Search band (px)', min: 1, max: 100, step: 1 },
+      { key: 'minForegroundCount', label: 'Min ink pixels', min: 1, max: 50, step: 1 },
+      { key: 'maxJumpPx', label: 'Max jump (px)', min: 1, max: 200, step: 1 },
+      { key: 'medianRadius', label: 'Median radius', min: 0, max: 20, step: 1 },
+    ],
+  },
+  {
+    id: 'trimConfidence',
+    title: 'Edge Trimming',
+    defaults: TRIM_CONFIDENCE_CONFIG,
+    parameters: [
+      { key: 'confWindowRadius', label: 'Density window radius', min: 0, max: 5, step: 1 },
+      { key: 'smoothRadius', label: 'Confidence smoothing', min: 0, max: 20, step: 1 },
+      { key: 'highThreshold', label: 'Enter threshold', min: 0, max: 1, step: 0.01 },
+      { key: 'lowThreshold', label: 'Exit threshold', min: 0, max: 1, step: 0.01 },
+      { key: 'enterRun', label: 'Enter run (columns)', min: 1, max: 100, step: 1 },
+      { key: 'exitRun', label: 'Exit run (columns)', min: 1, max: 100, step: 1 },
+      { key: 'continuityMaxDelta', label: 'Continuity max step (px)', min: 1, max: 100, step: 1 },
+      { key: 'minSpanColumnsRatio', label: 'Min span ratio', min: 0, max: 1, step: 0.01 },
+      { key: 'minSpanColumnsFloor', label: 'Min span columns', min: 1, max: 200, step: 1 },
+      { key: 'minKeepValidColumnsRatio', label: 'Min kept ratio', min: 0, max: 1, step: 0.01 },
+      { key: 'minKeepValidColumnsFloor', label: 'Min kept columns', min: 1, max: 200, step: 1 },
+    ],
+  },
+  {
+    id: 'postprocessing',
+    title: 'Gap Filling',
+    defaults: WAVEFORM_POSTPROCESSING_CONFIG,
+    parameters: [
+      { key: 'interpolationMaxGap', label: 'Max filled gap (columns)', min: 0, max: 200, step: 1 },
+    ],
+  },
+];
+
+// A fresh copy of every section's defaults: { processing: {...}, centerOfMass: {...}, ... }.
+export function getDefaultTuning() {
+  const tuning = {};
+  for (const section of TUNING_SECTIONS) {
+    tuning[section.id] = {};
+    for (const { key } of section.parameters) {
+      tuning[section.id][key] = section.defaults[key];
+    }
+  }
+  return tuning;
+}
+
+// Clamp every value to its parameter range and step; missing values and anything that is not
+// a finite number take the default. Returns a complete tuning object.
+export function sanitizeTuning(tuning = {}) {
+  const sanitized = getDefaultTuning();
+  for (const section of TUNING_SECTIONS) {
+    const values = tuning?.[section.id] || {};
+    for (const parameter of section.parameters) {
+      const value = values[parameter.key];
+      if (Number.isFinite(value)) sanitized[section.id][parameter.key] = clampToStep(value, parameter);
+    }
+  }
+  return sanitized;
+}
+
+// Build and return the tuning panel controls used by the app.
+export function createTuningControls({
+  container,
+  resetButton,
+  onChange,
+}) {
+  let tuning = getDefaultTuning();
+  // Inputs keyed by `${sectionId}.${key}`.
+  const inputs = new Map();
+
+  // Main flow API: build the inputs and bind the reset button. The defaults are already
+  // applied by the pipeline modules, so nothing is sent until something changes.
+  function init() {
+    if (container) buildPanel();
+    if (resetButton) resetButton.addEventListener('click', reset);
+  }
+
+  // Show a tuning object (e.g. from a session preset) in the inputs and return the applied
+  // values; like the other controls' setters it does not call onChange.
+  function setTuning(nextTuning) {
+    tuning = sanitizeTuning(nextTuning);
+    syncInputs();
+    return getTuning();
+  }
+
+  function reset() {
+    setTuning(getDefaultTuning());
+    emitChange();
+  }
+
+  function getTuning() {
+    return sanitizeTuning(tuning);
+  }
+
+  function buildPanel() {
+    for (const section of TUNING_SECTIONS) {
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'tuning-section';
+      const legend = document.createElement('legend');
+      legend.textContent = section.title;
+      fieldset.appendChild(legend);
+
+      for (const parameter of section.parameters) {
+        const label = document.createElement('label');
+        label.title = `${parameter.key} (default ${section.defaults[parameter.key]})`;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = parameter.min;
+        input.max = parameter.max;
+        input.step = parameter.step;
+        input.addEventListener('change', () => {
+          tuning[section.id][parameter.key] = Number(input.value);
+          tuning = sanitizeTuning(tuning);
+          input.value = tuning[section.id][parameter.key];
+          emitChange();
+        });
+        label.append(`${parameter.label} `, input);
+        fieldset.appendChild(label);
+        inputs.set(`${section.id}.${parameter.key}`, input);
+      }
+
+      container.appendChild(fieldset);
+    }
+    syncInputs();
+  }
+
+  function syncInputs() {
+    for (const section of TUNING_SECTIONS) {
+      for (const { key } of section.parameters) {
+        const input = inputs.get(`${section.id}.${key}`);
+        if (input) input.value = tuning[section.id][key];
+      }
+    }
+  }
+
+  function emitChange() {
+    if (typeof onChange === 'function') onChange(getTuning());
+  }
+
+  return {
+    init,
+    setTuning,
+    getTuning,
+    reset,
+  };
+}
+
+function clampToStep(value, { min, max, step }) {
+  const clamped = Math.max(min, Math.min(max, value));
+  const stepped = min + Math.round((clamped - min) / step) * step;
+  // Round away float noise from the step arithmetic (0.1 steps).
+  return Math.min(max, Number(stepped.toFixed(6)));
+}
@@ -0,0 +1,220 @@
+// WAV export:
+// - encodes mono sample data as RIFF/WAVE (16-bit PCM, 24-bit PCM, or 32-bit float)
+// - downloads the prepared wavetable as a single-cycle file for samplers
+// - renders N seconds of the panel-period tone offline and downloads it
+
+export const WAV_FORMATS = {
+  pcm16: { bitsPerSample: 16, formatTag: 1 },
+  pcm24: { bitsPerSample: 24, formatTag: 1 },
+  float32: { bitsPerSample: 32, formatTag: 3 },
+};
+
+const DEFAULT_WAV_FORMAT = 'pcm16';
+// Some browsers start reading a download's object URL after click() returns, so it is kept
+// alive this long.
+const OBJECT_URL_REVOKE_DELAY_MS = 1000;
+
+// Encode mono samples (nominal range -1..1) into a WAV file buffer.
+// extraChunks ({ id, bytes }) are written before the data chunk, e.g. Serum's 'clm ' marker.
+export function encodeWav(samples, { sampleRate, format = DEFAULT_WAV_FORMAT, extraChunks = [] } = {}) {
+  const { bitsPerSample, formatTag } = WAV_FORMATS[format] || WAV_FORMATS[DEFAULT_WAV_FORMAT];
+  const bytesPerSample = bitsPerSample / 8;
+  const dataSize = samples.length * bytesPerSample;
+  const isFloat = formatTag === 3;
+
+  // Float files carry the extended fmt chunk (cbSize) and a fact chunk per the WAVE spec.
+  const fmtSize = isFloat ? 18 : 16;
+  const factSize = isFloat ? 12 : 0;
+  const extraSize = extraChunks.reduce((total, chunk) => total + 8 + padToEven(chunk.bytes.length), 0);
+  const headerSize = 12 + (8 + fmtSize) + factSize + extraSize + 8;
+
+  const buffer = new ArrayBuffer(headerSize + dataSize);
+  const view = new DataView(buffer);
+  let offset = 0;
+
+  const writeTag = (tag) => {
+    for (let i = 0; i < 4; i++) view.setUint8(offset++, tag.charCodeAt(i));
+  };
+  const writeUint32 = (value) => {
+    view.setUint32(offset, value, true);
+    offset += 4;
+  };
+  const writeUint16 = (value) => {
+    view.setUint16(offset, value, true);
+    offset += 2;
+  };
+
+  writeTag('RIFF');
+  writeUint32(buffer.byteLength - 8);
+  writeTag('WAVE');
+
+  writeTag('fmt ');
+  writeUint32(fmtSize);
+  writeUint16(formatTag);
+  writeUint16(1);
+  writeUint32(sampleRate);
+  writeUint32(sampleRate * bytesPerSample);
+  writeUint16(bytesPerSample);
+  writeUint16(bitsPerSample);
+  if (isFloat) writeUint16(0);
+
+  if (isFloat) {
+    writeTag('fact');
+    writeUint32(4);
+    writeUint32(samples.length);
+  }
+
+  for (const chunk of extraChunks) {
+    writeTag(chunk.id);
+    writeUint32(chunk.bytes.length);
+    new Uint8Array(buffer, offset, chunk.bytes.length).set(chunk.bytes);
+    offset += padToEven(chunk.bytes.length);
+  }
+
+  writeTag('data');
+  writeUint32(dataSize);
+
+  for (let i = 0; i < samples.length; i++) {
+    const value = Number.isFinite(samples[i]) ? samples[i] : 0;
+
+    if (isFloat) {
+      view.setFloat32(offset, value, true);
+    } else {
+      const clipped = Math.max(-1, Math.min(1, value));
+      const maxInt = 2 ** (bitsPerSample - 1) - 1;
+      const intValue = Math.round(clipped * maxInt);
+      if (bitsPerSample === 16) {
+        view.setInt16(offset, intValue, true);
+      } else {
+        view.setUint8(offset, intValue & 0xff);
+        view.setUint8(offset + 1, (intValue >> 8) & 0xff);
+        view.setUint8(offset + 2, (intValue >> 16) & 0xff);
+      }
+    }
+
+    offset += bytesPerSample;
+  }
+
+  return buffer;
+}
+
+// Save a blob through a temporary download link.
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), OBJECT_URL_REVOKE_DELAY_MS);
+}
+
+// RIFF chunks are word-aligned, so odd-sized chunk bodies get one pad byte.
+function padToEven(size) {
+  return size + (size % 2);
+}
+
+// Build and return the WAV export controls used by the app.
+export function createWavExportControls({
+  synthEngine,
+  formatSelect,
+  cycleButton,
+  renderButton,
+  renderSecondsInput,
+  statusEl,
+}) {
+  // Single-cycle files are written at a standard rate so samplers map them predictably.
+  const SINGLE_CYCLE_SAMPLE_RATE = 44100;
+  const RENDER_SAMPLE_RATE = 48000;
+  const DEFAULT_RENDER_SECONDS = 2;
+  const MIN_RENDER_SECONDS = 0.1;
+  const MAX_RENDER_SECONDS = 30;
+
+  // Main flow API: bind export buttons.
+  function init() {
+    if (cycleButton) {
+      cycleButton.addEventListener('click', exportSingleCycle);
+    }
+
+    if (renderButton) {
+      renderButton.addEventListener('click', () => {
+        exportRenderedTone().catch((err) => {
+          console.error('WAV render error:', err);
+          setStatus('Render failed.');
+        });
+      });
+    }
+  }
+
+  function exportSingleCycle() {
+    const wavetable = synthEngine.getPreparedWavetable?.();
+    if (!wavetable || wavetable.length === 0) {
+      setStatus('Capture a waveform or generate a test signal first.');
+      return;
+    }
+
+    const format = getSelectedFormat();
+    const samples = format === 'float32' ? wavetable : limitPeak(wavetable);
+    const wav = encodeWav(samples, { sampleRate: SINGLE_CYCLE_SAMPLE_RATE, format });
+    downloadBlob(new Blob([wav], { type: 'audio/wav' }), `waveform-cycle-${wavetable.length}-${format}.wav`);
+    setStatus(`Saved single cycle (${wavetable.length} samples, ${format}).`);
+  }
+
+  async function exportRenderedTone() {
+    const seconds = getRenderSeconds();
+    setStatus('Rendering...');
+
+    const rendered = await synthEngine.renderPanelTone?.(seconds, RENDER_SAMPLE_RATE);
+    if (!rendered) {
+      setStatus('Capture a waveform or generate a test signal first.');
+      return;
+    }
+
+    const format = getSelectedFormat();
+    const samples = rendered.getChannelData(0);
+    const wav = encodeWav(samples, { sampleRate: rendered.sampleRate, format });
+    const periodMs = Math.round(synthEngine.getPanelDurationSeconds() * 10000) / 10;
+    downloadBlob(new Blob([wav], { type: 'audio/wav' }), `waveform-${periodMs}ms-${seconds}s-${format}.wav`);
+    setStatus(`Saved ${seconds} s render at ${periodMs} ms panel period (${format}).`);
+  }
+
+  function getSelectedFormat() {
+    const value = formatSelect?.value;
+    return WAV_FORMATS[value] ? value : DEFAULT_WAV_FORMAT;
+  }
+
+  function getRenderSeconds() {
+    const numeric = Number(renderSecondsInput?.value);
+    const seconds = Number.isFinite(numeric)
+      ? Math.max(MIN_RENDER_SECONDS, Math.min(MAX_RENDER_SECONDS, numeric))
+      : DEFAULT_RENDER_SECONDS;
+    if (renderSecondsInput) renderSecondsInput.value = seconds;
+    return seconds;
+  }
+
+  // Scale down only when the table would clip in integer formats.
+  function limitPeak(samples) {
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+      peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    if (peak <= 1) return samples;
+
+    const out = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      out[i] = samples[i] / peak;
+    }
+    return out;
+  }
+
+  function setStatus(text) {
+    if (statusEl) statusEl.textContent = text;
+  }
+
+  return {
+    init,
+    exportSingleCycle,
+    exportRenderedTone,
+  };
+}
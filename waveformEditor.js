@@ -0,0 +1,232 @@
+// Waveform editor:
+// - lets mouse, touch and pen edit a waveform on the waveform canvas with freehand draw,
+//   smooth brush, straight line and point-drag tools
+// - reports every change while a stroke is in progress (once per animation frame) and the
+//   finished waveform when the stroke ends
+// - keeps the edit operations (drawSegment, smoothAround, dragPoint) as pure functions on
+//   Float32Arrays; the editor only maps pointer positions onto them
+
+export const EDIT_TOOLS = ['off', 'draw', 'smooth', 'line', 'drag'];
+// Length of a waveform drawn from scratch when there is nothing to edit yet.
+export const BLANK_WAVEFORM_LENGTH = 1024;
+
+const DEFAULT_BRUSH_PERCENT = 5;
+const MIN_BRUSH_PERCENT = 1;
+const MAX_BRUSH_PERCENT = 25;
+// Share of the gap to the local average the smooth brush closes per pointer event at its center.
+const SMOOTH_BRUSH_STRENGTH = 0.5;
+
+// Set the samples between two points ({ index, value }, index may be fractional) to the
+// straight line joining them. Used for freehand segments and the line tool.
+export function drawSegment(waveform, from, to) {
+  const last = waveform.length - 1;
+  if (last < 0) return waveform;
+
+  const startIndex = Math.max(0, Math.round(Math.min(from.index, to.index)));
+  const endIndex = Math.min(last, Math.round(Math.max(from.index, to.index)));
+  const span = to.index - from.index;
+  for (let i = startIndex; i <= endIndex; i++) {
+    const t = span === 0 ? 1 : (i - from.index) / span;
+    waveform[i] = clampSample(from.value + (to.value - from.value) * Math.max(0, Math.min(1, t)));
+  }
+  return waveform;
+}
+
+// Pull samples within `radius` of `center` toward their local average, strongest at the center.
+// Neighbours wrap around the ends because the waveform is played as a loop.
+export function smoothAround(waveform, center, radius, strength = SMOOTH_BRUSH_STRENGTH) {
+  const n = waveform.length;
+  if (n < 3 || radius <= 0) return waveform;
+
+  const source = Float32Array.from(waveform);
+  const averageHalfWidth = Math.max(1, Math.round(radius / 4));
+  const reach = Math.floor(radius);
+  for (let offset = -reach; offset <= reach; offset++) {
+    const index = wrapIndex(Math.round(center) + offset, n);
+    let sum = 0;
+    for (let k = -averageHalfWidth; k <= averageHalfWidth; k++) {
+      sum += source[wrapIndex(index + k, n)];
+    }
+    const average = sum / (averageHalfWidth * 2 + 1);
+    const weight = strength * getFalloff(Math.abs(Math.round(center) + offset - center), radius);
+    waveform[index] = source[index] + (average - source[index]) * weight;
+  }
+  return waveform;
+}
+
+// Return a copy of `base` with the sample at `index` moved to `value` and its neighbours within
+// `radius` following along a raised-cosine falloff (wrapping around the loop ends).
+export function dragPoint(base, index, value, radius) {
+  const out = Float32Array.from(base);
+  const n = out.length;
+  if (n === 0) return out;
+
+  const center = Math.max(0, Math.min(n - 1, Math.round(index)));
+  const offset = clampSample(value) - base[center];
+  const reach = Math.min(Math.floor(n / 2), Math.max(0, Math.floor(radius)));
+  for (let d = -reach; d <= reach; d++) {
+    const i = wrapIndex(center + d, n);
+    out[i] = clampSample(base[i] + offset * (reach > 0 ? getFalloff(Math.abs(d), reach + 1) : 1));
+  }
+  return out;
+}
+
+// Build and return the waveform canvas editor used by the app.
+export function createWaveformEditor({
+  canvas,
+  toolSelect,
+  brushSizeInput,
+  getWaveform,
+  onEdit,
+  onCommit,
+  onToolChange,
+}) {
+  let tool = 'off';
+  // Stroke state: the waveform being edited, the copy it started from and the last pointer point.
+  let working = null;
+  let strokeBase = null;
+  let anchor = null;
+  let lastPoint = null;
+  let dragIndex = -1;
+  let activePointerId = null;
+  let editFramePending = false;
+
+  // Main flow API: bind the tool controls and the canvas pointer events.
+  function init() {
+    if (toolSelect) {
+      toolSelect.addEventListener('change', () => {
+        toolSelect.value = setTool(toolSelect.value);
+      });
+      toolSelect.value = setTool(toolSelect.value);
+    }
+
+    if (brushSizeInput) {
+      brushSizeInput.addEventListener('change', () => {
+        brushSizeInput.value = getBrushPercent();
+      });
+    }
+
+    if (!canvas) return;
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', finishStroke);
+    canvas.addEventListener('pointercancel', finishStroke);
+  }
+
+  // Pick one of EDIT_TOOLS; 'off' leaves the canvas view-only (and scrollable on touch screens).
+  function setTool(nextTool) {
+    const previous = tool;
+    tool = EDIT_TOOLS.includes(nextTool) ? nextTool : 'off';
+    if (canvas) canvas.classList.toggle('editing', tool !== 'off');
+    if (tool !== previous && typeof onToolChange === 'function') onToolChange(tool);
+    return tool;
+  }
+
+  function getBrushPercent() {
+    const value = Number(brushSizeInput?.value);
+    if (!Number.isFinite(value)) return DEFAULT_BRUSH_PERCENT;
+    return Math.round(Math.max(MIN_BRUSH_PERCENT, Math.min(MAX_BRUSH_PERCENT, value)));
+  }
+
+  function getBrushRadius() {
+    return Math.max(1, (working.length * getBrushPercent()) / 100);
+  }
+
+  function handlePointerDown(event) {
+    if (tool === 'off' || activePointerId !== null) return;
+
+    const source = typeof getWaveform === 'function' ? getWaveform() : null;
+    working = source && source.length > 1 ? Float32Array.from(source) : new Float32Array(BLANK_WAVEFORM_LENGTH);
+    strokeBase = Float32Array.from(working);
+    activePointerId = event.pointerId;
+    canvas.setPointerCapture(event.pointerId);
+    event.preventDefault();
+
+    const point = getPointerPoint(event);
+    anchor = point;
+    lastPoint = point;
+    dragIndex = Math.round(point.index);
+    applyTool(point);
+  }
+
+  function handlePointerMove(event) {
+    if (event.pointerId !== activePointerId || !working) return;
+
+    // Coalesced events keep fast freehand strokes from skipping samples between frames.
+    const events = typeof event.getCoalescedEvents === 'function' ? event.getCoalescedEvents() : [];
+    for (const pointerEvent of events.length > 0 ? events : [event]) {
+      const point = getPointerPoint(pointerEvent);
+      applyTool(point);
+      lastPoint = point;
+    }
+  }
+
+  function applyTool(point) {
+    if (tool === 'draw') {
+      drawSegment(working, lastPoint, point);
+    } else if (tool === 'smooth') {
+      smoothAround(working, point.index, getBrushRadius());
+    } else if (tool === 'line') {
+      working = drawSegment(Float32Array.from(strokeBase), anchor, point);
+    } else if (tool === 'drag') {
+      working = dragPoint(strokeBase, dragIndex, point.value, getBrushRadius());
+    }
+    scheduleEdit();
+  }
+
+  function finishStroke(event) {
+    if (event.pointerId !== activePointerId) return;
+
+    activePointerId = null;
+    const finished = working;
+    working = null;
+    strokeBase = null;
+    if (finished && typeof onCommit === 'function') {
+      onCommit(finished);
+    }
+  }
+
+  // Report at most once per animation frame; the synth rebuilds its tables on every update.
+  function scheduleEdit() {
+    if (editFramePending) return;
+    editFramePending = true;
+    requestAnimationFrame(() => {
+      editFramePending = false;
+      if (working && typeof onEdit === 'function') {
+        onEdit(Float32Array.from(working));
+      }
+    });
+  }
+
+  // Canvas position -> { index, value } with the same mapping the waveform drawing uses.
+  function getPointerPoint(event) {
+    const rect = canvas.getBoundingClientRect();
+    const x = rect.width > 0 ? (event.clientX - rect.left) / rect.width : 0;
+    const y = rect.height > 0 ? (event.clientY - rect.top) / rect.height : 0.5;
+    return {
+      index: Math.max(0, Math.min(1, x)) * (working.length - 1),
+      value: clampSample(1 - 2 * y),
+    };
+  }
+
+  return {
+    init,
+    setTool,
+    getTool: () => tool,
+    isEditing: () => activePointerId !== null,
+  };
+}
+
+// Raised-cosine weight: 1 at distance 0, falling to 0 at `radius`.
+function getFalloff(distance, radius) {
+  if (distance >= radius) return 0;
+  return 0.5 * (1 + Math.cos((Math.PI * distance) / radius));
+}
+
+function wrapIndex(index, length) {
+  return ((index % length) + length) % length;
+}
+
+function clampSample(value) {
+  return Math.max(-1, Math.min(1, value));
+}
@@ -2,10 +2,16 @@
 // - tracks the waveform trace across columns using center-of-mass scoring
 // - trims weak/noisy edges with confidence hysteresis
 // - fills short gaps and recenters output for synthesis
+// - can separate several traces in one image (multi-channel scopes, stacked drawings)
+// - reads bright-foreground masks by default; inkPolarity 'dark' reads dark ink directly
+// - can return a detailed result (raw path, per-column confidence, gaps, kept span, quality)
+// - takes per-call overrides of the tracking, trimming and gap-filling settings (options.tuning)
 
-const DEFAULT_FOREGROUND_CUTOFF = 200;
+// Minimum brightness treated as foreground. With inkPolarity 'dark' the cutoff is mirrored
+// (values at or below 255 - cutoff are foreground).
+export const DEFAULT_FOREGROUND_CUTOFF = 200;
 
-const TRIM_CONFIDENCE_CONFIG = {
+export const TRIM_CONFIDENCE_CONFIG = {
   confWindowRadius: 1,
   smoothRadius: 4,
   highThreshold: 0.52,
@@ -19,18 +25,31 @@ const TRIM_CONFIDENCE_CONFIG = {
   minKeepValidColumnsFloor: 10,
 };
 
-const CENTER_OF_MASS_CONFIG = {
+export const CENTER_OF_MASS_CONFIG = {
   bandHalfWidth: 14,
   minForegroundCount: 5,
   maxJumpPx: 12,
   medianRadius: 3,
 };
 
-const WAVEFORM_POSTPROCESSING_CONFIG = {
+export const WAVEFORM_POSTPROCESSING_CONFIG = {
   interpolationMaxGap: 10,
 };
 
-// Main entry: extract a normalized waveform from processed image data.
+const MULTI_TRACE_CONFIG = {
+  defaultMaxTraces: 2,
+  maxTracesLimit: 8,
+  runGapPx: 2,
+  maxTrackGapColumns: 10,
+  minTrackColumnsRatio: 0.15,
+  // Fragments shorter than this (noise specks) are dropped before chaining.
+  minFragmentColumns: 3,
+};
+
+// Main entry: extract a normalized waveform from processed image data. With options.detailed
+// the result is an object instead (see buildExtractionDetails); both are null on failure.
+// options.tuning ({ centerOfMass, trimConfidence, postprocessing }, any subset of keys)
+// overrides the matching *_CONFIG settings for this call.
 export function extractWaveformFromImageData(imageData, options = {}) {
   if (!imageData || !Number.isFinite(imageData.width) || !Number.isFinite(imageData.height)) {
     return null;
@@ -39,19 +58,84 @@ export function extractWaveformFromImageData(imageData, options = {}) {
   const { width, height } = imageData;
   if (width <= 0 || height <= 0) return null;
 
+  const source = getForegroundImage(imageData, options.inkPolarity);
   const foregroundCutoff = Number.isFinite(options.foregroundCutoff)
     ? options.foregroundCutoff
     : DEFAULT_FOREGROUND_CUTOFF;
 
   const roiBounds = normalizeROI(options.roi || null, width, height);
+  const tuning = resolveTuning(options.tuning);
+
+  // Filled in along the way when the caller wants the detailed result.
+  const stats = options.detailed ? { jumpRejections: 0 } : null;
 
   // 1) Detect trace path, then trim low-confidence edges.
-  const rawTracePath = findCenterOfMassTracePath(imageData, foregroundCutoff, roiBounds);
-  const tracePath = trimTracePathByConfidence(rawTracePath, imageData, foregroundCutoff, roiBounds);
+  const rawTracePath = findCenterOfMassTracePath(source, foregroundCutoff, roiBounds, stats, tuning.centerOfMass);
+  const tracePath = trimTracePathByConfidence(
+    rawTracePath,
+    source,
+    foregroundCutoff,
+    roiBounds,
+    stats,
+    tuning.trimConfidence
+  );
+
+  // 2) Normalize over the ROI height, fill short gaps and center.
+  const yRange = getROIYRange(height, roiBounds);
+  const waveform = buildWaveformFromTracePath(tracePath, width, roiBounds, yRange, options, tuning, stats);
+
+  if (!stats || !waveform) return waveform;
+  return buildExtractionDetails(waveform, rawTracePath, tracePath, roiBounds, stats);
+}
+
+// Multi-trace entry: separate up to options.maxTraces traces and return one waveform per trace,
+// ordered top to bottom. Each trace is normalized over its own horizontal lane of the ROI
+// (split halfway between neighbouring traces), so stacked drawings keep their full range.
+// With options.detailed each entry is { waveform, rawPath, trimmedStart, trimmedEnd } instead,
+// with the same meaning as in buildExtractionDetails.
+export function extractWaveformsFromImageData(imageData, options = {}) {
+  if (!imageData || !Number.isFinite(imageData.width) || !Number.isFinite(imageData.height)) {
+    return [];
+  }
+
+  const { width, height } = imageData;
+  if (width <= 0 || height <= 0) return [];
+
+  const source = getForegroundImage(imageData, options.inkPolarity);
+  const foregroundCutoff = Number.isFinite(options.foregroundCutoff)
+    ? options.foregroundCutoff
+    : DEFAULT_FOREGROUND_CUTOFF;
+  const maxTraces = Number.isFinite(options.maxTraces)
+    ? clamp(Math.round(options.maxTraces), 1, MULTI_TRACE_CONFIG.maxTracesLimit)
+    : MULTI_TRACE_CONFIG.defaultMaxTraces;
 
-  const normYMin = roiBounds ? roiBounds.yMin : 0;
-  const normYMax = roiBounds ? roiBounds.yMax : height - 1;
-  const normYSpan = Math.max(1, normYMax - normYMin);
+  const roiBounds = normalizeROI(options.roi || null, width, height);
+  const tuning = resolveTuning(options.tuning);
+  const rawPaths = findMultiTracePaths(source, foregroundCutoff, roiBounds, maxTraces, tuning);
+  const lanes = getTraceLanes(rawPaths, getROIYRange(height, roiBounds));
+
+  const waveforms = [];
+  rawPaths.forEach((rawPath, index) => {
+    const tracePath = trimTracePathByConfidence(
+      smoothAndQuantizePath(rawPath, tuning.centerOfMass.medianRadius),
+      source,
+      foregroundCutoff,
+      roiBounds,
+      null,
+      tuning.trimConfidence
+    );
+    const waveform = buildWaveformFromTracePath(tracePath, width, roiBounds, lanes[index], options, tuning);
+    if (!waveform) return;
+    waveforms.push(options.detailed ? buildTraceOverlayDetails(waveform, rawPath, tracePath, roiBounds) : waveform);
+  });
+
+  return waveforms;
+}
+
+// Convert a quantized trace path into a centered waveform normalized over yRange.
+// Returns null when options.minCoverageRatio rejects the trace.
+function buildWaveformFromTracePath(tracePath, width, roiBounds, yRange, options, tuning, stats = null) {
+  const normYSpan = Math.max(1, yRange.yMax - yRange.yMin);
 
   const waveform = new Float32Array(width);
   for (let x = 0; x < width; x++) {
@@ -61,16 +145,135 @@ export function extractWaveformFromImageData(imageData, options = {}) {
     }
 
     const yPos = tracePath[x];
-    waveform[x] = yPos >= 0 ? 1 - ((yPos - normYMin) / normYSpan) * 2 : NaN;
+    waveform[x] = yPos >= 0 ? 1 - ((yPos - yRange.yMin) / normYSpan) * 2 : NaN;
+  }
+
+  // Optionally reject weak traces (used by live mode to skip bad frames). Coverage counts
+  // traced columns only, so a broken trace cannot pass on filled-in gaps.
+  const minCoverageRatio = Number.isFinite(options.minCoverageRatio) ? options.minCoverageRatio : 0;
+  if (minCoverageRatio > 0 && getTraceCoverageRatio(waveform, roiBounds) < minCoverageRatio) {
+    return null;
+  }
+
+  // Fill short gaps and center around zero for stable playback.
+  const missing = stats ? waveform.map((value) => (Number.isNaN(value) ? 1 : 0)) : null;
+  interpolateWaveform(waveform, tuning.postprocessing.interpolationMaxGap);
+  if (stats) {
+    stats.interpolated = new Uint8Array(width);
+    for (let x = 0; x < width; x++) {
+      stats.interpolated[x] = missing[x] && !Number.isNaN(waveform[x]) ? 1 : 0;
+    }
+    stats.coverage = getTraceCoverageRatio(waveform, roiBounds);
   }
 
-  // 2) Fill short gaps and center around zero for stable playback.
-  interpolateWaveform(waveform);
   zeroAndCenterWaveform(waveform);
 
   return waveform;
 }
 
+// Gather what extraction learned about the trace:
+// - waveform: the usual result
+// - rawPath: tracked row per column before trimming (NaN where nothing was found)
+// - confidence: smoothed 0..1 trace confidence per column (NaN outside the ROI)
+// - interpolated: 1 where a short gap was filled in
+// - trimmedStart / trimmedEnd: first and last kept column (-1 when nothing was kept)
+// - coverage: fraction of ROI columns holding a value after gap filling
+// - jumpRejections: columns dropped for jumping further than maxJumpPx
+// - meanConfidence: average confidence over the kept columns
+// - quality: 0..1 summary (coverage x mean confidence, docked for interpolated columns)
+function buildExtractionDetails(waveform, rawTracePath, tracePath, roiBounds, stats) {
+  const width = waveform.length;
+  const rawPath = new Float32Array(width);
+  const confidence = new Float32Array(width);
+  let trimmedStart = -1;
+  let trimmedEnd = -1;
+  let confidenceSum = 0;
+  let keptCount = 0;
+  let interpolatedCount = 0;
+  let roiColumns = 0;
+
+  for (let x = 0; x < width; x++) {
+    rawPath[x] = rawTracePath[x] >= 0 ? rawTracePath[x] : NaN;
+    const inROI = isXInROI(x, roiBounds);
+    confidence[x] = inROI && stats.confidence ? stats.confidence[x] : NaN;
+    if (!inROI) continue;
+
+    roiColumns++;
+    if (stats.interpolated[x]) interpolatedCount++;
+    if (tracePath[x] < 0) continue;
+
+    if (trimmedStart < 0) trimmedStart = x;
+    trimmedEnd = x;
+    if (Number.isFinite(confidence[x])) confidenceSum += confidence[x];
+    keptCount++;
+  }
+
+  const meanConfidence = keptCount > 0 ? confidenceSum / keptCount : 0;
+  const interpolatedRatio = roiColumns > 0 ? interpolatedCount / roiColumns : 0;
+  const quality = clamp(stats.coverage * meanConfidence * (1 - 0.5 * interpolatedRatio), 0, 1);
+
+  return {
+    waveform,
+    rawPath,
+    confidence,
+    interpolated: stats.interpolated,
+    trimmedStart,
+    trimmedEnd,
+    coverage: stats.coverage,
+    jumpRejections: stats.jumpRejections,
+    meanConfidence,
+    quality,
+  };
+}
+
+// The part of the details the pipeline inspector draws for one of several traces: the float
+// path (already NaN where nothing was found) and the kept span inside the ROI.
+function buildTraceOverlayDetails(waveform, rawPath, tracePath, roiBounds) {
+  let trimmedStart = -1;
+  let trimmedEnd = -1;
+  for (let x = 0; x < tracePath.length; x++) {
+    if (!isXInROI(x, roiBounds) || tracePath[x] < 0) continue;
+    if (trimmedStart < 0) trimmedStart = x;
+    trimmedEnd = x;
+  }
+  return { waveform, rawPath, trimmedStart, trimmedEnd };
+}
+
+// Merge options.tuning over the module settings. Only keys the settings already have are taken,
+// and only finite numbers, so a partial or stale tuning object cannot break extraction.
+function resolveTuning(tuning = {}) {
+  return {
+    centerOfMass: mergeNumericSettings(CENTER_OF_MASS_CONFIG, tuning?.centerOfMass),
+    trimConfidence: mergeNumericSettings(TRIM_CONFIDENCE_CONFIG, tuning?.trimConfidence),
+    postprocessing: mergeNumericSettings(WAVEFORM_POSTPROCESSING_CONFIG, tuning?.postprocessing),
+  };
+}
+
+function mergeNumericSettings(defaults, overrides) {
+  const merged = { ...defaults };
+  if (!overrides) return merged;
+  for (const key of Object.keys(defaults)) {
+    const value = Number(overrides[key]);
+    if (key in overrides && Number.isFinite(value)) merged[key] = value;
+  }
+  return merged;
+}
+
+// Foreground is always bright internally; dark-ink input is inverted once up front.
+function getForegroundImage(imageData, inkPolarity) {
+  if (inkPolarity !== 'dark') return imageData;
+
+  const data = new Uint8ClampedArray(imageData.data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    const value = 255 - imageData.data[i];
+    data[i] = value;
+    data[i + 1] = value;
+    data[i + 2] = value;
+    data[i + 3] = 255;
+  }
+  return { data, width: imageData.width, height: imageData.height };
+}
+
 // Keep a number inside a min/max range.
 function clamp(value, min, max) {
   return Math.max(min, Math.min(max, value));
@@ -198,21 +401,28 @@ function getROIYRange(height, roiBounds, predictedY = null, bandHalfWidth = null
 }
 
 // Trim weak/noisy start and end sections of the detected path.
-function trimTracePathByConfidence(pathY, imageData, foregroundCutoff, roiBounds = null) {
+function trimTracePathByConfidence(
+  pathY,
+  imageData,
+  foregroundCutoff,
+  roiBounds = null,
+  stats = null,
+  config = TRIM_CONFIDENCE_CONFIG
+) {
   const { width } = imageData;
   if (!pathY || pathY.length === 0) return pathY;
 
   const effectiveWidth = roiBounds ? roiBounds.width : width;
 
   const settings = {
-    ...TRIM_CONFIDENCE_CONFIG,
+    ...config,
     minSpanColumns: Math.max(
-      TRIM_CONFIDENCE_CONFIG.minSpanColumnsFloor,
-      Math.floor(effectiveWidth * TRIM_CONFIDENCE_CONFIG.minSpanColumnsRatio)
+      config.minSpanColumnsFloor,
+      Math.floor(effectiveWidth * config.minSpanColumnsRatio)
     ),
     minKeepValidColumns: Math.max(
-      TRIM_CONFIDENCE_CONFIG.minKeepValidColumnsFloor,
-      Math.floor(effectiveWidth * TRIM_CONFIDENCE_CONFIG.minKeepValidColumnsRatio)
+      config.minKeepValidColumnsFloor,
+      Math.floor(effectiveWidth * config.minKeepValidColumnsRatio)
     ),
   };
 
@@ -246,6 +456,7 @@ function trimTracePathByConfidence(pathY, imageData, foregroundCutoff, roiBounds
   }
 
   const smoothedConf = movingAverage1D(conf, settings.smoothRadius);
+  if (stats) stats.confidence = smoothedConf;
   const spans = [];
   let inTrace = false;
   let start = -1;
@@ -317,15 +528,22 @@ function trimTracePathByConfidence(pathY, imageData, foregroundCutoff, roiBounds
 }
 
 // Track the waveform line across columns using center-of-mass scoring.
-function findCenterOfMassTracePath(imageData, foregroundCutoff, roiBounds = null) {
+function findCenterOfMassTracePath(
+  imageData,
+  foregroundCutoff,
+  roiBounds = null,
+  stats = null,
+  config = CENTER_OF_MASS_CONFIG
+) {
   const { width, height, data } = imageData;
   const pathY = new Float32Array(width);
   for (let i = 0; i < width; i++) {
     pathY[i] = NaN;
   }
+  const edgeColumns = new Uint8Array(width);
 
   const settings = {
-    ...CENTER_OF_MASS_CONFIG,
+    ...config,
     foregroundCutoff,
   };
 
@@ -352,6 +570,14 @@ function findCenterOfMassTracePath(imageData, foregroundCutoff, roiBounds = null
     return weightedY / weightSum;
   };
 
+  const isForeground = (x, y) => data[(y * width + x) * 4] >= settings.foregroundCutoff;
+
+  // True when the band cuts through a taller foreground run, i.e. sits on a step's edge.
+  const isBandInsideTallRun = (x, band, fullRange) => (
+    (band.yMin > fullRange.yMin && isForeground(x, band.yMin) && isForeground(x, band.yMin - 1))
+    || (band.yMax < fullRange.yMax && isForeground(x, band.yMax) && isForeground(x, band.yMax + 1))
+  );
+
   for (let x = 0; x < width; x++) {
     if (!isXInROI(x, roiBounds)) {
       pathY[x] = NaN;
@@ -370,10 +596,16 @@ function findCenterOfMassTracePath(imageData, foregroundCutoff, roiBounds = null
 
     // Prefer local band search around the predicted path for better stability.
     const bandRange = getROIYRange(height, roiBounds, predictedY, settings.bandHalfWidth);
+    const fullRange = getROIYRange(height, roiBounds);
     let yEstimate = computeColumnCOM(x, bandRange.yMin, bandRange.yMax);
+    if (Number.isFinite(yEstimate) && isBandInsideTallRun(x, bandRange, fullRange)) {
+      // On a vertical edge the center of mass would only creep along the stroke; the edge's
+      // columns are filled in once both sides are known.
+      edgeColumns[x] = 1;
+      continue;
+    }
     if (!Number.isFinite(yEstimate)) {
       // Fall back to the full allowed Y range if the local band has no valid foreground.
-      const fullRange = getROIYRange(height, roiBounds);
       yEstimate = computeColumnCOM(x, fullRange.yMin, fullRange.yMax);
     }
 
@@ -383,6 +615,7 @@ function findCenterOfMassTracePath(imageData, foregroundCutoff, roiBounds = null
     }
 
     if (Number.isFinite(prev) && Math.abs(yEstimate - prev) > settings.maxJumpPx) {
+      if (stats) stats.jumpRejections++;
       pathY[x] = NaN;
       continue;
     }
@@ -390,18 +623,258 @@ function findCenterOfMassTracePath(imageData, foregroundCutoff, roiBounds = null
     pathY[x] = yEstimate;
   }
 
-  const smoothed = medianFilterFinite1D(pathY, settings.medianRadius);
-  const quantized = new Int16Array(width);
-  for (let i = 0; i < width; i++) {
+  splitVerticalEdges(pathY, edgeColumns);
+  return smoothAndQuantizePath(pathY, settings.medianRadius);
+}
+
+// Fill each run of step-edge columns with the rows on either side, switching in the middle of
+// the run, so a drawn step lands where its vertical stroke is centered. Runs without a traced
+// row on both sides stay missing.
+function splitVerticalEdges(pathY, edgeColumns) {
+  let x = 0;
+  while (x < pathY.length) {
+    if (!edgeColumns[x]) {
+      x++;
+      continue;
+    }
+
+    const start = x;
+    while (x < pathY.length && edgeColumns[x]) x++;
+    const before = pathY[start - 1];
+    const after = pathY[x];
+    if (!Number.isFinite(before) || !Number.isFinite(after)) continue;
+
+    const middle = (start + x) / 2;
+    for (let i = start; i < x; i++) {
+      pathY[i] = i < middle ? before : after;
+    }
+  }
+}
+
+// Median-smooth a float path (NaN = missing) and round it to pixel rows (-1 = missing).
+function smoothAndQuantizePath(pathY, medianRadius) {
+  const smoothed = medianFilterFinite1D(pathY, medianRadius);
+  const quantized = new Int16Array(pathY.length);
+  for (let i = 0; i < pathY.length; i++) {
     quantized[i] = Number.isFinite(smoothed[i]) ? Math.round(smoothed[i]) : -1;
   }
 
   return quantized;
 }
 
+// Track several traces at once: each column's foreground runs are matched to the nearest
+// predicted track, fragments split by gaps or vertical edges are chained back together, and
+// the longest tracks win. Returns float paths (NaN = missing), ordered top to bottom.
+function findMultiTracePaths(imageData, foregroundCutoff, roiBounds, maxTraces, tuning) {
+  const { width, height } = imageData;
+  const settings = {
+    ...tuning.centerOfMass,
+    ...MULTI_TRACE_CONFIG,
+    foregroundCutoff,
+  };
+  const { yMin, yMax } = getROIYRange(height, roiBounds);
+  const tracks = [];
+
+  for (let x = 0; x < width; x++) {
+    if (!isXInROI(x, roiBounds)) continue;
+
+    const runs = findForegroundRunCenters(imageData, x, yMin, yMax, settings);
+    if (runs.length === 0) continue;
+
+    // Greedy nearest-first matching between open tracks and this column's runs.
+    const candidates = [];
+    for (const track of tracks) {
+      const gap = x - track.lastX;
+      if (gap > settings.maxTrackGapColumns) continue;
+
+      const predictedY = track.lastY + track.slope * gap;
+      runs.forEach((runY, runIndex) => {
+        const distance = Math.abs(runY - predictedY);
+        if (distance <= settings.maxJumpPx) candidates.push({ track, runIndex, distance });
+      });
+    }
+    candidates.sort((a, b) => a.distance - b.distance);
+
+    const usedTracks = new Set();
+    const usedRuns = new Set();
+    for (const { track, runIndex } of candidates) {
+      if (usedTracks.has(track) || usedRuns.has(runIndex)) continue;
+      usedTracks.add(track);
+      usedRuns.add(runIndex);
+      extendTrack(track, x, runs[runIndex], settings.maxJumpPx);
+    }
+
+    runs.forEach((runY, runIndex) => {
+      if (usedRuns.has(runIndex)) return;
+      tracks.push({ xs: [x], ys: [runY], firstX: x, firstY: runY, lastX: x, lastY: runY, slope: 0, count: 1 });
+    });
+  }
+
+  const effectiveWidth = roiBounds ? roiBounds.width : width;
+  const minColumns = Math.max(
+    tuning.trimConfidence.minSpanColumnsFloor,
+    Math.floor(effectiveWidth * settings.minTrackColumnsRatio)
+  );
+  const fragments = tracks.filter((track) => track.count >= settings.minFragmentColumns);
+  const chained = chainTrackFragments(fragments, settings.maxTrackGapColumns, width, minColumns);
+
+  return chained
+    .sort((a, b) => b.count - a.count)
+    .slice(0, maxTraces)
+    .map((track) => ({ points: track.points, meanY: getMeanFinite(track.points) }))
+    .sort((a, b) => a.meanY - b.meanY)
+    .map((track) => track.points);
+}
+
+// Centers of vertical foreground runs in one column; short breaks (runGapPx) stay in one run.
+function findForegroundRunCenters(imageData, x, yMin, yMax, settings) {
+  const { width, data } = imageData;
+  const centers = [];
+  let runStart = -1;
+  let runEnd = -1;
+  let weightSum = 0;
+  let weightedY = 0;
+  let count = 0;
+
+  const closeRun = () => {
+    if (runStart >= 0 && count >= settings.minForegroundCount && weightSum > 0) {
+      centers.push(weightedY / weightSum);
+    }
+    runStart = -1;
+    weightSum = 0;
+    weightedY = 0;
+    count = 0;
+  };
+
+  for (let y = yMin; y <= yMax; y++) {
+    const brightness = data[(y * width + x) * 4];
+    if (brightness < settings.foregroundCutoff) {
+      if (runStart >= 0 && y - runEnd > settings.runGapPx) closeRun();
+      continue;
+    }
+
+    if (runStart < 0) runStart = y;
+    runEnd = y;
+    const weight = brightness / 255;
+    weightSum += weight;
+    weightedY += y * weight;
+    count++;
+  }
+  closeRun();
+
+  return centers;
+}
+
+function extendTrack(track, x, y, maxSlope) {
+  const gap = x - track.lastX;
+  track.slope = clamp((y - track.lastY) / gap, -maxSlope, maxSlope);
+  track.xs.push(x);
+  track.ys.push(y);
+  track.lastX = x;
+  track.lastY = y;
+  track.count++;
+}
+
+// Join fragments that end shortly before another starts, closest vertical match first.
+// This reconnects traces across vertical edges (square waves) and short breaks. Only chains of
+// at least minColumns points get a full-width path ({ points, count }, NaN = missing).
+function chainTrackFragments(tracks, maxGapColumns, width, minColumns) {
+  // With fragments sorted by start column, each one only looks at the few that start within
+  // maxGapColumns after it ends instead of at every other fragment.
+  const byStart = [...tracks].sort((a, b) => a.firstX - b.firstX);
+  const links = [];
+  for (const before of tracks) {
+    for (let i = findFirstStartAfter(byStart, before.lastX); i < byStart.length; i++) {
+      const after = byStart[i];
+      if (after.firstX - before.lastX > maxGapColumns) break;
+      links.push({ before, after, distance: Math.abs(after.firstY - before.lastY) });
+    }
+  }
+  links.sort((a, b) => a.distance - b.distance);
+
+  const next = new Map();
+  const previous = new Map();
+  for (const { before, after } of links) {
+    if (next.has(before) || previous.has(after)) continue;
+    next.set(before, after);
+    previous.set(after, before);
+  }
+
+  const chained = [];
+  for (const head of tracks) {
+    if (previous.has(head)) continue;
+
+    const parts = [];
+    let count = 0;
+    for (let part = head; part; part = next.get(part)) {
+      parts.push(part);
+      count += part.count;
+    }
+    if (count < minColumns) continue;
+
+    const points = new Float32Array(width).fill(NaN);
+    for (const part of parts) {
+      part.xs.forEach((x, index) => {
+        points[x] = part.ys[index];
+      });
+    }
+    chained.push({ points, count });
+  }
+
+  return chained;
+}
+
+// Index of the first fragment (sorted by firstX) starting after column x.
+function findFirstStartAfter(sorted, x) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle].firstX <= x) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+// Split the ROI height into one lane per trace, with borders halfway between neighbours.
+function getTraceLanes(paths, yRange) {
+  const centers = paths.map(getMeanFinite);
+  return centers.map((center, index) => ({
+    yMin: index === 0 ? yRange.yMin : (centers[index - 1] + center) / 2,
+    yMax: index === centers.length - 1 ? yRange.yMax : (center + centers[index + 1]) / 2,
+  }));
+}
+
+function getMeanFinite(values) {
+  let sum = 0;
+  let count = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (!Number.isFinite(values[i])) continue;
+    sum += values[i];
+    count++;
+  }
+  return count > 0 ? sum / count : NaN;
+}
+
+// Measure the fraction of in-ROI columns that hold a traced value.
+function getTraceCoverageRatio(waveform, roiBounds) {
+  let total = 0;
+  let valid = 0;
+
+  for (let x = 0; x < waveform.length; x++) {
+    if (!isXInROI(x, roiBounds)) continue;
+    total++;
+    if (!Number.isNaN(waveform[x])) valid++;
+  }
+
+  return total > 0 ? valid / total : 0;
+}
+
 // Fill short missing gaps between nearby valid waveform points.
-function interpolateWaveform(waveform) {
-  const { interpolationMaxGap: maxGap } = WAVEFORM_POSTPROCESSING_CONFIG;
+function interpolateWaveform(waveform, maxGap = WAVEFORM_POSTPROCESSING_CONFIG.interpolationMaxGap) {
   let i = 0;
 
   while (i < waveform.length) {
@@ -0,0 +1,165 @@
+// Waveform gallery:
+// - saves waveforms (with an optional right channel) in IndexedDB so they survive reloads
+// - renders saved entries newest first as thumbnails; clicking one recalls it, ✕ deletes it
+// - reports storage problems in the status line (private browsing can block IndexedDB)
+import { drawWaveformThumbnail, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT } from './frameStack.js';
+
+const DATABASE_NAME = 'hand-drawn-waveform-gallery';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'waveforms';
+
+// Build and return the waveform gallery used by the app.
+export function createWaveformGallery({
+  listEl,
+  saveButton,
+  statusEl,
+  getWaveformToSave,
+  onRecall,
+}) {
+  let databasePromise = null;
+  // Saved entries: { id, createdAt, left, right }, newest first.
+  let entries = [];
+
+  // Main flow API: bind the save button and load the saved entries.
+  function init() {
+    if (typeof indexedDB === 'undefined') {
+      setStatus('Gallery unavailable: this browser has no IndexedDB.');
+      if (saveButton) saveButton.disabled = true;
+      return;
+    }
+
+    if (saveButton) {
+      saveButton.addEventListener('click', () => {
+        saveCurrent().catch(reportStorageError);
+      });
+    }
+
+    refresh().catch(reportStorageError);
+  }
+
+  async function saveCurrent() {
+    const waveform = typeof getWaveformToSave === 'function' ? getWaveformToSave() : null;
+    if (!waveform || !waveform.left || waveform.left.length === 0) {
+      setStatus('Capture, draw or generate a waveform first.');
+      return;
+    }
+
+    await runTransaction('readwrite', (store) => store.add({
+      createdAt: Date.now(),
+      left: Float32Array.from(waveform.left),
+      right: waveform.right && waveform.right.length > 0 ? Float32Array.from(waveform.right) : null,
+    }));
+    await refresh();
+    setStatus('Saved to gallery.');
+  }
+
+  async function removeEntry(id) {
+    await runTransaction('readwrite', (store) => store.delete(id));
+    await refresh();
+    setStatus('Removed from gallery.');
+  }
+
+  async function refresh() {
+    const saved = await runTransaction('readonly', (store) => store.getAll());
+    entries = (saved || []).sort((a, b) => b.createdAt - a.createdAt);
+    render();
+  }
+
+  function recall(entry) {
+    if (typeof onRecall === 'function') {
+      onRecall({ left: Float32Array.from(entry.left), right: entry.right ? Float32Array.from(entry.right) : null });
+    }
+    setStatus(`Recalled waveform from ${formatTime(entry.createdAt)}.`);
+  }
+
+  function render() {
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+    for (const entry of entries) {
+      const item = document.createElement('li');
+      item.className = 'gallery-item';
+
+      const recallButton = document.createElement('button');
+      recallButton.type = 'button';
+      recallButton.className = 'gallery-recall';
+      recallButton.title = 'Add this waveform as a frame';
+      const thumbnail = document.createElement('canvas');
+      thumbnail.width = THUMBNAIL_WIDTH;
+      thumbnail.height = THUMBNAIL_HEIGHT;
+      drawWaveformThumbnail(thumbnail, entry.left, entry.right);
+      const label = document.createElement('span');
+      label.textContent = formatTime(entry.createdAt);
+      recallButton.append(thumbnail, label);
+      recallButton.addEventListener('click', () => recall(entry));
+
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.textContent = '✕';
+      deleteButton.title = 'Delete from gallery';
+      deleteButton.addEventListener('click', () => {
+        removeEntry(entry.id).catch(reportStorageError);
+      });
+
+      item.append(recallButton, deleteButton);
+      listEl.appendChild(item);
+    }
+
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'gallery-empty';
+      empty.textContent = 'No saved waveforms yet.';
+      listEl.appendChild(empty);
+    }
+  }
+
+  function openDatabase() {
+    if (!databasePromise) {
+      databasePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let a later attempt retry instead of reusing the failure.
+      databasePromise.catch(() => {
+        databasePromise = null;
+      });
+    }
+    return databasePromise;
+  }
+
+  // Run one store request in its own transaction; resolves with the request result once the
+  // transaction has committed.
+  async function runTransaction(mode, operation) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  function reportStorageError(err) {
+    console.error('Gallery storage error:', err);
+    setStatus('Gallery storage failed (storage may be blocked in this browser).');
+  }
+
+  function setStatus(text) {
+    if (statusEl) statusEl.textContent = text;
+  }
+
+  function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+  }
+
+  return {
+    init,
+    saveCurrent,
+    refresh,
+  };
+}
@@ -0,0 +1,121 @@
+// Waveform history:
+// - records a snapshot of the frame stack after every change (captures, test signals, edits,
+//   reorders, deletes, gallery recalls) and steps back and forward through them
+// - binds the Undo/Redo buttons and Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl+Y
+// - createHistory is the undo/redo list on its own; createHistoryControls wires it to the page
+
+export const MAX_HISTORY_ENTRIES = 50;
+
+// Linear undo/redo list. Recording after an undo drops the redo branch; the oldest entries
+// fall off once maxEntries is reached. Snapshots are stored as given, so callers must not
+// mutate them afterwards.
+export function createHistory(maxEntries = MAX_HISTORY_ENTRIES) {
+  const limit = Math.max(1, Math.floor(maxEntries) || MAX_HISTORY_ENTRIES);
+  let entries = [];
+  let index = -1;
+
+  function record(snapshot) {
+    entries = entries.slice(0, index + 1);
+    entries.push(snapshot);
+    if (entries.length > limit) entries.shift();
+    index = entries.length - 1;
+  }
+
+  // Step back and return the snapshot to restore, or null at the oldest entry.
+  function undo() {
+    if (index <= 0) return null;
+    index--;
+    return entries[index];
+  }
+
+  // Step forward and return the snapshot to restore, or null at the newest entry.
+  function redo() {
+    if (index >= entries.length - 1) return null;
+    index++;
+    return entries[index];
+  }
+
+  return {
+    record,
+    undo,
+    redo,
+    canUndo: () => index > 0,
+    canRedo: () => index < entries.length - 1,
+    getCurrent: () => (index >= 0 ? entries[index] : null),
+  };
+}
+
+// Build and return the undo/redo controls used by the app.
+export function createHistoryControls({
+  undoButton,
+  redoButton,
+  maxEntries = MAX_HISTORY_ENTRIES,
+  onRestore,
+}) {
+  const history = createHistory(maxEntries);
+  // Changes made while restoring a snapshot must not be recorded as new entries.
+  let restoring = false;
+
+  // Main flow API: bind buttons and keyboard shortcuts.
+  function init() {
+    if (undoButton) undoButton.addEventListener('click', undo);
+    if (redoButton) redoButton.addEventListener('click', redo);
+    document.addEventListener('keydown', handleKeyDown);
+    updateButtons();
+  }
+
+  function record(snapshot) {
+    if (restoring) return;
+    history.record(snapshot);
+    updateButtons();
+  }
+
+  function undo() {
+    restore(history.undo());
+  }
+
+  function redo() {
+    restore(history.redo());
+  }
+
+  function restore(snapshot) {
+    if (!snapshot) return;
+
+    restoring = true;
+    try {
+      if (typeof onRestore === 'function') onRestore(snapshot);
+    } finally {
+      restoring = false;
+    }
+    updateButtons();
+  }
+
+  // Leave shortcuts to text fields and selects so their own undo keeps working.
+  function handleKeyDown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName))) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      undo();
+    } else if ((key === 'z' && event.shiftKey) || (key === 'y' && event.ctrlKey)) {
+      redo();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
+
+  function updateButtons() {
+    if (undoButton) undoButton.disabled = !history.canUndo();
+    if (redoButton) redoButton.disabled = !history.canRedo();
+  }
+
+  return {
+    init,
+    record,
+    undo,
+    redo,
+  };
+}
@@ -0,0 +1,168 @@
+// Wavetable export:
+// - resamples each captured waveform to a standard 2048-sample frame (DC removed, table peak-normalized)
+// - writes stacked multi-frame WAVs with the 'clm ' marker Serum (and Bitwig's Wavetable device) reads
+// - writes Vital .vitaltable JSON with one keyframe per captured frame
+// - both formats are mono, so stereo frames export their left channel and the status says so
+import { removeDcOffset, resampleToLength } from './audioEngine.js';
+import { encodeWav, downloadBlob } from './wavExport.js';
+
+export const WAVETABLE_FRAME_SIZE = 2048;
+// Serum and Vital both stop at 256 frames per table.
+export const MAX_WAVETABLE_FRAMES = 256;
+
+const WAVETABLE_SAMPLE_RATE = 44100;
+const VITAL_MAX_POSITION = 256;
+
+// Resample, DC-correct and jointly normalize waveforms into export frames.
+export function buildWavetableFrames(waveforms) {
+  const frames = [];
+  for (const waveform of waveforms.slice(0, MAX_WAVETABLE_FRAMES)) {
+    if (!waveform || waveform.length === 0) continue;
+    const finite = Float32Array.from(waveform, (value) => (Number.isFinite(value) ? value : 0));
+    const frame = resampleToLength(finite, WAVETABLE_FRAME_SIZE);
+    frames.push(removeDcOffset(frame));
+  }
+
+  // One gain for the whole table keeps the relative level of each frame.
+  let peak = 0;
+  for (const frame of frames) {
+    for (let i = 0; i < frame.length; i++) {
+      peak = Math.max(peak, Math.abs(frame[i]));
+    }
+  }
+
+  if (peak > 0) {
+    for (const frame of frames) {
+      for (let i = 0; i < frame.length; i++) {
+        frame[i] /= peak;
+      }
+    }
+  }
+
+  return frames;
+}
+
+// Stack frames into one 32-bit float WAV tagged with Serum's 'clm ' frame-size chunk.
+export function encodeSerumWavetable(frames) {
+  const samples = new Float32Array(frames.length * WAVETABLE_FRAME_SIZE);
+  frames.forEach((frame, index) => samples.set(frame, index * WAVETABLE_FRAME_SIZE));
+
+  const marker = `<!>${WAVETABLE_FRAME_SIZE} 00000000 wavetable (www.xferrecords.com)`;
+  const markerBytes = new Uint8Array(Array.from(marker, (char) => char.charCodeAt(0)));
+
+  return encodeWav(samples, {
+    sampleRate: WAVETABLE_SAMPLE_RATE,
+    format: 'float32',
+    extraChunks: [{ id: 'clm ', bytes: markerBytes }],
+  });
+}
+
+// Build a Vital wavetable (one Wave Source component, frames spread across the position range).
+export function encodeVitalWavetable(frames, name = 'Hand-Drawn Waveform') {
+  const lastIndex = Math.max(1, frames.length - 1);
+  const keyframes = frames.map((frame, index) => ({
+    position: frames.length > 1 ? Math.round((index / lastIndex) * VITAL_MAX_POSITION) : 0,
+    wave_data: float32ToBase64(frame),
+  }));
+
+  return JSON.stringify({
+    name,
+    author: '',
+    version: '1.0.0',
+    remove_all_dc: true,
+    full_normalize: true,
+    groups: [
+      {
+        components: [
+          {
+            type: 'Wave Source',
+            interpolation: 1,
+            interpolation_style: 1,
+            keyframes,
+          },
+        ],
+      },
+    ],
+  });
+}
+
+function float32ToBase64(frame) {
+  const bytes = new Uint8Array(frame.length * 4);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < frame.length; i++) {
+    view.setFloat32(i * 4, frame[i], true);
+  }
+
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+// Build and return the wavetable export controls used by the app.
+export function createWavetableExportControls({
+  getWaveforms,
+  getRightWaveforms,
+  serumButton,
+  vitalButton,
+  statusEl,
+}) {
+  // Main flow API: bind export buttons.
+  function init() {
+    if (serumButton) {
+      serumButton.addEventListener('click', exportSerum);
+    }
+
+    if (vitalButton) {
+      vitalButton.addEventListener('click', exportVital);
+    }
+  }
+
+  function exportSerum() {
+    const frames = getFrames();
+    if (!frames) return;
+
+    const wav = encodeSerumWavetable(frames);
+    downloadBlob(new Blob([wav], { type: 'audio/wav' }), `wavetable-${frames.length}x${WAVETABLE_FRAME_SIZE}.wav`);
+    setStatus(`Saved ${frames.length}-frame wavetable WAV.${getMonoNote()}`);
+  }
+
+  function exportVital() {
+    const frames = getFrames();
+    if (!frames) return;
+
+    const json = encodeVitalWavetable(frames);
+    downloadBlob(new Blob([json], { type: 'application/json' }), `wavetable-${frames.length}-frames.vitaltable`);
+    setStatus(`Saved ${frames.length}-frame Vital wavetable.${getMonoNote()}`);
+  }
+
+  function getFrames() {
+    const waveforms = typeof getWaveforms === 'function' ? getWaveforms() : [];
+    const frames = buildWavetableFrames(waveforms || []);
+    if (frames.length === 0) {
+      setStatus('Capture at least one waveform first.');
+      return null;
+    }
+    return frames;
+  }
+
+  // Serum and Vital tables hold one channel, so right channels are left out of the file.
+  function getMonoNote() {
+    const rightWaveforms = typeof getRightWaveforms === 'function' ? getRightWaveforms() : [];
+    const stereoCount = (rightWaveforms || []).filter(Boolean).length;
+    if (stereoCount === 0) return '';
+    const frameWord = stereoCount === 1 ? 'frame' : 'frames';
+    return ` Left channel only: the right channel of ${stereoCount} stereo ${frameWord} is not included.`;
+  }
+
+  function setStatus(text) {
+    if (statusEl) statusEl.textContent = text;
+  }
+
+  return {
+    init,
+    exportSerum,
+    exportVital,
+  };
+}